@@ -1,11 +1,22 @@
+import { FLUSH_MODE, ERROR_TYPE } from './constants.js';
+import { GlobalErrorHandler } from './error-handling.js';
+
 /**
- * BatchScheduler - Batches DOM updates using requestAnimationFrame
+ * BatchScheduler - Batches DOM updates with a selectable flush strategy
  *
  * Design principles:
  * - Multiple signal changes = one DOM update
- * - Uses RAF for optimal rendering timing
- * - Microtask queue for immediate updates when needed
+ * - Flush strategy is global (setFlushMode) and can be overridden per effect
+ *   - 'sync': run as soon as a signal changes (or when batch() ends)
+ *   - 'microtask': run after the current task (tests, background tabs)
+ *   - 'animationFrame': run before the next paint (default)
+ *   - 'idle': run when the browser is idle (low priority work)
  * - Automatic deduplication (same effect doesn't run twice)
+ * - Effects run in phase order (pre watchers, bindings, post watchers),
+ *   then creation order, against fully settled computeds
+ * - Effects re-triggered during a flush re-run in the same tick, up to
+ *   maxFlushIterations passes; beyond that the update loop is reported
+ *   through GlobalErrorHandler and the pending effects are dropped
  *
  * Performance characteristics:
  * - Before: N changes = N DOM updates
@@ -13,69 +24,308 @@
  */
 export class BatchScheduler {
     constructor() {
-      this.pendingEffects = new Set();
-      this.isScheduled = false;
+      this.mode = FLUSH_MODE.ANIMATION_FRAME;
+      this.queues = new Map();
+      this.requested = new Set();
+      this.tickCallbacks = [];
+      this.batchDepth = 0;
+      this.batchId = 0;
+      this.propagationDepth = 0;
+
+      // Passes over the queue allowed in one flush before it is treated as
+      // an infinite update loop (an effect writing what it reads)
+      this.maxFlushIterations = 100;
       this.isFlushing = false;
+
+      // Longest wait (ms) for an animation frame before flushing anyway
+      this.frameTimeout = 100;
+
+      Object.values(FLUSH_MODE).forEach(mode => {
+        this.queues.set(mode, new Set());
+      });
+    }
+
+    /**
+     * Select the global flush strategy
+     * @param {string} mode - One of FLUSH_MODE
+     */
+    setFlushMode(mode) {
+      if (!this.queues.has(mode)) {
+        throw new Error(`Unknown flush mode: "${mode}"`);
+      }
+      this.mode = mode;
+    }
+
+    /**
+     * True while inside batch()
+     */
+    get isBatching() {
+      return this.batchDepth > 0;
     }
-  
+
     /**
      * Schedule an effect to run in the next batch
      * @param {Effect} effect - The effect to schedule
      */
     schedule(effect) {
-      // Add to pending queue
-      this.pendingEffects.add(effect);
-  
-      // Schedule flush if not already scheduled
-      if (!this.isScheduled && !this.isFlushing) {
-        this.isScheduled = true;
-        requestAnimationFrame(() => this.flush());
+      const mode = effect.flush || this.mode;
+
+      // Sync effects wait for the end of the current propagation (or batch)
+      this.queues.get(mode).add(effect);
+      this._request(mode);
+    }
+
+    /**
+     * Run a signal notification. Sync effects queued while dirtiness spreads
+     * run once it has reached every computed, so they never read stale ones.
+     */
+    propagate(fn) {
+      this.propagationDepth++;
+      try {
+        fn();
+      } finally {
+        this.propagationDepth--;
+
+        if (this.propagationDepth === 0 && !this.isBatching &&
+            this.queues.get(FLUSH_MODE.SYNC).size > 0) {
+          this.flush(FLUSH_MODE.SYNC);
+        }
       }
     }
-  
+
     /**
-     * Flush all pending effects
+     * Ask the strategy for a flush of one queue (once per pending flush)
      */
-    flush() {
+    _request(mode) {
+      if (mode === FLUSH_MODE.SYNC || this.requested.has(mode)) {
+        return;
+      }
+
+      this.requested.add(mode);
+      this._defer(mode, () => {
+        this.requested.delete(mode);
+        this.flush(mode);
+      });
+    }
+
+    /**
+     * Run callback at the timing of a flush mode
+     */
+    _defer(mode, callback) {
+      switch (mode) {
+        case FLUSH_MODE.MICROTASK:
+        case FLUSH_MODE.SYNC:
+          queueMicrotask(callback);
+          break;
+
+        case FLUSH_MODE.IDLE:
+          if (typeof requestIdleCallback === 'function') {
+            requestIdleCallback(callback);
+          } else {
+            setTimeout(callback, 1);
+          }
+          break;
+
+        case FLUSH_MODE.ANIMATION_FRAME:
+        default:
+          // Hidden tabs never get animation frames - don't stall updates
+          if (typeof requestAnimationFrame === 'function' &&
+              !(typeof document !== 'undefined' && document.hidden)) {
+            // A frame requested just before the tab hides only arrives once
+            // it is visible again, so a timeout races it
+            let done = false;
+            let frame = null;
+            let timer = null;
+            const run = () => {
+              if (done) return;
+              done = true;
+              clearTimeout(timer);
+              if (typeof cancelAnimationFrame === 'function') {
+                cancelAnimationFrame(frame);
+              }
+              callback();
+            };
+            frame = requestAnimationFrame(run);
+            if (!done) {
+              timer = setTimeout(run, this.frameTimeout);
+            }
+          } else {
+            setTimeout(callback, 0);
+          }
+          break;
+      }
+    }
+
+    /**
+     * Flush pending effects
+     * @param {string} [mode] - Only flush this mode's queue (default: all)
+     */
+    flush(mode) {
       if (this.isFlushing) return;
-  
+
+      const modes = mode ? [mode] : Array.from(this.queues.keys());
+
+      // Sync effects triggered by effects in this flush run in it too
+      if (!modes.includes(FLUSH_MODE.SYNC)) {
+        modes.push(FLUSH_MODE.SYNC);
+      }
+
+      const runCounts = new Map();
+      let iterations = 0;
+
       this.isFlushing = true;
-      this.isScheduled = false;
-  
-      // Copy and clear pending effects
-      const effects = Array.from(this.pendingEffects);
-      this.pendingEffects.clear();
-  
-      // Run all effects
-      effects.forEach(effect => {
-        if (effect.active) {
-          effect.run();
+
+      try {
+        while (modes.some(current => this.queues.get(current).size > 0)) {
+          if (++iterations > this.maxFlushIterations) {
+            this._reportUpdateLoop(modes, runCounts);
+            break;
+          }
+
+          modes.forEach(current => {
+            const queue = this.queues.get(current);
+
+            // Copy and clear pending effects; 'pre' watchers run first and
+            // 'post' watchers last, and within a phase creation order puts
+            // parents (loops, conditionals) before the children they may destroy
+            const effects = Array.from(queue).sort((a, b) => (a.phase - b.phase) || (a.id - b.id));
+            queue.clear();
+
+            // Run each effect at most once per pass, skipping those whose
+            // computed dependencies settled on the same value
+            effects.forEach(effect => {
+              if (effect.active) {
+                runCounts.set(effect, (runCounts.get(effect) || 0) + 1);
+                effect.update();
+              }
+            });
+          });
         }
-      });
-  
-      this.isFlushing = false;
-  
-      // If new effects were scheduled during flush, schedule another flush
-      if (this.pendingEffects.size > 0 && !this.isScheduled) {
-        this.isScheduled = true;
-        requestAnimationFrame(() => this.flush());
+      } finally {
+        this.isFlushing = false;
       }
+
+      this._resolveTicks(modes);
+    }
+
+    /**
+     * Report effects that keep re-scheduling themselves, then drop them so
+     * the tab stops spinning. They run again on the next outside change.
+     */
+    _reportUpdateLoop(modes, runCounts) {
+      const culprits = [];
+
+      modes.forEach(current => {
+        const queue = this.queues.get(current);
+        queue.forEach(effect => {
+          effect.scheduled = false;
+          culprits.push(effect);
+        });
+        queue.clear();
+      });
+
+      culprits
+        .sort((a, b) => (runCounts.get(b) || 0) - (runCounts.get(a) || 0))
+        .forEach(effect => {
+          const meta = effect.meta || {};
+          const runs = runCounts.get(effect) || 0;
+          const error = new Error(
+            `Infinite update loop: effect re-ran ${runs} times in one flush ` +
+            `(limit ${this.maxFlushIterations})` +
+            (meta.expression ? ` - expression "${meta.expression}"` : '') +
+            '. An effect is probably writing to state it also reads.'
+          );
+
+          GlobalErrorHandler.report(error, {
+            ...meta,
+            type: ERROR_TYPE.SCHEDULER,
+            effect,
+            runs
+          });
+        });
     }
-  
+
     /**
      * Force immediate flush (for testing or critical updates)
      */
     flushSync() {
       this.flush();
     }
+
+    /**
+     * Resolve nextTick() waiters for flushed modes that have gone quiet
+     */
+    _resolveTicks(modes) {
+      const ready = this.tickCallbacks.filter(tick =>
+        modes.includes(tick.mode) && this.queues.get(tick.mode).size === 0
+      );
+
+      this.tickCallbacks = this.tickCallbacks.filter(tick => !ready.includes(tick));
+      ready.forEach(tick => tick.done());
+    }
+
+    /**
+     * Wait for the next flush of the active flush mode
+     */
+    nextTick(callback) {
+      return new Promise(resolve => {
+        const done = () => {
+          if (callback) callback();
+          resolve();
+        };
+
+        const mode = this.mode;
+
+        if (this.queues.get(mode).size > 0) {
+          this.tickCallbacks.push({ mode, done });
+        } else {
+          this._defer(mode, done);
+        }
+      });
+    }
+
+    /**
+     * Run fn as one batch; sync effects wait until the outermost batch ends
+     */
+    batch(fn) {
+      if (this.batchDepth === 0) {
+        this.batchId++;
+      }
+
+      this.batchDepth++;
+      try {
+        return fn();
+      } finally {
+        this.batchDepth--;
+        if (this.batchDepth === 0) {
+          this.flush();
+        }
+      }
+    }
   }
-  
+
   // Global scheduler instance
   export const batchScheduler = new BatchScheduler();
-  
+
+  /**
+   * setFlushMode - Choose when scheduled effects run
+   *
+   * @param {string} mode - 'sync' | 'microtask' | 'animationFrame' | 'idle'
+   *
+   * @example
+   * setFlushMode('microtask'); // Keep updating in background tabs
+   */
+  export function setFlushMode(mode) {
+    batchScheduler.setFlushMode(mode);
+  }
+
   /**
    * nextTick - Wait for next batch of DOM updates
    *
+   * Resolves after the pending flush of the active flush mode, or after the
+   * mode's next timing slot (microtask, frame or idle period) if nothing is
+   * pending.
+   *
    * @param {Function} callback - Called after DOM updates
    * @returns {Promise} - Resolves after DOM updates
    *
@@ -85,16 +335,9 @@ export class BatchScheduler {
    * console.log('DOM updated!', document.querySelector('.item:last-child'));
    */
   export function nextTick(callback) {
-    return new Promise(resolve => {
-      requestAnimationFrame(() => {
-        requestAnimationFrame(() => {
-          if (callback) callback();
-          resolve();
-        });
-      });
-    });
+    return batchScheduler.nextTick(callback);
   }
-  
+
   /**
    * batch - Execute multiple updates in a single batch
    *
@@ -110,11 +353,5 @@ export class BatchScheduler {
    * // Only one DOM update after all three pushes
    */
   export function batch(fn) {
-    // Execute function
-    const result = fn();
-  
-    // Force immediate flush
-    batchScheduler.flushSync();
-  
-    return result;
-  }
\ No newline at end of file
+    return batchScheduler.batch(fn);
+  }
@@ -1,7 +1,12 @@
 import { EffectTracker } from "./effect";
 import { GlobalErrorHandler } from "./error-handling";
 import {EventBinding, ExpressionEvaluator} from "./event-binding.js";
-import { ERROR_TYPE } from './constants.js';
+import { ERROR_TYPE, BINDING_TYPE } from './constants.js';
+import Signal from './signal.js';
+import { Interpolation } from './interpolation.js';
+import { createLogger, __DEV__ } from './logger.js';
+
+const log = createLogger('binding');
 
 /**
  * Binding - Binds element property to reactive data
@@ -18,7 +23,7 @@ export class Binding {
       this.updater = BindingUpdaters.get(attributeBinding.name);
   
       if (!this.updater) {
-        console.warn(`No updater found for binding: ${attributeBinding.name}`);
+        log.warn(`No updater found for binding: ${attributeBinding.name}`);
         return;
       }
   
@@ -26,14 +31,16 @@ export class Binding {
     }
   
     _createEffect() {
-      console.log('🔷 [DEBUG] Creating binding for:', this.binding.name, 'expr:', this.binding.expression);
+      if (__DEV__) {
+        log.debug('Creating binding for:', this.binding.name, 'expr:', this.binding.expression);
+      }
 
       this.effect = EffectTracker.create(() => {
         if (!this.active) return;
   
         const safeUpdate = GlobalErrorHandler.wrap(() => {
           const value = this._evaluate();
-          console.log('✅ Binding update:', this.binding.name, '=', value);
+          if (__DEV__) log.debug('update', this.binding.name, '=', value);
           this.updater(this.element, value, this.binding);
         }, {
           type: ERROR_TYPE.BINDING,
@@ -43,6 +50,12 @@ export class Binding {
         });
   
         safeUpdate();
+      }, {
+        meta: {
+          bindingName: this.binding.name,
+          element: this.element,
+          expression: this.binding.expression
+        }
       });
     }
   
@@ -63,6 +76,87 @@ export class Binding {
     }
   }
 
+  /**
+   * InterpolationBinding - Keeps one text node or attribute in sync with
+   * its {{ }} template
+   *
+   * Only the node it was parsed from is touched: a text node's data, or the
+   * attribute named by the binding. An attribute whose whole value is one
+   * expression is removed while that expression is null, undefined or false.
+   */
+  export class InterpolationBinding {
+    constructor(element, attributeBinding, contextStack) {
+      this.element = element;
+      this.binding = attributeBinding;
+      this.contextStack = contextStack;
+      this.node = attributeBinding.node || null;    // Text node, or null for an attribute
+      this.effect = null;
+      this.active = true;
+
+      this._createEffect();
+    }
+
+    _createEffect() {
+      const bindingName = this.node ? 'interpolation' : `interpolation:${this.binding.name}`;
+
+      this.effect = EffectTracker.create(() => {
+        if (!this.active) return;
+
+        const safeUpdate = GlobalErrorHandler.wrap(() => this._render(), {
+          type: ERROR_TYPE.BINDING,
+          bindingName,
+          element: this.element,
+          expression: this.binding.expression
+        });
+
+        safeUpdate();
+      }, {
+        meta: {
+          bindingName,
+          element: this.node || this.element,
+          expression: this.binding.expression
+        }
+      });
+    }
+
+    _render() {
+      const { parts } = this.binding;
+      const evaluate = expression => ExpressionEvaluator.evaluate(expression, this.contextStack);
+
+      if (this.node) {
+        const text = Interpolation.render(parts, evaluate);
+        if (this.node.data !== text) {
+          this.node.data = text;
+        }
+        return;
+      }
+
+      let text;
+      if (parts.length === 1) {
+        const value = evaluate(parts[0].expression);
+        if (value === null || value === undefined || value === false) {
+          this.element.removeAttribute(this.binding.name);
+          return;
+        }
+        text = Interpolation.toDisplayString(value);
+      } else {
+        text = Interpolation.render(parts, evaluate);
+      }
+
+      if (this.element.getAttribute(this.binding.name) !== text) {
+        this.element.setAttribute(this.binding.name, text);
+      }
+    }
+
+    destroy() {
+      this.active = false;
+      if (this.effect) {
+        this.effect.stop();
+        this.effect = null;
+      }
+    }
+  }
+
   export /**
   * ModelBinding - Two-way data binding for form inputs
   *
@@ -124,7 +218,7 @@ export class Binding {
        return 'textarea';
      }
  
-     console.warn('Unknown input type for :model binding:', this.element);
+     log.warn('Unknown input type for :model binding:', this.element);
      return 'input'; // fallback
    }
  
@@ -150,7 +244,13 @@ export class Binding {
          const value = this._evaluate();
          this._updateView(value);
        } catch (error) {
-         console.error('Error in model→view binding:', error);
+         log.error('Error in model→view binding:', error);
+       }
+     }, {
+       meta: {
+         bindingName: 'model',
+         element: this.element,
+         expression: this.binding.expression
        }
      });
    }
@@ -167,7 +267,7 @@ export class Binding {
          const newValue = this._getValueFromView();
          this._updateModel(newValue);
        } catch (error) {
-         console.error('Error in view→model binding:', error);
+         log.error('Error in view→model binding:', error);
        }
      };
  
@@ -197,7 +297,8 @@ export class Binding {
     * Evaluate the binding expression to get model value
     */
    _evaluate() {
-     return ExpressionEvaluator.evaluate(this.binding.expression, this.contextStack);
+     const value = ExpressionEvaluator.evaluate(this.binding.expression, this.contextStack);
+     return value instanceof Signal ? value.value : value;
    }
  
    /**
@@ -281,7 +382,7 @@ export class Binding {
        const checkboxValue = this.element.value;
  
        if (!Array.isArray(currentArray)) {
-         console.warn('Checkbox array binding expects an array in the model');
+         log.warn('Checkbox array binding expects an array in the model');
          return;
        }
  
@@ -317,10 +418,8 @@ export class Binding {
        // Find in context stack
        for (let i = this.contextStack.length - 1; i >= 0; i--) {
          const context = this.contextStack[i];
-         console.log('   Checking context', i, ':', Object.keys(context).slice(0, 5));
- 
          if (expression in context) {
-           context[expression] = newValue;
+           this._assign(context, expression, newValue);
            return;
          }
        }
@@ -350,12 +449,26 @@ export class Binding {
          }
  
          if (obj) {
-           console.log('   Setting', lastProp, '=', newValue, 'on', obj);
-           obj[lastProp] = newValue;
+           if (__DEV__) log.debug('Setting', lastProp, '=', newValue, 'on', obj);
+           this._assign(obj, lastProp, newValue);
          }
        }
      }
    }
+
+   /**
+    * Write through a signal or computed held by the model (a writable
+    * computed's setter runs) instead of replacing it
+    */
+   _assign(obj, property, newValue) {
+     const current = obj[property];
+
+     if (current instanceof Signal) {
+       current.value = newValue;
+     } else {
+       obj[property] = newValue;
+     }
+   }
  
    /**
     * Clean up
@@ -576,6 +689,11 @@ export class Binding {
       if (attributeBinding.type === 'event') {
         return new EventBinding(element, attributeBinding, contextStack);
       }
+
+      // {{ }} in a text node or attribute value
+      if (attributeBinding.type === BINDING_TYPE.INTERPOLATION) {
+        return new InterpolationBinding(element, attributeBinding, contextStack);
+      }
   
       // Regular property bindings
       return new Binding(element, attributeBinding, contextStack);
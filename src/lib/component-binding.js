@@ -1,7 +1,12 @@
 import { reactive } from "./reactive";
 import { bindingRegistry, BindingFactory, } from "./binding.js";
 import {ExpressionEvaluator} from './event-binding.js';
+import { CspEvaluator } from './csp-evaluator.js';
+import { Interpolation } from './interpolation.js';
+import { TemplateValidator } from './template-validator.js';
 import { EffectTracker } from "./effect.js";
+import { effectScope } from "./effect-scope.js";
+import { watch, watchEffect } from "./watch.js";
 import { 
   DIRECTIVE, 
   SKIP_TAGS, 
@@ -12,7 +17,12 @@ import {
   LIFECYCLE_HOOKS,
   BINDING_TYPE,
   JS_KEYWORDS,
+  EVALUATOR_MODE,
 } from './constants.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('component');
+const parserLog = createLogger('parser');
 
 class AttributeBinding {
   constructor(name, expression, type) {
@@ -27,9 +37,31 @@ export class ReactiveHTMLParser {
   constructor() {
     this.parsed = new Map();
     this.customElements = new Set();
+    this.errors = [];
   }
 
-  parse(rootElement, contextStack = []) {
+  /**
+   * Parse a DOM tree into binding descriptions
+   *
+   * @param {Element} rootElement
+   * @param {Array} contextStack
+   * @param {Object} options
+   * @param {boolean} options.validate - Syntax-check expressions first (default true)
+   * @param {boolean} options.throwOnError - Throw the first TemplateError
+   *   (default: log them and collect them in parser.errors)
+   * @param {string} options.source - Original HTML, for exact line/column
+   * @param {string} options.componentName - For error messages
+   */
+  parse(rootElement, contextStack = [], options = {}) {
+    if (options.validate !== false) {
+      this.errors = TemplateValidator.validate(rootElement, {
+        source: options.source,
+        componentName: options.componentName,
+        throwOnError: options.throwOnError,
+        isComponent: element => this._isComponent(element)
+      });
+    }
+
     return this._parseElement(rootElement, contextStack);
   }
 
@@ -111,7 +143,10 @@ export class ReactiveHTMLParser {
     }
     
     // Regular element
-    const bindings = this._parseBindings(element);
+    const bindings = [
+      ...this._parseBindings(element),
+      ...this._parseInterpolations(element)
+    ];
     
     // Determine element type
     let type = 'static';
@@ -345,6 +380,57 @@ export class ReactiveHTMLParser {
     return bindings;
   }
 
+  /**
+   * {{ }} in plain attribute values and in the element's own text nodes
+   */
+  _parseInterpolations(element) {
+    const bindings = [];
+
+    Array.from(element.attributes).forEach(attr => {
+      if (attr.name.startsWith(DIRECTIVE_PREFIX.PROPERTY) ||
+          attr.name.startsWith(DIRECTIVE_PREFIX.EVENT) ||
+          attr.name === DIRECTIVE.MODEL) {
+        return;
+      }
+
+      const parts = Interpolation.parse(attr.value);
+      if (!parts) return;
+
+      if (Interpolation.isStatic(parts)) {
+        element.setAttribute(attr.name, parts.join(''));
+        return;
+      }
+      bindings.push(this._createInterpolationBinding(attr.name, attr.value, parts));
+    });
+
+    Array.from(element.childNodes).forEach(node => {
+      if (node.nodeType !== Node.TEXT_NODE) return;
+
+      const parts = Interpolation.parse(node.data);
+      if (!parts) return;
+
+      if (Interpolation.isStatic(parts)) {
+        node.data = parts.join('');
+        return;
+      }
+
+      const binding = this._createInterpolationBinding('#text', node.data, parts);
+      binding.node = node;
+      bindings.push(binding);
+    });
+
+    return bindings;
+  }
+
+  _createInterpolationBinding(name, template, parts) {
+    const binding = new AttributeBinding(name, template, BINDING_TYPE.INTERPOLATION);
+    binding.parts = parts;
+    binding.dependencies = [...new Set(parts
+      .filter(part => typeof part !== 'string')
+      .flatMap(part => this._extractDependencies(part.expression)))];
+    return binding;
+  }
+
   _extractDependencies(expression) {
     const deps = [];
     const regex = /\b(\w+(?:\.\w+)*)\b/g;
@@ -401,7 +487,7 @@ export class ComponentRegistry {
        
        return component;
      } catch (error) {
-       console.error(`Failed to register component "${name}":`, error);
+       log.error(`Failed to register component "${name}":`, error);
        throw error;
      }
    }
@@ -459,15 +545,15 @@ export class ComponentRegistry {
     * Create component instance
     */
    async _createInstance() {
-    console.log('🔷 [DEBUG] Creating component:', this.componentName);
+    log.debug('Creating component:', this.componentName);
 
      const component = ComponentRegistry.get(this.componentName);
      if (!component) {
-       console.error(`Component not found: ${this.componentName}`);
+       log.error(`Component not found: ${this.componentName}`);
        return;
      }
 
-     console.log('✅ Component found, definition:', Object.keys(component.definition));
+     log.debug('Component found, definition:', Object.keys(component.definition));
      
      try {
        // Evaluate props from parent context
@@ -526,7 +612,7 @@ export class ComponentRegistry {
        // Get root element
        let root = templateClone.firstElementChild;
        if (!root) {
-         console.error(`Component "${this.componentName}" template must have a root element`);
+         log.error(`Component "${this.componentName}" template must have a root element`);
          return;
        }
        
@@ -558,18 +644,22 @@ export class ComponentRegistry {
        
        // Parse and create bindings
        const parser = new ReactiveHTMLParser();
-       const parsed = parser.parse(root, [this.instance]);
+       // Validated once by ComponentLoader.parse
+       const parsed = parser.parse(root, [this.instance], { validate: false });
        this._createBindings(parsed, this.instance);
  
-       // Run setup AFTER everything is mounted
+       // Run setup AFTER everything is mounted, inside the component's
+       // scope so anything it creates is stopped on unmount
        if (component.definition[COMPONENT_KEYS.SETUP]) {
-        console.log('🔷 [DEBUG] Running setup()');
-        component.definition[COMPONENT_KEYS.SETUP].call(this.instance);
-        console.log('✅ Setup complete');
+        log.debug('Running setup()');
+        this.lifecycle.scope.run(() => {
+          component.definition[COMPONENT_KEYS.SETUP].call(this.instance);
+        });
+        log.debug('Setup complete');
       }
        
      } catch (error) {
-       console.error(`Error creating component "${this.componentName}":`, error);
+       log.error(`Error creating component "${this.componentName}":`, error);
      }
    }
  
@@ -584,7 +674,7 @@ export class ComponentRegistry {
     * Evaluate props from parent context
     */
    _evaluateProps() {
-    console.log('🔷 [DEBUG] Evaluating props:', this.props);
+    log.debug('Evaluating props:', this.props);
 
      const props = {};
      
@@ -596,9 +686,9 @@ export class ComponentRegistry {
              prop.expression,
              this.contextStack
            );
-           console.log('✅ Dynamic prop', prop.name, '=', props[prop.name]);
+           log.debug('Dynamic prop', prop.name, '=', props[prop.name]);
          } catch (error) {
-          console.error('❌ Error evaluating prop:', prop.name, error);
+          log.error('Error evaluating prop:', prop.name, error);
           props[prop.name] = undefined;
          }
        } else {
@@ -617,11 +707,11 @@ export class ComponentRegistry {
            value = null;
          }
          props[prop.name] = value;
-         console.log('✅ Static prop', prop.name, '=', value);
+         log.debug('Static prop', prop.name, '=', value);
        }
      });
      
-     console.log('✅ Final props:', props);
+     log.debug('Final props:', props);
      return props;
    }
    
@@ -689,9 +779,8 @@ export class ComponentRegistry {
     * Destroy component and cleanup
     */
    destroy() {
-     
-     console.trace(); // This shows the call stack!
- 
+     log.debug('Destroying component:', this.componentName);
+
      // Destroy lifecycle (runs cleanups, stops effects)
      if (this.lifecycle) {
        this.lifecycle.destroy();
@@ -746,15 +835,19 @@ export class ComponentLoader {
         
         return component;
       } catch (error) {
-        console.error(`Error loading component "${name}":`, error);
+        log.error(`Error loading component "${name}":`, error);
         throw error;
       }
     }
     
     /**
      * Parse component HTML into parts
+     *
+     * @param {string} html - Component file
+     * @param {string} componentName
+     * @param {Object} options - { throwOnError } (see TemplateValidator)
      */
-    static parse(html, componentName) {
+    static parse(html, componentName, options = {}) {
       const parser = new DOMParser();
       const doc = parser.parseFromString(html, 'text/html');
       
@@ -763,6 +856,15 @@ export class ComponentLoader {
       if (!templateEl) {
         throw new Error(`Component "${componentName}" must have a <template> tag`);
       }
+
+      // Expressions are checked here, with locations in the component file
+      const errors = TemplateValidator.validate(templateEl.content, {
+        source: html,
+        sourceRoot: templateEl,
+        componentName,
+        throwOnError: options.throwOnError,
+        isComponent: element => ComponentRegistry.has(element.tagName.toLowerCase())
+      });
       
       // Extract script
       const scriptEl = doc.querySelector('script');
@@ -774,7 +876,7 @@ export class ComponentLoader {
           // Create function that exports default object
           definition = this._parseExport(code);
         } catch (error) {
-          console.error(`Error parsing component script for "${componentName}":`, error);
+          parserLog.error(`Error parsing component script for "${componentName}":`, error);
           throw error;
         }
       }
@@ -789,7 +891,8 @@ export class ComponentLoader {
         template: templateEl.content,
         style,
         scoped,
-        definition
+        definition,
+        errors
       };
     }
   
@@ -813,10 +916,17 @@ export class ComponentLoader {
       }
       
       try {
-        // Use Function constructor to evaluate the object in isolated scope
-        // Wrap in parentheses to treat as expression, not statement block
-        const fn = new Function(`'use strict'; return (${cleaned});`);
-        const result = fn();
+        let result;
+
+        if (ExpressionEvaluator.mode === EVALUATOR_MODE.CSP) {
+          // Interpreted, for pages whose CSP forbids eval
+          result = CspEvaluator.evaluate(cleaned);
+        } else {
+          // Use Function constructor to evaluate the object in isolated scope
+          // Wrap in parentheses to treat as expression, not statement block
+          const fn = new Function(`'use strict'; return (${cleaned});`);
+          result = fn();
+        }
         
         if (typeof result !== 'object' || result === null) {
           throw new Error('Component export must be an object');
@@ -824,10 +934,9 @@ export class ComponentLoader {
         
         return result;
       } catch (error) {
-        console.error('Error parsing component definition:');
-        console.error('Original code:', code);
-        console.error('Cleaned code:', cleaned);
-        console.error('Error:', error);
+        parserLog.error('Error parsing component definition:', error);
+        parserLog.debug('Original code:', code);
+        parserLog.debug('Cleaned code:', cleaned);
         throw error;
       }
     }
@@ -887,11 +996,12 @@ export class ScopedStyler {
  * - onMount = effect that runs once
  * - onUnmount = cleanup function
  * - watch/watchEffect = reactive effects (what we already have!)
+ * - Every effect lives in the component's effect scope, stopped on destroy
  */
 export class ComponentLifecycle {
   constructor(component) {
     this.component = component;
-    this.effects = [];
+    this.scope = effectScope(true);
     this.cleanups = [];
     this.mounted = false;
   }
@@ -906,7 +1016,7 @@ export class ComponentLifecycle {
         this.cleanups.push(cleanup);
       }
     } else {
-      const effect = EffectTracker.create(() => {
+      this.scope.run(() => EffectTracker.create(() => {
         if (!this.mounted) {
           this.mounted = true;
           const cleanup = fn();
@@ -914,8 +1024,7 @@ export class ComponentLifecycle {
             this.cleanups.push(cleanup);
           }
         }
-      });
-      this.effects.push(effect);
+      }));
     }
   }
   
@@ -927,41 +1036,17 @@ export class ComponentLifecycle {
   }
   
   /**
-   * watchEffect - Run effect that tracks dependencies
+   * watchEffect - Run effect that tracks dependencies (see watchEffect())
    */
-  watchEffect(fn) {
-    const effect = EffectTracker.create(fn);
-    this.effects.push(effect);
-    return () => effect.stop();
+  watchEffect(fn, options = {}) {
+    return this.scope.run(() => watchEffect(fn, options));
   }
   
   /**
-   * watch - Watch specific property
+   * watch - Watch a source (see watch() for sources and options)
    */
-  watch(getter, callback, options = {}) {
-    let oldValue = undefined;
-    let firstRun = true;
-    
-    const effect = EffectTracker.create(() => {
-      const newValue = getter();
-      
-      if (firstRun) {
-        firstRun = false;
-        if (options.immediate) {
-          callback(newValue, oldValue);
-        }
-        oldValue = newValue;
-        return;
-      }
-      
-      if (newValue !== oldValue) {
-        callback(newValue, oldValue);
-        oldValue = newValue;
-      }
-    });
-    
-    this.effects.push(effect);
-    return () => effect.stop();
+  watch(source, callback, options = {}) {
+    return this.scope.run(() => watch(source, callback, options));
   }
   
   /**
@@ -972,14 +1057,14 @@ export class ComponentLifecycle {
       try {
         cleanup();
       } catch (error) {
-        console.error('Error in component cleanup:', error);
+        log.error('Error in component cleanup:', error);
       }
     });
     
-    this.effects.forEach(effect => effect.stop());
+    this.scope.stop();
     
     this.cleanups = [];
-    this.effects = [];
+    this.scope = effectScope(true);
     this.mounted = false;
   }
 }
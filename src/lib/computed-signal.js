@@ -1,4 +1,11 @@
 import Signal from "./signal";
+import { Effect, EffectTracker } from "./effect";
+import { EffectScope } from "./effect-scope.js";
+import { reactive } from "./reactive.js";
+import { FLUSH_MODE } from "./constants.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger('signal');
 
 /**
  * ComputedSignal - A cached, reactive computed value
@@ -8,6 +15,11 @@ import Signal from "./signal";
  * - Automatic caching (reuses result until dependencies change)
  * - Dependency tracking (knows what it depends on)
  * - Works like a signal (can be tracked by effects)
+ * - Glitch-free: a change upstream only marks it dirty and passes the
+ *   dirtiness on; the value is recomputed when someone reads it, after all
+ *   its own dependencies are up to date. Readers therefore never observe a
+ *   mix of old and new state, and an effect whose computed recomputes to
+ *   the same value is skipped entirely.
  *
  * @example
  * const total = computed(() => {
@@ -19,55 +31,105 @@ import Signal from "./signal";
  *
  * cart.items.push({...}); // Dependencies changed
  * console.log(total.value); // Recomputes: 20.00
+ *
+ * A computed with a setter is writable: assigning .value calls the setter,
+ * which updates the underlying state and so the computed itself.
+ *
+ * Options:
+ * - set: setter for a writable computed
+ * - equals: comparator deciding whether a recomputed value is a change
+ *   (default Object.is; 'shallow' and 'deep' are built in)
+ *
+ * subscribe(callback) callbacks get (newValue, oldValue) right after a
+ * recompute that really changed the value - never on mere dirtiness.
  */
 export class ComputedSignal extends Signal {
-    constructor(getter, context = null) {
-      super(undefined);
+    constructor(getter, context = null, options = {}) {
+      super(undefined, { equals: options.equals });
   
       this.getter = getter;
+      this.setter = options.set || null;
       this.context = context; // For binding 'this'
-      this.effect = null;
+      this.isComputed = true;
       this.dirty = true; // Needs recomputation
-  
-      this._setupEffect();
+      this.active = true;
+      this.sources = new Map(); // Signal -> unsubscribe
+      this._watcher = null; // Recomputes eagerly while subscribe()d to
+
+      // Owned by the active effect scope, like any effect
+      this.scope = EffectScope.active;
+      if (this.scope) {
+        this.scope.add(this);
+      }
     }
   
     /**
-     * Set up effect to track dependencies and mark dirty when they change
+     * Called by signals read inside the getter (the computed acts as the
+     * current effect while it evaluates)
      */
-    _setupEffect() {
-      this.effect = new Effect(() => {
-        // Evaluate getter to track dependencies
-        const newValue = this.context
-          ? this.getter.call(this.context)
-          : this.getter();
-  
-        // Only update if value actually changed
-        if (this._value !== newValue) {
-          this._value = newValue;
-          this._notify(newValue, this._value);
+    track(signal) {
+      if (this.sources.has(signal)) return;
+
+      const unsubscribe = signal._depend(() => this._markDirty());
+      this.sources.set(signal, unsubscribe);
+    }
+
+    /**
+     * A dependency changed: remember to recompute and tell our own
+     * subscribers that we may have changed (without computing anything)
+     */
+    _markDirty() {
+      if (this.dirty || !this.active) return;
+
+      this.dirty = true;
+      this._dispatch(Array.from(this._dependents), undefined, this._value);
+    }
+
+    subscribe(callback) {
+      const unsubscribe = super.subscribe(callback);
+
+      if (!this._watcher && this.active) {
+        this._watch();
+      }
+
+      return () => {
+        unsubscribe();
+
+        if (this._subscribers.size === 0 && this._watcher) {
+          this._watcher.stop();
+          this._watcher = null;
         }
-  
-        // No longer dirty
-        this.dirty = false;
-      });
-  
-      // Override effect's run to mark dirty instead of running immediately
-      const originalRun = this.effect.run.bind(this.effect);
-      this.effect.run = () => {
-        this.dirty = true;
-        // Don't compute yet - wait for someone to access .value
       };
     }
+
+    /**
+     * Sync effect that re-reads the value whenever it may have changed; like
+     * any effect it only re-runs on a real change
+     */
+    _watch() {
+      let initialized = false;
+      let oldValue;
+
+      this._watcher = EffectScope.runIn(null, () => new Effect(() => {
+        const newValue = this.value;
+
+        if (initialized) {
+          // Subscriber reads must not become the watcher's dependencies
+          EffectTracker.track(null, () => {
+            this._dispatch(Array.from(this._subscribers), newValue, oldValue);
+          });
+        }
+
+        initialized = true;
+        oldValue = newValue;
+      }, { flush: FLUSH_MODE.SYNC }));
+    }
   
     /**
      * Get the computed value (lazy evaluation)
      */
     get value() {
-      // If dirty, recompute
-      if (this.dirty) {
-        this._recompute();
-      }
+      this._refresh();
   
       // Track this computed as a dependency (if inside an effect)
       if (EffectTracker.current) {
@@ -76,41 +138,90 @@ export class ComputedSignal extends Signal {
   
       return this._value;
     }
+
+    /**
+     * Up-to-date value, without becoming a dependency of the running effect
+     */
+    peek() {
+      this._refresh();
+      return this._value;
+    }
   
     /**
-     * Computed values are read-only
+     * Writable computeds delegate to their setter; others are read-only
      */
     set value(newValue) {
-      console.warn('Cannot set value of computed property. Computed values are read-only.');
+      if (!this.setter) {
+        log.warn('Cannot set value of computed property. Computed values are read-only.');
+        return;
+      }
+
+      if (this.context) {
+        this.setter.call(this.context, newValue);
+      } else {
+        this.setter(newValue);
+      }
+    }
+
+    get writable() {
+      return !!this.setter;
+    }
+
+    /**
+     * Recompute if dirty. Reading other computeds inside the getter refreshes
+     * them first, so recomputation always happens in dependency order.
+     */
+    _refresh() {
+      if (this.dirty || !this.active) {
+        this._recompute();
+      }
     }
   
     /**
      * Force recomputation
      */
     _recompute() {
-      this.effect.run = this.effect.run.bind(this.effect);
-  
-      // Run the getter to get new value
-      const newValue = this.context
-        ? this.getter.call(this.context)
-        : this.getter();
-  
-      // Update if changed
-      if (this._value !== newValue) {
+      this._clearSources();
+
+      // Run the getter (tracking its dependencies) to get new value
+      const newValue = this.active
+        ? EffectTracker.track(this, () => this._evaluate())
+        : this._evaluate();
+
+      this.dirty = false;
+
+      // Bump the version only on a real change - readers compare versions.
+      // The very first evaluation always counts as a change.
+      if (this._version === 0 || !this.equals(this._value, newValue)) {
         this._value = newValue;
-        this._notify(newValue, this._value);
+        this._version++;
       }
-  
-      this.dirty = false;
+    }
+
+    _evaluate() {
+      return this.context
+        ? this.getter.call(this.context)
+        : this.getter();
+    }
+
+    _clearSources() {
+      this.sources.forEach(unsubscribe => unsubscribe());
+      this.sources.clear();
     }
   
     /**
      * Dispose of this computed (stop tracking)
      */
     dispose() {
-      if (this.effect) {
-        this.effect.stop();
-        this.effect = null;
+      this.active = false;
+      this._clearSources();
+      if (this._watcher) {
+        this._watcher.stop();
+        this._watcher = null;
+      }
+      if (this.scope) {
+        this.scope.remove(this);
+        this.scope = null;
       }
       super.dispose();
     }
@@ -119,42 +230,95 @@ export class ComputedSignal extends Signal {
   /**
    * asyncComputed - Computed value from async function
    *
-   * @param {Function} getter - Async function
+   * The getter runs inside an effect: reactive reads made before its first
+   * await are tracked, and changing any of them runs it again. Each run
+   * receives an AbortSignal that is aborted when a newer run starts (or the
+   * owning scope is disposed); results of superseded runs are discarded, so
+   * a slow early response never overwrites a later one.
+   *
+   * @param {Function} getter - Async function (abortSignal) => Promise
    * @param {*} defaultValue - Value while loading
-   * @returns {Object} - { value, loading, error }
+   * @returns {Object} - Reactive { value, loading, error, refresh() }
+   *
+   * @example
+   * const results = asyncComputed(async (signal) => {
+   *   const response = await fetch(`/search?q=${state.query}`, { signal });
+   *   return response.json();
+   * }, []);
+   *
+   * // <ul :if="!results.loading">...</ul>
+   * // <button @click="results.refresh()">Retry</button>
    */
   export function asyncComputed(getter, defaultValue = null) {
+    let controller = null;
+    let currentRun = 0;
+    let effect = null;
+
     const state = reactive({
       value: defaultValue,
       loading: false,
-      error: null
+      error: null,
+      refresh: () => effect && effect.run()
     });
-  
-    const compute = async () => {
+
+    const abort = () => {
+      if (controller) {
+        controller.abort();
+        controller = null;
+      }
+    };
+
+    const compute = () => {
+      abort();
+      controller = new AbortController();
+
+      const run = ++currentRun;
+      const abortSignal = controller.signal;
+      const isCurrent = () => run === currentRun && !abortSignal.aborted;
+
       state.loading = true;
       state.error = null;
-  
+
+      let pending;
       try {
-        const result = await getter();
-        state.value = result;
+        pending = Promise.resolve(getter(abortSignal));
       } catch (err) {
-        state.error = err;
-      } finally {
-        state.loading = false;
+        pending = Promise.reject(err);
       }
+
+      pending.then(result => {
+        if (isCurrent()) {
+          state.value = result;
+        }
+      }, err => {
+        if (isCurrent()) {
+          state.error = err;
+        }
+      }).finally(() => {
+        if (run === currentRun) {
+          state.loading = false;
+          controller = null;
+        }
+      });
     };
-  
-    // Initial computation
-    compute();
-  
+
+    // Initial computation (and every time a tracked read changes)
+    effect = EffectTracker.create(compute);
+
+    if (EffectScope.active) {
+      EffectScope.active.cleanups.push(abort);
+    }
+
     return state;
   }
   
   /**
    * computed - Create a computed property
    *
-   * @param {Function} getter - Function that computes the value
-   * @param {Object} context - Optional 'this' context for getter
+   * @param {Function|Object} getter - Function that computes the value, or
+   *   { get, set } for a writable computed
+   * @param {Object} context - Optional 'this' context for getter (and setter)
+   * @param {Object} options - { equals } change comparator
    * @returns {ComputedSignal} - Computed signal
    *
    * @example
@@ -169,7 +333,24 @@ export class ComputedSignal extends Signal {
    * // Chained computed
    * const tax = computed(() => total.value * 0.1);
    * const grandTotal = computed(() => total.value + tax.value);
+   *
+   * // Writable computed
+   * const fullName = computed({
+   *   get: () => `${user.first} ${user.last}`,
+   *   set: (value) => { [user.first, user.last] = value.split(' '); }
+   * });
+   * fullName.value = 'Ada Lovelace'; // user.first === 'Ada'
+   *
+   * // Structurally equal results don't re-run dependents
+   * const active = computed(() => todos.filter(t => !t.done), null, { equals: 'shallow' });
    */
-  export function computed(getter, context = null) {
-    return new ComputedSignal(getter, context);
+  export function computed(getter, context = null, options = {}) {
+    if (typeof getter === 'object' && getter !== null) {
+      return new ComputedSignal(getter.get, context, {
+        set: getter.set,
+        equals: getter.equals,
+        ...options
+      });
+    }
+    return new ComputedSignal(getter, context, options);
   }
@@ -1,3 +1,7 @@
+import { createLogger } from './logger.js';
+
+const log = createLogger('binding');
+
 /**
  * ConditionalBinding - Manages :if/:else-if/:else branches
  *
@@ -51,6 +55,12 @@ class ConditionalBinding {
   
         // No condition was true - hide all
         this._hideAll();
+      }, {
+        meta: {
+          bindingName: 'if',
+          element: this.conditionalConfig.anchor,
+          expression: this.conditionalConfig.branches.map(branch => branch.expression).join(' / ')
+        }
       });
     }
   
@@ -61,7 +71,7 @@ class ConditionalBinding {
       try {
         return ExpressionEvaluator.evaluate(expression, this.contextStack);
       } catch (error) {
-        console.warn(`Error evaluating condition: "${expression}"`, error);
+        log.warn(`Error evaluating condition: "${expression}"`, error);
         return false;
       }
     }
@@ -132,7 +142,7 @@ class ConditionalBinding {
   
       // Re-parse the branch element
       const parser = new ReactiveHTMLParser();
-      branch.parsed = parser.parse(branch.element, this.contextStack);
+      branch.parsed = parser.parse(branch.element, this.contextStack, { validate: false });
   
       // Create fresh bindings
       branch.bindings = [];
@@ -18,14 +18,28 @@ export const DIRECTIVE_PREFIX = {
     KEY: ':key',
     MODEL: 'data-model'
   };
+
+  // Text Interpolation ({{ expression }}, \{{ for literal braces)
+  export const INTERPOLATION = {
+    OPEN: '{{',
+    CLOSE: '}}',
+    ESCAPE: '\\{{'
+  };
   
   // Reserved Property Names
   export const RESERVED_PROPS = {
     IS_REACTIVE: '__isReactive',
+    IS_READONLY: '__isReadonly',
+    IS_SHALLOW: '__isShallow',
     RAW: '__raw',
     SIGNALS: '__signals'
   };
-  
+
+  // Internal Signal Keys (symbols never collide with user keys)
+  export const SIGNAL_KEY = {
+    ITERATE: Symbol('iterate')
+  };
+
   // Component Definition Keys
   export const COMPONENT_KEYS = {
     DATA: 'data',
@@ -62,7 +76,8 @@ export const DIRECTIVE_PREFIX = {
   export const BINDING_TYPE = {
     PROPERTY: 'property',
     EVENT: 'event',
-    MODEL: 'model'
+    MODEL: 'model',
+    INTERPOLATION: 'interpolation'
   };
   
   // Special Tags to Skip
@@ -85,15 +100,51 @@ export const DIRECTIVE_PREFIX = {
     TARGET: '$target'
   };
   
+  // Globals Available in Every Expression
+  export const TEMPLATE_GLOBAL = {
+    STORE: '$store'
+  };
+
+  // Log Levels (lowest to highest)
+  export const LOG_LEVEL = {
+    DEBUG: 'debug',
+    INFO: 'info',
+    WARN: 'warn',
+    ERROR: 'error',
+    SILENT: 'silent'
+  };
+
   // Error Types
   export const ERROR_TYPE = {
     BINDING: 'binding',
     EVENT: 'event',
     EFFECT: 'effect',
     COMPONENT: 'component',
-    PARSE: 'parse'
+    PARSE: 'parse',
+    SCHEDULER: 'scheduler'
   };
   
+  // Scheduler Flush Modes
+  export const FLUSH_MODE = {
+    SYNC: 'sync',
+    MICROTASK: 'microtask',
+    ANIMATION_FRAME: 'animationFrame',
+    IDLE: 'idle'
+  };
+
+  // Expression Evaluators (see setExpressionEvaluator)
+  export const EVALUATOR_MODE = {
+    FUNCTION: 'function',   // new Function + with (default)
+    CSP: 'csp'              // AST interpreter, works without 'unsafe-eval'
+  };
+
+  // Effect Phases - order of effects within one flush
+  export const EFFECT_PHASE = {
+    PRE: -1,      // watchers with flush: 'pre' (before the DOM updates)
+    RENDER: 0,    // bindings
+    POST: 1       // watchers with flush: 'post' (after the DOM updates)
+  };
+
   // Loop Config Keys
   export const LOOP_CONFIG = {
     ITEM_NAME: 'itemName',
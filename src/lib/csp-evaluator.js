@@ -0,0 +1,2055 @@
+/**
+ * CspEvaluator - Expression evaluation without new Function or with
+ *
+ * Pages served with a strict Content-Security-Policy (no 'unsafe-eval')
+ * cannot compile code at runtime. This evaluator tokenizes and parses
+ * expressions into an AST, then compiles the AST into plain closures that
+ * run against the merged context stack - no code is ever generated.
+ *
+ * Design principles:
+ * - Covers what templates and component definitions use: literals
+ *   (incl. template literals), member access and optional chaining, calls
+ *   and `new`, operators, ternaries, assignments, spread, object and array
+ *   literals, arrow functions, functions and methods whose bodies use
+ *   declarations (with destructuring), if, for, for...of, while, return,
+ *   break, continue, throw and try
+ * - Identifiers resolve like `with (context)`: locals first, then the
+ *   context, then globals; an unknown name is a ReferenceError
+ * - Errors match native ones (SyntaxError while compiling, TypeError /
+ *   ReferenceError while running), so callers report them the same way
+ * - Not a sandbox: expressions reach the same globals as before
+ * - Anything else (regex literals, classes, async/await, generators,
+ *   getters/setters, switch, do...while, for...in, labels, tagged
+ *   templates, destructuring assignment) is valid JavaScript the
+ *   evaluator rejects at compile time: a SyntaxError with `unsupported`
+ *   set, so it can be told apart from a typo
+ *
+ * @example
+ * const fn = CspEvaluator.compile("items.filter(i => i.price > min).length");
+ * fn({ items, min: 5 }); // 2
+ *
+ * setExpressionEvaluator('csp'); // Use it for every binding
+ */
+
+// ============================================================================
+// Tokenizer
+// ============================================================================
+
+const PUNCTUATORS = new Set([
+  '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+  '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=',
+  '*=', '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>',
+  '{', '}', '(', ')', '[', ']', ';', ',', '<', '>', '+', '-', '*', '/', '%',
+  '&', '|', '^', '!', '~', '?', ':', '=', '.'
+]);
+
+const RESERVED_WORDS = new Set([
+  'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default',
+  'delete', 'do', 'else', 'export', 'extends', 'finally', 'for', 'function', 'if',
+  'import', 'in', 'instanceof', 'new', 'return', 'super', 'switch', 'this',
+  'throw', 'try', 'typeof', 'var', 'void', 'while', 'with', 'true', 'false', 'null'
+]);
+
+// After these words a `/` would start a regular expression, not a division
+const KEYWORDS_BEFORE_EXPRESSION = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+  'throw', 'case', 'do', 'else'
+]);
+
+const IDENTIFIER_START = /[\p{ID_Start}$_]/u;
+const IDENTIFIER_PART = /[\p{ID_Continue}$‌‍]/u;
+const DIGIT = /[0-9]/;
+const NUMBER = /^(?:0[xX][\da-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/;
+
+function syntaxError(message, position) {
+  const error = new SyntaxError(message);
+  error.position = position;
+  return error;
+}
+
+function unsupported(what, position) {
+  const error = syntaxError(`${what} is not supported by the CSP-safe evaluator`, position);
+  error.unsupported = true; // Valid JavaScript, just not interpretable here
+  return error;
+}
+
+class Tokenizer {
+  constructor(source, position = 0) {
+    this.source = source;
+    this.pos = position;
+    this.last = null;
+  }
+
+  next() {
+    const newlineBefore = this._skipWhitespace();
+    const start = this.pos;
+    const ch = this.source[this.pos];
+    let token;
+
+    if (ch === undefined) {
+      token = { type: 'eof', value: null };
+    } else if (IDENTIFIER_START.test(ch)) {
+      token = this._readName();
+    } else if (DIGIT.test(ch) || (ch === '.' && DIGIT.test(this.source[this.pos + 1] || ''))) {
+      token = this._readNumber();
+    } else if (ch === '"' || ch === "'") {
+      token = this._readString(ch);
+    } else if (ch === '`') {
+      token = this._readTemplate();
+    } else if (ch === '/' && this._regexAllowed()) {
+      throw unsupported('Regular expression literal (use new RegExp())', start);
+    } else {
+      token = this._readPunctuator();
+    }
+
+    token.start = start;
+    token.end = this.pos;
+    token.newlineBefore = newlineBefore;
+    this.last = token;
+    return token;
+  }
+
+  /**
+   * Skip whitespace and comments; report whether a line break was crossed
+   */
+  _skipWhitespace() {
+    const { source } = this;
+    let newline = false;
+
+    while (this.pos < source.length) {
+      const ch = source[this.pos];
+
+      if (ch === '\n' || ch === '\r') {
+        newline = true;
+        this.pos++;
+      } else if (/\s/.test(ch)) {
+        this.pos++;
+      } else if (ch === '/' && source[this.pos + 1] === '/') {
+        while (this.pos < source.length && source[this.pos] !== '\n') {
+          this.pos++;
+        }
+      } else if (ch === '/' && source[this.pos + 1] === '*') {
+        const end = source.indexOf('*/', this.pos + 2);
+        if (end === -1) {
+          throw syntaxError('Invalid or unexpected token', this.pos);
+        }
+        newline = newline || source.slice(this.pos, end).includes('\n');
+        this.pos = end + 2;
+      } else {
+        break;
+      }
+    }
+
+    return newline;
+  }
+
+  _regexAllowed() {
+    const { last } = this;
+    if (!last) return true;
+    if (last.type === 'punc') return last.value !== ')' && last.value !== ']' && last.value !== '}';
+    if (last.type === 'name') return KEYWORDS_BEFORE_EXPRESSION.has(last.value);
+    return false;
+  }
+
+  _readName() {
+    const start = this.pos;
+    while (this.pos < this.source.length && IDENTIFIER_PART.test(this.source[this.pos])) {
+      this.pos++;
+    }
+    return { type: 'name', value: this.source.slice(start, this.pos) };
+  }
+
+  _readNumber() {
+    const text = NUMBER.exec(this.source.slice(this.pos))[0];
+    this.pos += text.length;
+
+    if (IDENTIFIER_PART.test(this.source[this.pos] || '')) {
+      throw syntaxError('Invalid or unexpected token', this.pos);
+    }
+    return { type: 'num', value: Number(text) };
+  }
+
+  _readString(quote) {
+    const start = this.pos;
+    let value = '';
+    this.pos++;
+
+    for (;;) {
+      const ch = this.source[this.pos];
+
+      if (ch === undefined || ch === '\n' || ch === '\r') {
+        throw syntaxError('Invalid or unexpected token', start);
+      }
+      if (ch === quote) {
+        this.pos++;
+        return { type: 'str', value };
+      }
+      if (ch === '\\') {
+        value += this._readEscape();
+      } else {
+        value += ch;
+        this.pos++;
+      }
+    }
+  }
+
+  /**
+   * Read one escape sequence (at the backslash) and return what it means
+   */
+  _readEscape() {
+    const ch = this.source[++this.pos];
+    this.pos++;
+
+    switch (ch) {
+      case 'n': return '\n';
+      case 't': return '\t';
+      case 'r': return '\r';
+      case 'b': return '\b';
+      case 'f': return '\f';
+      case 'v': return '\v';
+      case '0': return '\0';
+      case 'x': return this._readCodePoint(/^[\da-fA-F]{2}/);
+      case 'u': return this._readCodePoint(/^[\da-fA-F]{4}/);
+      case undefined:
+        throw syntaxError('Invalid or unexpected token', this.pos - 1);
+      default:
+        return ch;
+    }
+  }
+
+  _readCodePoint(pattern) {
+    const match = pattern.exec(this.source.slice(this.pos));
+    if (!match) {
+      throw syntaxError('Invalid hexadecimal escape sequence', this.pos);
+    }
+    this.pos += match[0].length;
+    return String.fromCharCode(parseInt(match[0], 16));
+  }
+
+  /**
+   * Template literal: cooked strings plus the tokens of each ${...}
+   */
+  _readTemplate() {
+    const start = this.pos;
+    const quasis = [];
+    const expressions = [];
+    let current = '';
+    this.pos++;
+
+    for (;;) {
+      const ch = this.source[this.pos];
+
+      if (ch === undefined) {
+        throw syntaxError('Unterminated template literal', start);
+      }
+      if (ch === '`') {
+        this.pos++;
+        quasis.push(current);
+        return { type: 'template', value: { quasis, expressions } };
+      }
+      if (ch === '\\') {
+        current += this._readEscape();
+      } else if (ch === '$' && this.source[this.pos + 1] === '{') {
+        quasis.push(current);
+        current = '';
+        expressions.push(this._readTemplateExpression());
+      } else {
+        current += ch;
+        this.pos++;
+      }
+    }
+  }
+
+  _readTemplateExpression() {
+    const inner = new Tokenizer(this.source, this.pos + 2);
+    const tokens = [];
+    let depth = 0;
+
+    for (;;) {
+      const token = inner.next();
+
+      if (token.type === 'eof') {
+        throw syntaxError('Unterminated template literal', this.pos);
+      }
+      if (token.type === 'punc' && token.value === '{') depth++;
+      if (token.type === 'punc' && token.value === '}') {
+        if (depth === 0) {
+          tokens.push({ type: 'eof', value: null, start: token.start, end: token.start, newlineBefore: false });
+          this.pos = inner.pos;
+          return tokens;
+        }
+        depth--;
+      }
+      tokens.push(token);
+    }
+  }
+
+  _readPunctuator() {
+    for (let length = 4; length > 0; length--) {
+      const candidate = this.source.slice(this.pos, this.pos + length);
+
+      if (candidate.length === length && PUNCTUATORS.has(candidate)) {
+        // a?.5:b is a ternary with .5, not optional chaining
+        if (candidate === '?.' && DIGIT.test(this.source[this.pos + 2] || '')) continue;
+
+        this.pos += length;
+        return { type: 'punc', value: candidate };
+      }
+    }
+
+    throw syntaxError('Invalid or unexpected token', this.pos);
+  }
+}
+
+export function tokenize(source) {
+  const tokenizer = new Tokenizer(source);
+  const tokens = [];
+  let token;
+
+  do {
+    token = tokenizer.next();
+    tokens.push(token);
+  } while (token.type !== 'eof');
+
+  return tokens;
+}
+
+// ============================================================================
+// Parser (ESTree-shaped AST)
+// ============================================================================
+
+const ASSIGNMENT_OPERATORS = new Set([
+  '=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=', '&=', '|=', '^=',
+  '&&=', '||=', '??='
+]);
+
+const BINARY_PRECEDENCE = new Map([
+  ['??', 1], ['||', 1], ['&&', 2], ['|', 3], ['^', 4], ['&', 5],
+  ['==', 6], ['!=', 6], ['===', 6], ['!==', 6],
+  ['<', 7], ['>', 7], ['<=', 7], ['>=', 7], ['instanceof', 7], ['in', 7],
+  ['<<', 8], ['>>', 8], ['>>>', 8],
+  ['+', 9], ['-', 9], ['*', 10], ['/', 10], ['%', 10], ['**', 11]
+]);
+
+const LOGICAL_OPERATORS = new Set(['&&', '||', '??']);
+const UNARY_OPERATORS = new Set(['!', '-', '+', '~', 'typeof', 'void', 'delete']);
+
+// Statements that are valid JavaScript but not interpreted here
+const UNSUPPORTED_STATEMENTS = {
+  switch: 'switch',
+  do: 'do...while',
+  function: 'Function declaration (use const fn = () => ...)',
+  class: 'class',
+  import: 'import',
+  export: 'export',
+  with: 'with',
+  debugger: 'debugger'
+};
+
+class Parser {
+  constructor(source, tokens = tokenize(source)) {
+    this.source = source;
+    this.tokens = tokens;
+    this.index = 0;
+    this.lastEnd = 0;
+  }
+
+  /**
+   * Parse a whole source string as one expression
+   */
+  static parseExpression(source) {
+    const parser = new Parser(source);
+    const expression = parser.parseExpression();
+    parser.expectEnd();
+    return expression;
+  }
+
+  /**
+   * Parse a whole source string as a statement list (event handlers)
+   */
+  static parseStatements(source) {
+    const parser = new Parser(source);
+    const body = [];
+    while (parser.token.type !== 'eof') {
+      body.push(parser.parseStatement());
+    }
+    return body;
+  }
+
+  // --------------------------------------------------------------------------
+  // Token helpers
+  // --------------------------------------------------------------------------
+
+  get token() {
+    return this.tokens[this.index];
+  }
+
+  peek(offset = 1) {
+    return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+  }
+
+  advance() {
+    const token = this.tokens[this.index];
+    if (token.type !== 'eof') {
+      this.index++;
+      this.lastEnd = token.end;
+    }
+    return token;
+  }
+
+  is(value, token = this.token) {
+    return token.type === 'punc' && token.value === value;
+  }
+
+  isName(value, token = this.token) {
+    return token.type === 'name' && token.value === value;
+  }
+
+  eat(value) {
+    return this.is(value) ? this.advance() : null;
+  }
+
+  expect(value) {
+    if (!this.is(value)) this.unexpected();
+    return this.advance();
+  }
+
+  expectEnd() {
+    if (this.token.type !== 'eof') this.unexpected();
+  }
+
+  unexpected(token = this.token) {
+    switch (token.type) {
+      case 'eof': throw syntaxError('Unexpected end of input', token.start);
+      case 'num': throw syntaxError('Unexpected number', token.start);
+      case 'str': throw syntaxError('Unexpected string', token.start);
+      case 'template': throw syntaxError('Unexpected template string', token.start);
+      case 'name':
+        if (!RESERVED_WORDS.has(token.value)) {
+          throw syntaxError(`Unexpected identifier '${token.value}'`, token.start);
+        }
+        throw syntaxError(`Unexpected token '${token.value}'`, token.start);
+      default:
+        throw syntaxError(`Unexpected token '${this.source.slice(token.start, token.end)}'`, token.start);
+    }
+  }
+
+  /**
+   * Automatic semicolon insertion: `;`, or a line break, `}` or the end
+   */
+  consumeSemicolon() {
+    if (this.eat(';')) return;
+    if (this.is('}') || this.token.type === 'eof' || this.token.newlineBefore) return;
+    this.unexpected();
+  }
+
+  finish(node, start) {
+    node.start = start;
+    node.end = this.lastEnd;
+    return node;
+  }
+
+  // --------------------------------------------------------------------------
+  // Expressions
+  // --------------------------------------------------------------------------
+
+  parseExpression() {
+    const start = this.token.start;
+    const first = this.parseAssignment();
+    if (!this.is(',')) return first;
+
+    const expressions = [first];
+    while (this.eat(',')) {
+      expressions.push(this.parseAssignment());
+    }
+    return this.finish({ type: 'SequenceExpression', expressions }, start);
+  }
+
+  parseAssignment() {
+    const start = this.token.start;
+
+    if (this.isArrowAhead()) {
+      return this.parseArrow();
+    }
+    if (this.isName('yield')) {
+      throw unsupported('yield', start);
+    }
+
+    const left = this.parseConditional();
+    const operator = this.token;
+
+    if (operator.type === 'punc' && ASSIGNMENT_OPERATORS.has(operator.value)) {
+      if (left.type === 'ArrayExpression' || left.type === 'ObjectExpression') {
+        throw unsupported('Destructuring assignment', left.start);
+      }
+      if (left.type !== 'Identifier' && left.type !== 'MemberExpression') {
+        throw syntaxError('Invalid left-hand side in assignment', left.start);
+      }
+      this.advance();
+      const right = this.parseAssignment();
+      return this.finish({ type: 'AssignmentExpression', operator: operator.value, left, right }, start);
+    }
+
+    return left;
+  }
+
+  /**
+   * `x =>` or `( ... ) =>`
+   */
+  isArrowAhead() {
+    const { token } = this;
+
+    if (token.type === 'name') {
+      return !RESERVED_WORDS.has(token.value) && this.is('=>', this.peek());
+    }
+    if (!this.is('(')) return false;
+
+    let depth = 0;
+    for (let i = this.index; i < this.tokens.length; i++) {
+      const current = this.tokens[i];
+      if (current.type !== 'punc') continue;
+
+      if (current.value === '(' || current.value === '[' || current.value === '{') depth++;
+      if (current.value === ')' || current.value === ']' || current.value === '}') depth--;
+      if (depth === 0) {
+        return this.is('=>', this.tokens[i + 1] || current);
+      }
+    }
+    return false;
+  }
+
+  parseArrow() {
+    const start = this.token.start;
+    const params = this.token.type === 'name'
+      ? [this.parseBindingIdentifier()]
+      : this.parseParams();
+
+    this.expect('=>');
+
+    const node = { type: 'ArrowFunctionExpression', id: null, params, isArrow: true };
+    if (this.is('{')) {
+      node.expression = false;
+      node.body = this.parseBlock();
+    } else {
+      node.expression = true;
+      node.body = this.parseAssignment();
+    }
+    return this.finish(node, start);
+  }
+
+  parseConditional() {
+    const start = this.token.start;
+    const test = this.parseBinary(0);
+    if (!this.eat('?')) return test;
+
+    const consequent = this.parseAssignment();
+    this.expect(':');
+    const alternate = this.parseAssignment();
+    return this.finish({ type: 'ConditionalExpression', test, consequent, alternate }, start);
+  }
+
+  binaryOperator() {
+    const { token } = this;
+    if (token.type === 'punc') return token.value;
+    if (token.type === 'name' && (token.value === 'instanceof' || token.value === 'in')) {
+      return token.value;
+    }
+    return null;
+  }
+
+  parseBinary(minPrecedence) {
+    const start = this.token.start;
+    let left = this.parseUnary();
+
+    for (;;) {
+      const operator = this.binaryOperator();
+      const precedence = operator !== null ? BINARY_PRECEDENCE.get(operator) : undefined;
+      if (precedence === undefined || precedence <= minPrecedence) return left;
+
+      this.advance();
+      // ** is right-associative
+      const right = this.parseBinary(operator === '**' ? precedence - 1 : precedence);
+      const type = LOGICAL_OPERATORS.has(operator) ? 'LogicalExpression' : 'BinaryExpression';
+      left = this.finish({ type, operator, left, right }, start);
+    }
+  }
+
+  parseUnary() {
+    const { token } = this;
+    const start = token.start;
+
+    if ((token.type === 'punc' || token.type === 'name') && UNARY_OPERATORS.has(token.value)) {
+      this.advance();
+      const argument = this.parseUnary();
+      return this.finish({ type: 'UnaryExpression', operator: token.value, argument }, start);
+    }
+
+    if (this.is('++') || this.is('--')) {
+      this.advance();
+      const argument = this.checkSimpleTarget(this.parseUnary(), 'Invalid left-hand side expression in prefix operation');
+      return this.finish({ type: 'UpdateExpression', operator: token.value, prefix: true, argument }, start);
+    }
+
+    if (this.isName('await')) {
+      throw unsupported('await', start);
+    }
+
+    const expression = this.parseCallOrMember();
+
+    if ((this.is('++') || this.is('--')) && !this.token.newlineBefore) {
+      const operator = this.advance().value;
+      const argument = this.checkSimpleTarget(expression, 'Invalid left-hand side expression in postfix operation');
+      return this.finish({ type: 'UpdateExpression', operator, prefix: false, argument }, start);
+    }
+
+    return expression;
+  }
+
+  checkSimpleTarget(node, message) {
+    if (node.type === 'Identifier' || node.type === 'MemberExpression') return node;
+    throw syntaxError(message, node.start);
+  }
+
+  parseCallOrMember() {
+    const start = this.token.start;
+    let expression = this.isName('new') ? this.parseNew() : this.parsePrimary();
+    let chained = false;
+
+    for (;;) {
+      const optional = !!this.eat('?.');
+      chained = chained || optional;
+
+      if (this.eat('(')) {
+        const args = this.parseArguments();
+        expression = this.finish({ type: 'CallExpression', callee: expression, arguments: args, optional }, start);
+      } else if (this.eat('[')) {
+        const property = this.parseExpression();
+        this.expect(']');
+        expression = this.finish({ type: 'MemberExpression', object: expression, property, computed: true, optional }, start);
+      } else if (optional || this.eat('.')) {
+        const property = this.parseIdentifierName();
+        expression = this.finish({ type: 'MemberExpression', object: expression, property, computed: false, optional }, start);
+      } else if (this.token.type === 'template') {
+        throw unsupported('Tagged template', this.token.start);
+      } else {
+        break;
+      }
+    }
+
+    return chained
+      ? this.finish({ type: 'ChainExpression', expression }, start)
+      : expression;
+  }
+
+  parseNew() {
+    const start = this.token.start;
+    this.advance();
+
+    if (this.is('.')) {
+      throw unsupported('new.target', start);
+    }
+
+    let callee = this.parsePrimary();
+    for (;;) {
+      if (this.eat('.')) {
+        const property = this.parseIdentifierName();
+        callee = this.finish({ type: 'MemberExpression', object: callee, property, computed: false, optional: false }, start);
+      } else if (this.eat('[')) {
+        const property = this.parseExpression();
+        this.expect(']');
+        callee = this.finish({ type: 'MemberExpression', object: callee, property, computed: true, optional: false }, start);
+      } else {
+        break;
+      }
+    }
+
+    const args = this.eat('(') ? this.parseArguments() : [];
+    return this.finish({ type: 'NewExpression', callee, arguments: args }, start);
+  }
+
+  /**
+   * Arguments or array elements up to and including the closing bracket
+   */
+  parseElements(close) {
+    const elements = [];
+    while (!this.eat(close)) {
+      const start = this.token.start;
+      if (this.eat('...')) {
+        elements.push(this.finish({ type: 'SpreadElement', argument: this.parseAssignment() }, start));
+      } else {
+        elements.push(this.parseAssignment());
+      }
+      if (!this.is(close)) this.expect(',');
+    }
+    return elements;
+  }
+
+  parseArguments() {
+    return this.parseElements(')');
+  }
+
+  parsePrimary() {
+    const { token } = this;
+    const start = token.start;
+
+    switch (token.type) {
+      case 'num':
+      case 'str':
+        this.advance();
+        return this.finish({ type: 'Literal', value: token.value }, start);
+
+      case 'template': {
+        this.advance();
+        const expressions = token.value.expressions.map(tokens => {
+          const parser = new Parser(this.source, tokens);
+          const expression = parser.parseExpression();
+          parser.expectEnd();
+          return expression;
+        });
+        return this.finish({ type: 'TemplateLiteral', quasis: token.value.quasis, expressions }, start);
+      }
+
+      case 'name':
+        return this.parseNamePrimary();
+
+      case 'punc':
+        if (this.eat('(')) {
+          const expression = this.parseExpression();
+          this.expect(')');
+          return expression;
+        }
+        if (this.eat('[')) {
+          return this.finish({ type: 'ArrayExpression', elements: this.parseElements(']') }, start);
+        }
+        if (token.value === '{') return this.parseObjectLiteral();
+        break;
+
+      default:
+        break;
+    }
+
+    return this.unexpected();
+  }
+
+  parseNamePrimary() {
+    const { token } = this;
+    const start = token.start;
+
+    switch (token.value) {
+      case 'true':
+      case 'false':
+        this.advance();
+        return this.finish({ type: 'Literal', value: token.value === 'true' }, start);
+      case 'null':
+        this.advance();
+        return this.finish({ type: 'Literal', value: null }, start);
+      case 'this':
+        this.advance();
+        return this.finish({ type: 'ThisExpression' }, start);
+      case 'function':
+        return this.parseFunction();
+      case 'class':
+      case 'super':
+      case 'import':
+        throw unsupported(token.value, start);
+      case 'async': {
+        const next = this.peek();
+        if (!next.newlineBefore && (this.isName('function', next) || next.type === 'name' || this.is('(', next))) {
+          throw unsupported('async function', start);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+
+    if (RESERVED_WORDS.has(token.value)) this.unexpected();
+    this.advance();
+    return this.finish({ type: 'Identifier', name: token.value }, start);
+  }
+
+  parseObjectLiteral() {
+    const start = this.token.start;
+    this.expect('{');
+
+    const properties = [];
+    while (!this.eat('}')) {
+      properties.push(this.parseProperty());
+      if (!this.is('}')) this.expect(',');
+    }
+    return this.finish({ type: 'ObjectExpression', properties }, start);
+  }
+
+  parseProperty() {
+    const start = this.token.start;
+
+    if (this.eat('...')) {
+      return this.finish({ type: 'SpreadElement', argument: this.parseAssignment() }, start);
+    }
+    if (this.is('*')) {
+      throw unsupported('Generator method', start);
+    }
+
+    const next = this.peek();
+    const startsKey = !(this.is(',', next) || this.is(':', next) || this.is('(', next) || this.is('}', next));
+    if ((this.isName('get') || this.isName('set')) && startsKey) {
+      throw unsupported('Getter/setter', start);
+    }
+    if (this.isName('async') && startsKey) {
+      throw unsupported('async method', start);
+    }
+
+    const keyToken = this.token;
+    const { key, computed } = this.parsePropertyKey();
+    const property = { type: 'Property', key, computed };
+
+    if (this.is('(')) {
+      property.value = this.parseMethod();
+    } else if (this.eat(':')) {
+      property.value = this.parseAssignment();
+    } else {
+      // Shorthand { name }
+      if (computed || keyToken.type !== 'name' || RESERVED_WORDS.has(keyToken.value)) {
+        this.unexpected(keyToken);
+      }
+      property.value = this.finish({ type: 'Identifier', name: key.name }, keyToken.start);
+    }
+
+    return this.finish(property, start);
+  }
+
+  parsePropertyKey() {
+    const { token } = this;
+    const start = token.start;
+
+    if (this.eat('[')) {
+      const key = this.parseAssignment();
+      this.expect(']');
+      return { key, computed: true };
+    }
+
+    this.advance();
+    if (token.type === 'name') {
+      return { key: this.finish({ type: 'Identifier', name: token.value }, start), computed: false };
+    }
+    if (token.type === 'str' || token.type === 'num') {
+      return { key: this.finish({ type: 'Literal', value: token.value }, start), computed: false };
+    }
+    return this.unexpected(token);
+  }
+
+  parseIdentifierName() {
+    const { token } = this;
+    if (token.type !== 'name') this.unexpected();
+    this.advance();
+    return this.finish({ type: 'Identifier', name: token.value }, token.start);
+  }
+
+  parseBindingIdentifier() {
+    const { token } = this;
+    if (token.type !== 'name' || RESERVED_WORDS.has(token.value)) this.unexpected();
+    this.advance();
+    return this.finish({ type: 'Identifier', name: token.value }, token.start);
+  }
+
+  // --------------------------------------------------------------------------
+  // Functions
+  // --------------------------------------------------------------------------
+
+  parseFunction() {
+    const start = this.token.start;
+    this.advance();
+
+    if (this.is('*')) {
+      throw unsupported('Generator function', start);
+    }
+
+    const id = this.token.type === 'name' ? this.parseBindingIdentifier() : null;
+    const params = this.parseParams();
+    const body = this.parseBlock();
+
+    return this.finish({ type: 'FunctionExpression', id, params, body, expression: false, isArrow: false }, start);
+  }
+
+  parseMethod() {
+    const start = this.token.start;
+    const params = this.parseParams();
+    const body = this.parseBlock();
+    return this.finish({ type: 'FunctionExpression', id: null, params, body, expression: false, isArrow: false }, start);
+  }
+
+  parseParams() {
+    this.expect('(');
+
+    const params = [];
+    while (!this.eat(')')) {
+      const start = this.token.start;
+      if (this.eat('...')) {
+        params.push(this.finish({ type: 'RestElement', argument: this.parseBindingTarget() }, start));
+        this.expect(')');
+        break;
+      }
+      params.push(this.parseBindingElement());
+      if (!this.is(')')) this.expect(',');
+    }
+    return params;
+  }
+
+  // --------------------------------------------------------------------------
+  // Binding patterns (declarations and parameters)
+  // --------------------------------------------------------------------------
+
+  parseBindingTarget() {
+    if (this.is('[')) return this.parseArrayPattern();
+    if (this.is('{')) return this.parseObjectPattern();
+    return this.parseBindingIdentifier();
+  }
+
+  parseBindingElement() {
+    const start = this.token.start;
+    const target = this.parseBindingTarget();
+    if (!this.eat('=')) return target;
+
+    const right = this.parseAssignment();
+    return this.finish({ type: 'AssignmentPattern', left: target, right }, start);
+  }
+
+  parseArrayPattern() {
+    const start = this.token.start;
+    this.expect('[');
+
+    const elements = [];
+    while (!this.eat(']')) {
+      if (this.eat(',')) {
+        elements.push(null);
+        continue;
+      }
+      const elementStart = this.token.start;
+      if (this.eat('...')) {
+        elements.push(this.finish({ type: 'RestElement', argument: this.parseBindingTarget() }, elementStart));
+        this.expect(']');
+        break;
+      }
+      elements.push(this.parseBindingElement());
+      if (!this.is(']')) this.expect(',');
+    }
+
+    return this.finish({ type: 'ArrayPattern', elements }, start);
+  }
+
+  parseObjectPattern() {
+    const start = this.token.start;
+    this.expect('{');
+
+    const properties = [];
+    while (!this.eat('}')) {
+      const propertyStart = this.token.start;
+
+      if (this.eat('...')) {
+        properties.push(this.finish({ type: 'RestElement', argument: this.parseBindingIdentifier() }, propertyStart));
+        this.expect('}');
+        break;
+      }
+
+      const keyToken = this.token;
+      const { key, computed } = this.parsePropertyKey();
+      let value;
+
+      if (this.eat(':')) {
+        value = this.parseBindingElement();
+      } else {
+        if (computed || keyToken.type !== 'name' || RESERVED_WORDS.has(keyToken.value)) {
+          this.unexpected(keyToken);
+        }
+        value = this.finish({ type: 'Identifier', name: key.name }, keyToken.start);
+        if (this.eat('=')) {
+          const right = this.parseAssignment();
+          value = this.finish({ type: 'AssignmentPattern', left: value, right }, keyToken.start);
+        }
+      }
+
+      properties.push(this.finish({ type: 'Property', key, computed, value }, propertyStart));
+      if (!this.is('}')) this.expect(',');
+    }
+
+    return this.finish({ type: 'ObjectPattern', properties }, start);
+  }
+
+  // --------------------------------------------------------------------------
+  // Statements
+  // --------------------------------------------------------------------------
+
+  parseBlock() {
+    const start = this.token.start;
+    this.expect('{');
+
+    const body = [];
+    while (!this.eat('}')) {
+      if (this.token.type === 'eof') this.unexpected();
+      body.push(this.parseStatement());
+    }
+    return this.finish({ type: 'BlockStatement', body }, start);
+  }
+
+  isDeclaration() {
+    if (this.isName('const') || this.isName('var')) return true;
+    if (!this.isName('let')) return false;
+
+    const next = this.peek();
+    return next.type === 'name' || this.is('[', next) || this.is('{', next);
+  }
+
+  parseStatement() {
+    const { token } = this;
+    const start = token.start;
+
+    if (this.is('{')) return this.parseBlock();
+    if (this.eat(';')) return this.finish({ type: 'EmptyStatement' }, start);
+
+    if (this.isDeclaration()) {
+      const declaration = this.parseVariableDeclaration();
+      this.consumeSemicolon();
+      return this.finish(declaration, start);
+    }
+
+    if (token.type === 'name') {
+      if (token.value in UNSUPPORTED_STATEMENTS) {
+        throw unsupported(UNSUPPORTED_STATEMENTS[token.value], start);
+      }
+
+      switch (token.value) {
+        case 'if': return this.parseIf();
+        case 'for': return this.parseFor();
+        case 'while': return this.parseWhile();
+        case 'return': return this.parseReturn();
+        case 'break':
+        case 'continue': return this.parseJump();
+        case 'throw': return this.parseThrow();
+        case 'try': return this.parseTry();
+        default:
+          if (this.is(':', this.peek()) && !RESERVED_WORDS.has(token.value)) {
+            throw unsupported('Labeled statement', start);
+          }
+      }
+    }
+
+    const expression = this.parseExpression();
+    this.consumeSemicolon();
+    return this.finish({ type: 'ExpressionStatement', expression }, start);
+  }
+
+  parseVariableDeclaration() {
+    const start = this.token.start;
+    const kind = this.advance().value;
+    const declarations = [];
+
+    do {
+      const declaratorStart = this.token.start;
+      const id = this.parseBindingTarget();
+      let init = null;
+
+      if (this.eat('=')) {
+        init = this.parseAssignment();
+      } else if (kind === 'const') {
+        throw syntaxError('Missing initializer in const declaration', this.token.start);
+      } else if (id.type !== 'Identifier') {
+        throw syntaxError('Missing initializer in destructuring declaration', this.token.start);
+      }
+
+      declarations.push(this.finish({ type: 'VariableDeclarator', id, init }, declaratorStart));
+    } while (this.eat(','));
+
+    return this.finish({ type: 'VariableDeclaration', kind, declarations }, start);
+  }
+
+  parseCondition() {
+    this.expect('(');
+    const test = this.parseExpression();
+    this.expect(')');
+    return test;
+  }
+
+  parseIf() {
+    const start = this.token.start;
+    this.advance();
+    const test = this.parseCondition();
+    const consequent = this.parseStatement();
+    const alternate = this.isName('else') && this.advance() ? this.parseStatement() : null;
+    return this.finish({ type: 'IfStatement', test, consequent, alternate }, start);
+  }
+
+  /**
+   * for (init; test; update) and for (const x of items)
+   */
+  parseFor() {
+    const start = this.token.start;
+    this.advance();
+
+    if (this.isName('await')) {
+      throw unsupported('for await', start);
+    }
+    this.expect('(');
+
+    let init = null;
+    if (this.isDeclaration()) {
+      const declarationIndex = this.index;
+      const kind = this.advance().value;
+      const id = this.parseBindingTarget();
+
+      if (this.isName('of')) {
+        this.advance();
+        const right = this.parseAssignment();
+        this.expect(')');
+        const body = this.parseStatement();
+        return this.finish({ type: 'ForOfStatement', kind, id, right, body }, start);
+      }
+      if (this.isName('in')) {
+        throw unsupported('for...in (use Object.keys())', start);
+      }
+
+      // Re-read as a declaration list: for (let i = 0, n = items.length; ...)
+      this.index = declarationIndex;
+      init = this.parseVariableDeclaration();
+    } else if (!this.is(';')) {
+      init = this.parseExpression();
+      if (this.isName('of')) {
+        throw unsupported('for...of without a declaration', start);
+      }
+    }
+
+    this.expect(';');
+    const test = this.is(';') ? null : this.parseExpression();
+    this.expect(';');
+    const update = this.is(')') ? null : this.parseExpression();
+    this.expect(')');
+    const body = this.parseStatement();
+
+    return this.finish({ type: 'ForStatement', init, test, update, body }, start);
+  }
+
+  parseWhile() {
+    const start = this.token.start;
+    this.advance();
+    const test = this.parseCondition();
+    const body = this.parseStatement();
+    return this.finish({ type: 'WhileStatement', test, body }, start);
+  }
+
+  parseReturn() {
+    const start = this.token.start;
+    this.advance();
+
+    const ends = this.is(';') || this.is('}') || this.token.type === 'eof' || this.token.newlineBefore;
+    const argument = ends ? null : this.parseExpression();
+    this.consumeSemicolon();
+    return this.finish({ type: 'ReturnStatement', argument }, start);
+  }
+
+  parseJump() {
+    const start = this.token.start;
+    const keyword = this.advance().value;
+
+    if (this.token.type === 'name' && !this.token.newlineBefore) {
+      throw unsupported('Labeled statement', this.token.start);
+    }
+    this.consumeSemicolon();
+    return this.finish({ type: keyword === 'break' ? 'BreakStatement' : 'ContinueStatement' }, start);
+  }
+
+  parseThrow() {
+    const start = this.token.start;
+    this.advance();
+
+    if (this.token.newlineBefore) {
+      throw syntaxError('Illegal newline after throw', this.token.start);
+    }
+    const argument = this.parseExpression();
+    this.consumeSemicolon();
+    return this.finish({ type: 'ThrowStatement', argument }, start);
+  }
+
+  parseTry() {
+    const start = this.token.start;
+    this.advance();
+
+    const block = this.parseBlock();
+    let param = null;
+    let handler = null;
+    let finalizer = null;
+
+    if (this.isName('catch')) {
+      this.advance();
+      if (this.eat('(')) {
+        param = this.parseBindingTarget();
+        this.expect(')');
+      }
+      handler = this.parseBlock();
+    }
+    if (this.isName('finally')) {
+      this.advance();
+      finalizer = this.parseBlock();
+    }
+    if (!handler && !finalizer) {
+      throw syntaxError('Missing catch or finally after try', this.token.start);
+    }
+
+    return this.finish({ type: 'TryStatement', block, param, handler, finalizer }, start);
+  }
+}
+
+// ============================================================================
+// Compiler (AST -> closures)
+// ============================================================================
+
+// Returned by an optional chain link whose base is null/undefined
+const SHORT_CIRCUIT = Symbol('short-circuit');
+
+// Statement completions (a normal completion is undefined)
+const BREAK = { type: 'break' };
+const CONTINUE = { type: 'continue' };
+const RETURN_UNDEFINED = { type: 'return', value: undefined };
+
+const UNARY = {
+  '!': value => !value,
+  '-': value => -value,
+  '+': value => +value,
+  '~': value => ~value,
+  typeof: value => typeof value,
+  void: () => undefined
+};
+
+const BINARY = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => a / b,
+  '%': (a, b) => a % b,
+  '**': (a, b) => a ** b,
+  '==': (a, b) => a == b,
+  '!=': (a, b) => a != b,
+  '===': (a, b) => a === b,
+  '!==': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '>': (a, b) => a > b,
+  '<=': (a, b) => a <= b,
+  '>=': (a, b) => a >= b,
+  '<<': (a, b) => a << b,
+  '>>': (a, b) => a >> b,
+  '>>>': (a, b) => a >>> b,
+  '&': (a, b) => a & b,
+  '|': (a, b) => a | b,
+  '^': (a, b) => a ^ b,
+  in: (a, b) => a in b,
+  instanceof: (a, b) => a instanceof b
+};
+
+/**
+ * Variables of one function or block. The root scope has no variables of
+ * its own: names not found in the chain resolve against the context, then
+ * the globals.
+ */
+class Scope {
+  constructor(parent = null, isFunction = false) {
+    this.parent = parent;
+    this.vars = new Map();
+    this.isFunction = isFunction || !parent;
+    this.context = parent ? parent.context : null;
+    this.hasThis = !parent;
+    this.thisValue = undefined;
+  }
+
+  static root(context) {
+    const scope = new Scope();
+    scope.context = context;
+    return scope;
+  }
+
+  find(name) {
+    for (let scope = this; scope; scope = scope.parent) {
+      const binding = scope.vars.get(name);
+      if (binding) return binding;
+    }
+    return null;
+  }
+
+  inContext(name) {
+    const { context } = this;
+    return context !== null && typeof context === 'object' && name in context;
+  }
+
+  has(name) {
+    return !!this.find(name) || this.inContext(name) || name in globalThis;
+  }
+
+  read(name) {
+    const binding = this.find(name);
+    if (binding) return binding.value;
+
+    if (this.inContext(name)) return this.context[name];
+    if (name in globalThis) return globalThis[name];
+
+    throw new ReferenceError(`${name} is not defined`);
+  }
+
+  write(name, value) {
+    const binding = this.find(name);
+    if (binding) {
+      if (binding.kind === 'const') {
+        throw new TypeError('Assignment to constant variable.');
+      }
+      binding.value = value;
+      return value;
+    }
+
+    if (this.inContext(name)) {
+      this.context[name] = value;
+    } else if (name in globalThis) {
+      globalThis[name] = value;
+    } else {
+      throw new ReferenceError(`${name} is not defined`);
+    }
+    return value;
+  }
+
+  declare(name, value, kind) {
+    let scope = this;
+    if (kind === 'var') {
+      while (!scope.isFunction) scope = scope.parent;
+    }
+    scope.vars.set(name, { value, kind });
+  }
+
+  readThis() {
+    let scope = this;
+    while (!scope.hasThis) scope = scope.parent;
+    return scope.thisValue;
+  }
+
+  /**
+   * Fresh bindings with the same values (per-iteration `let` in for loops)
+   */
+  copy() {
+    const scope = new Scope(this.parent);
+    this.vars.forEach((binding, name) => scope.vars.set(name, { ...binding }));
+    return scope;
+  }
+}
+
+function readProperty(object, key) {
+  if (object === null || object === undefined) {
+    throw new TypeError(`Cannot read properties of ${object} (reading '${String(key)}')`);
+  }
+  return object[key];
+}
+
+function writeProperty(object, key, value) {
+  if (object === null || object === undefined) {
+    throw new TypeError(`Cannot set properties of ${object} (setting '${String(key)}')`);
+  }
+  object[key] = value;
+  return value;
+}
+
+/**
+ * Run one loop iteration body; returns the completion that ends the loop
+ * (BREAK becomes a normal completion), or null to keep going
+ */
+function loopBody(body, scope) {
+  const completion = body(scope);
+  if (!completion || completion === CONTINUE) return null;
+  return completion === BREAK ? undefined : completion;
+}
+
+class Compiler {
+  constructor(source) {
+    this.source = source;
+  }
+
+  text(node) {
+    return this.source.slice(node.start, node.end);
+  }
+
+  // --------------------------------------------------------------------------
+  // Expressions: node -> (scope) => value
+  // --------------------------------------------------------------------------
+
+  expression(node, name) {
+    switch (node.type) {
+      case 'Literal': {
+        const { value } = node;
+        return () => value;
+      }
+
+      case 'TemplateLiteral': {
+        const { quasis } = node;
+        const parts = node.expressions.map(expression => this.expression(expression));
+        return scope => {
+          let result = quasis[0];
+          for (let i = 0; i < parts.length; i++) {
+            result += `${parts[i](scope)}${quasis[i + 1]}`;
+          }
+          return result;
+        };
+      }
+
+      case 'Identifier': {
+        const identifier = node.name;
+        return scope => scope.read(identifier);
+      }
+
+      case 'ThisExpression':
+        return scope => scope.readThis();
+
+      case 'ArrayExpression':
+        return this.argumentList(node.elements);
+
+      case 'ObjectExpression':
+        return this.objectExpression(node);
+
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+        return this.functionExpression(node, name);
+
+      case 'UnaryExpression':
+        return this.unaryExpression(node);
+
+      case 'UpdateExpression':
+        return this.updateExpression(node);
+
+      case 'BinaryExpression': {
+        const operation = BINARY[node.operator];
+        const left = this.expression(node.left);
+        const right = this.expression(node.right);
+        return scope => operation(left(scope), right(scope));
+      }
+
+      case 'LogicalExpression': {
+        const left = this.expression(node.left);
+        const right = this.expression(node.right);
+        if (node.operator === '&&') return scope => left(scope) && right(scope);
+        if (node.operator === '||') return scope => left(scope) || right(scope);
+        return scope => left(scope) ?? right(scope);
+      }
+
+      case 'ConditionalExpression': {
+        const test = this.expression(node.test);
+        const consequent = this.expression(node.consequent);
+        const alternate = this.expression(node.alternate);
+        return scope => (test(scope) ? consequent(scope) : alternate(scope));
+      }
+
+      case 'AssignmentExpression':
+        return this.assignmentExpression(node);
+
+      case 'SequenceExpression': {
+        const expressions = node.expressions.map(expression => this.expression(expression));
+        return scope => {
+          let result;
+          for (const expression of expressions) result = expression(scope);
+          return result;
+        };
+      }
+
+      case 'MemberExpression': {
+        const object = this.expression(node.object);
+        const key = this.memberKey(node);
+        const { optional } = node;
+        return scope => {
+          const value = object(scope);
+          if (value === SHORT_CIRCUIT || (optional && (value === null || value === undefined))) {
+            return SHORT_CIRCUIT;
+          }
+          return readProperty(value, key(scope));
+        };
+      }
+
+      case 'ChainExpression': {
+        const expression = this.expression(node.expression);
+        return scope => {
+          const value = expression(scope);
+          return value === SHORT_CIRCUIT ? undefined : value;
+        };
+      }
+
+      case 'CallExpression':
+        return this.callExpression(node);
+
+      case 'NewExpression': {
+        const callee = this.expression(node.callee);
+        const args = this.argumentList(node.arguments);
+        const calleeText = this.text(node.callee);
+        return scope => {
+          const constructor = callee(scope);
+          if (typeof constructor !== 'function') {
+            throw new TypeError(`${calleeText} is not a constructor`);
+          }
+          return Reflect.construct(constructor, args(scope));
+        };
+      }
+
+      default:
+        throw syntaxError(`Unexpected ${node.type}`, node.start);
+    }
+  }
+
+  memberKey(node) {
+    if (node.computed) {
+      return this.expression(node.property);
+    }
+    const key = node.property.name;
+    return () => key;
+  }
+
+  propertyKey(property) {
+    if (property.computed) {
+      const key = this.expression(property.key);
+      return scope => {
+        const value = key(scope);
+        return typeof value === 'symbol' ? value : String(value);
+      };
+    }
+    const key = property.key.type === 'Identifier' ? property.key.name : String(property.key.value);
+    return () => key;
+  }
+
+  /**
+   * List of arguments or array elements, spreading iterables
+   */
+  argumentList(nodes) {
+    const items = nodes.map(node => (node.type === 'SpreadElement'
+      ? { spread: true, value: this.expression(node.argument) }
+      : { spread: false, value: this.expression(node) }));
+
+    return scope => {
+      const result = [];
+      for (const item of items) {
+        if (item.spread) result.push(...item.value(scope));
+        else result.push(item.value(scope));
+      }
+      return result;
+    };
+  }
+
+  objectExpression(node) {
+    const properties = node.properties.map(property => {
+      if (property.type === 'SpreadElement') {
+        return { spread: true, value: this.expression(property.argument) };
+      }
+
+      const key = this.propertyKey(property);
+      const name = property.computed ? undefined : key();
+      return { spread: false, key, value: this.expression(property.value, name) };
+    });
+
+    return scope => {
+      const object = {};
+
+      for (const property of properties) {
+        if (property.spread) {
+          Object.assign(object, property.value(scope));
+        } else {
+          Object.defineProperty(object, property.key(scope), {
+            value: property.value(scope),
+            writable: true,
+            enumerable: true,
+            configurable: true
+          });
+        }
+      }
+
+      return object;
+    };
+  }
+
+  unaryExpression(node) {
+    const { operator, argument } = node;
+
+    if (operator === 'typeof' && argument.type === 'Identifier') {
+      const name = argument.name;
+      return scope => (scope.has(name) ? typeof scope.read(name) : 'undefined');
+    }
+
+    if (operator === 'delete') {
+      if (argument.type !== 'MemberExpression') {
+        throw syntaxError('Delete of an unqualified identifier in strict mode.', argument.start);
+      }
+      const object = this.expression(argument.object);
+      const key = this.memberKey(argument);
+      return scope => {
+        const target = object(scope);
+        const property = key(scope);
+        if (target === null || target === undefined) {
+          throw new TypeError('Cannot convert undefined or null to object');
+        }
+        return delete target[property];
+      };
+    }
+
+    const operation = UNARY[operator];
+    const value = this.expression(argument);
+    return scope => operation(value(scope));
+  }
+
+  /**
+   * Assignable reference: (scope) => { get(), set(value) }
+   */
+  reference(node) {
+    if (node.type === 'Identifier') {
+      const { name } = node;
+      return scope => ({
+        get: () => scope.read(name),
+        set: value => scope.write(name, value)
+      });
+    }
+
+    const object = this.expression(node.object);
+    const key = this.memberKey(node);
+    return scope => {
+      const target = object(scope);
+      const property = key(scope);
+      return {
+        get: () => readProperty(target, property),
+        set: value => writeProperty(target, property, value)
+      };
+    };
+  }
+
+  updateExpression(node) {
+    const reference = this.reference(node.argument);
+    const delta = node.operator === '++' ? 1 : -1;
+    const { prefix } = node;
+
+    return scope => {
+      const ref = reference(scope);
+      const oldValue = Number(ref.get());
+      const newValue = ref.set(oldValue + delta);
+      return prefix ? newValue : oldValue;
+    };
+  }
+
+  assignmentExpression(node) {
+    const { operator, left } = node;
+    const right = this.expression(node.right, left.type === 'Identifier' ? left.name : undefined);
+    const reference = this.reference(left);
+
+    if (operator === '=') {
+      return scope => reference(scope).set(right(scope));
+    }
+
+    if (operator === '&&=' || operator === '||=' || operator === '??=') {
+      return scope => {
+        const ref = reference(scope);
+        const current = ref.get();
+        const keep = operator === '&&=' ? !current
+          : operator === '||=' ? current
+            : current !== null && current !== undefined;
+        return keep ? current : ref.set(right(scope));
+      };
+    }
+
+    const operation = BINARY[operator.slice(0, -1)];
+    return scope => {
+      const ref = reference(scope);
+      return ref.set(operation(ref.get(), right(scope)));
+    };
+  }
+
+  callExpression(node) {
+    const { callee, optional } = node;
+    const args = this.argumentList(node.arguments);
+    const calleeText = this.text(callee);
+
+    // obj.method() calls with obj as `this`
+    const target = callee.type === 'MemberExpression' ? this.expression(callee.object) : null;
+    const key = target ? this.memberKey(callee) : null;
+    const calleeValue = target ? null : this.expression(callee);
+
+    return scope => {
+      let thisValue;
+      let fn;
+
+      if (target) {
+        thisValue = target(scope);
+        if (thisValue === SHORT_CIRCUIT || (callee.optional && (thisValue === null || thisValue === undefined))) {
+          return SHORT_CIRCUIT;
+        }
+        fn = readProperty(thisValue, key(scope));
+      } else {
+        fn = calleeValue(scope);
+        if (fn === SHORT_CIRCUIT) return SHORT_CIRCUIT;
+      }
+
+      if (optional && (fn === null || fn === undefined)) return SHORT_CIRCUIT;
+      if (typeof fn !== 'function') {
+        throw new TypeError(`${calleeText} is not a function`);
+      }
+      return fn.apply(thisValue, args(scope));
+    };
+  }
+
+  functionExpression(node, inferredName) {
+    const params = node.params.map(param => (param.type === 'RestElement'
+      ? { rest: true, bind: this.pattern(param.argument) }
+      : { rest: false, bind: this.pattern(param) }));
+
+    const body = node.expression
+      ? this.expression(node.body)
+      : this.statements(node.body.body);
+
+    const { isArrow, expression } = node;
+    const name = node.id ? node.id.name : (inferredName || '');
+
+    return closure => {
+      let fn = null;
+
+      const invoke = (thisValue, args) => {
+        const scope = new Scope(closure, true);
+
+        if (!isArrow) {
+          scope.hasThis = true;
+          scope.thisValue = thisValue;
+          scope.vars.set('arguments', { value: args, kind: 'var' });
+          if (node.id) scope.vars.set(name, { value: fn, kind: 'const' });
+        }
+
+        for (let i = 0; i < params.length; i++) {
+          const param = params[i];
+          param.bind(scope, param.rest ? args.slice(i) : args[i], 'let');
+        }
+
+        if (expression) return body(scope);
+
+        const completion = body(scope);
+        return completion && completion.type === 'return' ? completion.value : undefined;
+      };
+
+      fn = isArrow
+        ? (...args) => invoke(undefined, args)
+        : function (...args) {
+          return invoke(this, args);
+        };
+
+      Object.defineProperty(fn, 'name', { value: name });
+      return fn;
+    };
+  }
+
+  // --------------------------------------------------------------------------
+  // Binding patterns: node -> (scope, value, kind) => void
+  // kind is 'var' | 'let' | 'const'
+  // --------------------------------------------------------------------------
+
+  pattern(node) {
+    switch (node.type) {
+      case 'Identifier': {
+        const { name } = node;
+        return (scope, value, kind) => scope.declare(name, value, kind);
+      }
+
+      case 'AssignmentPattern': {
+        const target = this.pattern(node.left);
+        const fallback = this.expression(node.right, node.left.type === 'Identifier' ? node.left.name : undefined);
+        return (scope, value, kind) => {
+          target(scope, value === undefined ? fallback(scope) : value, kind);
+        };
+      }
+
+      case 'ArrayPattern': {
+        const elements = node.elements.map(element => {
+          if (element === null) return null;
+          return element.type === 'RestElement'
+            ? { rest: true, bind: this.pattern(element.argument) }
+            : { rest: false, bind: this.pattern(element) };
+        });
+
+        return (scope, value, kind) => {
+          const items = [...value];
+          elements.forEach((element, i) => {
+            if (element) {
+              element.bind(scope, element.rest ? items.slice(i) : items[i], kind);
+            }
+          });
+        };
+      }
+
+      case 'ObjectPattern': {
+        const properties = node.properties.map(property => (property.type === 'RestElement'
+          ? { rest: true, bind: this.pattern(property.argument) }
+          : { rest: false, key: this.propertyKey(property), bind: this.pattern(property.value) }));
+
+        return (scope, value, kind) => {
+          if (value === null || value === undefined) {
+            throw new TypeError(`Cannot destructure '${value}' as it is ${value}.`);
+          }
+
+          const used = [];
+          for (const property of properties) {
+            if (property.rest) {
+              const rest = {};
+              Object.keys(value).forEach(key => {
+                if (!used.includes(key)) rest[key] = value[key];
+              });
+              property.bind(scope, rest, kind);
+            } else {
+              const key = property.key(scope);
+              used.push(key);
+              property.bind(scope, value[key], kind);
+            }
+          }
+        };
+      }
+
+      default:
+        throw syntaxError('Invalid destructuring target', node.start);
+    }
+  }
+
+  // --------------------------------------------------------------------------
+  // Statements: node -> (scope) => completion | undefined
+  // --------------------------------------------------------------------------
+
+  statements(list) {
+    const compiled = list.map(statement => this.statement(statement));
+
+    return scope => {
+      for (const run of compiled) {
+        const completion = run(scope);
+        if (completion) return completion;
+      }
+      return undefined;
+    };
+  }
+
+  statement(node) {
+    switch (node.type) {
+      case 'ExpressionStatement': {
+        const expression = this.expression(node.expression);
+        return scope => {
+          expression(scope);
+        };
+      }
+
+      case 'VariableDeclaration':
+        return this.variableDeclaration(node);
+
+      case 'ReturnStatement': {
+        if (!node.argument) return () => RETURN_UNDEFINED;
+        const argument = this.expression(node.argument);
+        return scope => ({ type: 'return', value: argument(scope) });
+      }
+
+      case 'IfStatement': {
+        const test = this.expression(node.test);
+        const consequent = this.statement(node.consequent);
+        const alternate = node.alternate ? this.statement(node.alternate) : null;
+        return scope => {
+          if (test(scope)) return consequent(scope);
+          return alternate ? alternate(scope) : undefined;
+        };
+      }
+
+      case 'BlockStatement': {
+        const body = this.statements(node.body);
+        return scope => body(new Scope(scope));
+      }
+
+      case 'EmptyStatement':
+        return () => undefined;
+
+      case 'BreakStatement':
+        return () => BREAK;
+
+      case 'ContinueStatement':
+        return () => CONTINUE;
+
+      case 'ThrowStatement': {
+        const argument = this.expression(node.argument);
+        return scope => {
+          throw argument(scope);
+        };
+      }
+
+      case 'WhileStatement': {
+        const test = this.expression(node.test);
+        const body = this.statement(node.body);
+        return scope => {
+          while (test(scope)) {
+            const completion = loopBody(body, scope);
+            if (completion !== null) return completion;
+          }
+          return undefined;
+        };
+      }
+
+      case 'ForStatement':
+        return this.forStatement(node);
+
+      case 'ForOfStatement':
+        return this.forOfStatement(node);
+
+      case 'TryStatement':
+        return this.tryStatement(node);
+
+      default:
+        throw syntaxError(`Unexpected ${node.type}`, node.start);
+    }
+  }
+
+  variableDeclaration(node) {
+    const { kind } = node;
+    const declarators = node.declarations.map(declarator => {
+      const name = declarator.id.type === 'Identifier' ? declarator.id.name : undefined;
+      return {
+        bind: this.pattern(declarator.id),
+        init: declarator.init ? this.expression(declarator.init, name) : null
+      };
+    });
+
+    return scope => {
+      for (const declarator of declarators) {
+        declarator.bind(scope, declarator.init ? declarator.init(scope) : undefined, kind);
+      }
+    };
+  }
+
+  forStatement(node) {
+    const { init } = node;
+    const perIteration = init && init.type === 'VariableDeclaration' && init.kind !== 'var';
+    let initialize = null;
+
+    if (init) {
+      initialize = init.type === 'VariableDeclaration'
+        ? this.variableDeclaration(init)
+        : this.expression(init);
+    }
+
+    const test = node.test ? this.expression(node.test) : null;
+    const update = node.update ? this.expression(node.update) : null;
+    const body = this.statement(node.body);
+
+    return scope => {
+      // let/const bindings are fresh in each iteration (closures see their own)
+      let loopScope = perIteration ? new Scope(scope) : scope;
+      if (initialize) initialize(loopScope);
+
+      for (;;) {
+        if (test && !test(loopScope)) break;
+
+        const completion = loopBody(body, loopScope);
+        if (completion !== null) return completion;
+
+        if (perIteration) loopScope = loopScope.copy();
+        if (update) update(loopScope);
+      }
+      return undefined;
+    };
+  }
+
+  forOfStatement(node) {
+    const { kind } = node;
+    const bind = this.pattern(node.id);
+    const right = this.expression(node.right);
+    const body = this.statement(node.body);
+
+    return scope => {
+      for (const item of right(scope)) {
+        const iterationScope = kind === 'var' ? scope : new Scope(scope);
+        bind(iterationScope, item, kind);
+
+        const completion = loopBody(body, iterationScope);
+        if (completion !== null) return completion;
+      }
+      return undefined;
+    };
+  }
+
+  tryStatement(node) {
+    const block = this.statement(node.block);
+    const bindParam = node.param ? this.pattern(node.param) : null;
+    const handler = node.handler ? this.statement(node.handler) : null;
+    const finalizer = node.finalizer ? this.statement(node.finalizer) : null;
+
+    return scope => {
+      let completion;
+      let failed = false;
+      let failure;
+
+      try {
+        completion = block(scope);
+      } catch (error) {
+        if (handler) {
+          try {
+            const catchScope = new Scope(scope);
+            if (bindParam) bindParam(catchScope, error, 'let');
+            completion = handler(catchScope);
+          } catch (handlerError) {
+            failed = true;
+            failure = handlerError;
+          }
+        } else {
+          failed = true;
+          failure = error;
+        }
+      }
+
+      if (finalizer) {
+        // A jump out of finally overrides the try/catch outcome
+        const finalCompletion = finalizer(scope);
+        if (finalCompletion) return finalCompletion;
+      }
+      if (failed) throw failure;
+      return completion;
+    };
+  }
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+export class CspEvaluator {
+  /**
+   * Parse an expression (throws SyntaxError with a `position` offset)
+   */
+  static parse(expression) {
+    return Parser.parseExpression(expression);
+  }
+
+  /**
+   * Compile an expression into (context) => value
+   *
+   * @param {string} expression
+   * @returns {Function} - Evaluates against context (an object or the
+   *   merged context proxy), falling back to globals
+   */
+  static compile(expression) {
+    const evaluate = new Compiler(expression).expression(Parser.parseExpression(expression));
+    return (context) => evaluate(Scope.root(context));
+  }
+
+  /**
+   * Parse a statement list (throws like parse())
+   */
+  static parseStatements(source) {
+    return Parser.parseStatements(source);
+  }
+
+  /**
+   * Compile a statement list (`a = 1; save()`) into (context) => value of
+   * a `return`, if any
+   */
+  static compileStatements(source) {
+    const run = new Compiler(source).statements(Parser.parseStatements(source));
+    return (context) => {
+      const completion = run(Scope.root(context));
+      return completion && completion.type === 'return' ? completion.value : undefined;
+    };
+  }
+
+  /**
+   * Evaluate an expression once (e.g. a component definition object)
+   */
+  static evaluate(expression, context = null) {
+    return CspEvaluator.compile(expression)(context);
+  }
+}
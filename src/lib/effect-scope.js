@@ -0,0 +1,148 @@
+import { createLogger } from './logger.js';
+
+const log = createLogger('scope');
+
+/**
+ * EffectScope - Owns every effect, computed and watcher created inside it
+ *
+ * Design principles:
+ * - Anything reactive created while a scope is active is collected by it
+ * - Effects created while an effect re-runs join that effect's scope, so
+ *   loop rows and conditional branches rendered later are still owned
+ * - Nested scopes are stopped with their parent (unless detached)
+ * - One stop() call tears the whole tree down
+ *
+ * @example
+ * const scope = effectScope();
+ *
+ * scope.run(() => {
+ *   const doubled = computed(() => state.count * 2);
+ *   watchEffect(() => console.log(doubled.value));
+ *   onScopeDispose(() => console.log('feature torn down'));
+ * });
+ *
+ * scope.stop(); // Stops the computed, the watcher and runs the cleanup
+ */
+export class EffectScope {
+  static active = null;
+
+  constructor(detached = false) {
+    this.active = true;
+    this.effects = new Set();
+    this.cleanups = [];
+    this.scopes = new Set();
+    this.parent = null;
+
+    if (!detached && EffectScope.active) {
+      this.parent = EffectScope.active;
+      this.parent.scopes.add(this);
+    }
+  }
+
+  /**
+   * Run fn with this scope active; returns fn's result
+   */
+  run(fn) {
+    if (!this.active) {
+      log.warn('Cannot run an inactive effect scope.');
+      return undefined;
+    }
+
+    return EffectScope.runIn(this, fn);
+  }
+
+  /**
+   * Collect an effect or computed (anything with stop() or dispose())
+   */
+  add(effect) {
+    if (this.active) {
+      this.effects.add(effect);
+    }
+  }
+
+  /**
+   * Forget an effect that was stopped on its own
+   */
+  remove(effect) {
+    this.effects.delete(effect);
+  }
+
+  /**
+   * Stop every collected effect and child scope, then run cleanups
+   */
+  stop() {
+    if (!this.active) return;
+
+    this.active = false;
+
+    Array.from(this.effects).forEach(effect => {
+      if (typeof effect.stop === 'function') {
+        effect.stop();
+      } else if (typeof effect.dispose === 'function') {
+        effect.dispose();
+      }
+    });
+    this.effects.clear();
+
+    Array.from(this.scopes).forEach(scope => scope.stop());
+    this.scopes.clear();
+
+    this.cleanups.forEach(cleanup => {
+      try {
+        cleanup();
+      } catch (error) {
+        log.error('Error in effect scope cleanup:', error);
+      }
+    });
+    this.cleanups = [];
+
+    if (this.parent) {
+      this.parent.scopes.delete(this);
+      this.parent = null;
+    }
+  }
+
+  /**
+   * Make scope the active one while fn runs (null suspends collection)
+   */
+  static runIn(scope, fn) {
+    const previous = EffectScope.active;
+    EffectScope.active = scope;
+
+    try {
+      return fn();
+    } finally {
+      EffectScope.active = previous;
+    }
+  }
+}
+
+/**
+ * effectScope - Create a scope that collects reactive effects
+ *
+ * @param {boolean} detached - Don't attach to the currently active scope
+ * @returns {EffectScope}
+ */
+export function effectScope(detached = false) {
+  return new EffectScope(detached);
+}
+
+/**
+ * getCurrentScope - The scope collecting effects right now (or null)
+ */
+export function getCurrentScope() {
+  return EffectScope.active;
+}
+
+/**
+ * onScopeDispose - Register a cleanup for when the active scope stops
+ *
+ * @param {Function} fn - Cleanup function
+ */
+export function onScopeDispose(fn) {
+  if (EffectScope.active) {
+    EffectScope.active.cleanups.push(fn);
+  } else {
+    log.warn('onScopeDispose() called with no active effect scope.');
+  }
+}
@@ -1,34 +1,129 @@
 import { GlobalErrorHandler } from "./error-handling";
 import { batchScheduler } from "./batch-effect";
+import { EffectScope } from "./effect-scope.js";
+import { EFFECT_PHASE } from "./constants.js";
+import { Tracer } from "./tracing.js";
 
 /**
  * Effect - Reactive computation that re-runs when dependencies change
+ *
+ * Each dependency is recorded with the version it had when read. A plain
+ * signal change marks the effect stale; a computed only marks it *possibly*
+ * stale - at flush time those computeds are refreshed (in dependency order)
+ * and the effect runs only if one of them really produced a new value.
  */
 export class Effect {
-    constructor(fn) {
+    static _nextId = 0;
+
+    /**
+     * @param {Function} fn - Reactive computation
+     * @param {Object} options
+     * @param {string} options.flush - Flush mode override (see FLUSH_MODE)
+     * @param {number} options.phase - Order within a flush (see EFFECT_PHASE)
+     * @param {Object} options.meta - What owns the effect ({ bindingName,
+     *   element, expression }), included in error reports
+     * @param {Function} options.onStop - Called once when the effect stops
+     * @param {Function} options.onTrack - Debug hook, called with an event
+     *   ({ type: 'track', effect, signal, target, key, path }) for each new
+     *   dependency
+     * @param {Function} options.onTrigger - Debug hook, called with an event
+     *   ({ type: 'trigger', ..., oldValue, newValue }) when a dependency
+     *   schedules the effect
+     */
+    constructor(fn, options = {}) {
+      this.id = Effect._nextId++; // Creation order = flush order
       this.fn = fn;
-      this.dependencies = new Set();
+      this.flush = options.flush || null;
+      this.phase = options.phase ?? EFFECT_PHASE.RENDER;
+      this.meta = options.meta || null;
+      this.onStop = options.onStop || null;
+      this.onTrack = options.onTrack || null;
+      this.onTrigger = options.onTrigger || null;
+      this.triggers = []; // Trigger events since the last run (while tracing)
+      this.dependencies = new Map(); // Signal -> version seen
       this.cleanups = [];
       this.active = true;
       this.scheduled = false;
+      this.stale = false;
+
+      // Owned by the scope active at creation (see effectScope())
+      this.scope = EffectScope.active;
+      if (this.scope) {
+        this.scope.add(this);
+      }
   
       this.run();
     }
   
     track(signal) {
       if (!this.dependencies.has(signal)) {
-        this.dependencies.add(signal);
-  
-        const unsubscribe = signal.subscribe(() => {
-          if (this.active && !this.scheduled) {
-            // Instead of running immediately, schedule via batch scheduler
-            this.scheduled = true;
-            batchScheduler.schedule(this);
-          }
+        const unsubscribe = signal._depend((newValue, oldValue) => {
+          this._trigger(signal, newValue, oldValue);
         });
-  
         this.cleanups.push(unsubscribe);
+
+        if (this.onTrack) {
+          this.onTrack(Tracer.describe(signal, { type: 'track', effect: this }));
+        }
       }
+
+      this.dependencies.set(signal, signal._version);
+    }
+
+    _trigger(signal, newValue, oldValue) {
+      if (!this.active) return;
+
+      if (this.onTrigger || Tracer.enabled) {
+        const event = Tracer.describe(signal, { type: 'trigger', effect: this, oldValue, newValue });
+
+        if (this.onTrigger) {
+          this.onTrigger(event);
+        }
+        if (Tracer.enabled) {
+          this.triggers.push(event);
+        }
+      }
+
+      // Plain signals changed for sure; computeds only may have
+      if (!signal.isComputed) {
+        this.stale = true;
+      }
+
+      if (!this.scheduled) {
+        // Instead of running immediately, schedule via batch scheduler
+        this.scheduled = true;
+        batchScheduler.schedule(this);
+      }
+    }
+
+    /**
+     * Run only if a dependency really changed (called by the scheduler)
+     */
+    update() {
+      this.scheduled = false;
+
+      if (!this.active) return;
+
+      if (this.stale || this._computedChanged()) {
+        this.run();
+      } else {
+        this.triggers = [];
+      }
+    }
+
+    /**
+     * Refresh computed dependencies and compare their versions
+     */
+    _computedChanged() {
+      for (const [signal, version] of this.dependencies) {
+        if (signal.isComputed) {
+          signal._refresh();
+        }
+        if (signal._version !== version) {
+          return true;
+        }
+      }
+      return false;
     }
   
     run() {
@@ -36,14 +131,24 @@ export class Effect {
   
       // Clear scheduled flag
       this.scheduled = false;
+      this.stale = false;
+
+      if (this.triggers.length > 0) {
+        if (Tracer.enabled) {
+          Tracer.record(this, this.triggers);
+        }
+        this.triggers = [];
+      }
   
       this.cleanup();
       this.dependencies.clear();
   
       // Wrap in error boundary
+      // Effects created while this one runs belong to the same scope
       const safeRun = GlobalErrorHandler.wrap(() => {
-        EffectTracker.track(this, this.fn);
+        EffectScope.runIn(this.scope, () => EffectTracker.track(this, this.fn));
       }, {
+        ...this.meta,
         type: 'effect',
         effect: this
       });
@@ -57,9 +162,20 @@ export class Effect {
     }
   
     stop() {
+      if (!this.active) return;
+
       this.active = false;
       this.cleanup();
       this.dependencies.clear();
+
+      if (this.scope) {
+        this.scope.remove(this);
+        this.scope = null;
+      }
+
+      if (this.onStop) {
+        this.onStop();
+      }
     }
   }
 
@@ -67,8 +183,8 @@ export class EffectTracker {
     static current = null;
     static stack = [];
   
-    static create(fn) {
-      return new Effect(fn);
+    static create(fn, options = {}) {
+      return new Effect(fn, options);
     }
   
     static track(effect, fn) {
@@ -83,5 +199,12 @@ export class EffectTracker {
         EffectTracker.stack.pop();
       }
     }
+
+    /**
+     * Run fn with no current effect: its reads aren't tracked
+     */
+    static untrack(fn) {
+      return EffectTracker.track(null, fn);
+    }
   }
 
@@ -0,0 +1,111 @@
+import { RESERVED_PROPS } from './constants.js';
+
+/**
+ * Equality - Change comparators for signals, computeds and watchers
+ *
+ * A comparator receives (oldValue, newValue) and returns true when the two
+ * are equal, i.e. when nothing downstream needs to update. The default is
+ * Object.is: like === except that NaN equals NaN (and +0 differs from -0).
+ *
+ * @example
+ * const visible = computed(() => items.filter(i => i.visible), null, { equals: 'shallow' });
+ * const config = new Signal(defaults, { equals: deepEqual });
+ */
+
+/**
+ * Unwrap reactive proxies so comparing never subscribes to what it reads
+ */
+function raw(value) {
+  return (typeof value === 'object' && value !== null && value[RESERVED_PROPS.RAW]) || value;
+}
+
+/**
+ * shallowEqual - Same own keys (or entries) with Object.is-equal values
+ */
+export function shallowEqual(a, b) {
+  a = raw(a);
+  b = raw(b);
+
+  if (Object.is(a, b)) return true;
+  if (!isComparable(a, b)) return false;
+
+  return compareStructure(a, b, (x, y) => Object.is(raw(x), raw(y)));
+}
+
+/**
+ * deepEqual - Structural equality for plain objects, arrays, Maps, Sets and
+ * Dates (cycles are treated as equal once both sides revisit the same pair)
+ */
+export function deepEqual(a, b, seen = new Map()) {
+  a = raw(a);
+  b = raw(b);
+
+  if (Object.is(a, b)) return true;
+  if (!isComparable(a, b)) return false;
+
+  if (seen.get(a) === b) return true;
+  seen.set(a, b);
+
+  return compareStructure(a, b, (x, y) => deepEqual(x, y, seen));
+}
+
+function isComparable(a, b) {
+  return typeof a === 'object' && a !== null &&
+    typeof b === 'object' && b !== null &&
+    Object.getPrototypeOf(a) === Object.getPrototypeOf(b);
+}
+
+function compareStructure(a, b, compare) {
+  if (a instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+
+  if (a instanceof Map) {
+    if (a.size !== b.size) return false;
+    for (const [key, value] of a) {
+      if (!b.has(key) || !compare(value, b.get(key))) return false;
+    }
+    return true;
+  }
+
+  if (a instanceof Set) {
+    if (a.size !== b.size) return false;
+    for (const value of a) {
+      if (!b.has(value)) return false;
+    }
+    return true;
+  }
+
+  if (Array.isArray(a)) {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+      if (!compare(a[i], b[i])) return false;
+    }
+    return true;
+  }
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+
+  return keysA.every(key =>
+    Object.prototype.hasOwnProperty.call(b, key) && compare(a[key], b[key])
+  );
+}
+
+/**
+ * Turn an `equals` option into a comparator function
+ *
+ * @param {Function|string|boolean} [equals] - Comparator, 'shallow', 'deep',
+ *   or false to treat every write as a change
+ * @returns {Function} - (oldValue, newValue) => boolean
+ */
+export function resolveEquals(equals) {
+  if (typeof equals === 'function') return equals;
+  if (equals === 'shallow') return shallowEqual;
+  if (equals === 'deep') return deepEqual;
+  if (equals === false) return () => false;
+  if (equals === undefined || equals === null || equals === true) return Object.is;
+
+  throw new Error(`Unknown equals option: "${equals}"`);
+}
@@ -1,3 +1,7 @@
+import { createLogger } from './logger.js';
+
+const log = createLogger('error');
+
 /**
  * GlobalErrorHandler - Singleton for framework-wide error handling
  */
@@ -29,6 +33,10 @@ export class GlobalErrorHandler {
     static wrapAsync(fn, context) {
       return GlobalErrorHandler.get().wrapAsync(fn, context);
     }
+
+    static report(error, context) {
+      GlobalErrorHandler.get().report(error, context);
+    }
   }
 
 /**
@@ -76,6 +84,13 @@ export class ErrorBoundary {
       };
     }
     
+    /**
+     * Report an error that was detected rather than thrown
+     */
+    report(error, context = {}) {
+      this._handleError(error, context);
+    }
+    
     /**
      * Handle an error
      */
@@ -95,7 +110,7 @@ export class ErrorBoundary {
       try {
         this.onError(errorInfo);
       } catch (handlerError) {
-        console.error('Error in error handler:', handlerError);
+        log.error('Error in error handler:', handlerError);
       }
     }
     
@@ -103,28 +118,18 @@ export class ErrorBoundary {
      * Log error with helpful context
      */
     _logError(errorInfo) {
-      console.group('🚨 ReactiveHTML Error');
-      console.error('Error:', errorInfo.error.message);
-      console.error('Stack:', errorInfo.error.stack);
-      
-      if (errorInfo.context.element) {
-        console.log('Element:', errorInfo.context.element);
-      }
-      
-      if (errorInfo.context.binding) {
-        console.log('Binding:', errorInfo.context.binding);
-      }
-      
-      if (errorInfo.context.expression) {
-        console.log('Expression:', errorInfo.context.expression);
-      }
-      
-      if (errorInfo.context.type) {
-        console.log('Error Type:', errorInfo.context.type);
-      }
-      
-      console.log('Timestamp:', errorInfo.timestamp);
-      console.groupEnd();
+      const { context } = errorInfo;
+      const details = [];
+
+      if (context.type) details.push(`type: ${context.type}`);
+      if (context.binding || context.bindingName) details.push(`binding: ${context.binding || context.bindingName}`);
+      if (context.expression) details.push(`expression: ${context.expression}`);
+
+      log.error(
+        errorInfo.error.message + (details.length ? ` (${details.join(', ')})` : ''),
+        ...(context.element ? [context.element] : []),
+        errorInfo.error
+      );
     }
     
     /**
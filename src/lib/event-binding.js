@@ -1,8 +1,26 @@
 import { GlobalErrorHandler } from "./error-handling";
-import { EVENT_CONTEXT, ERROR_TYPE } from './constants.js';
+import { EVENT_CONTEXT, ERROR_TYPE, TEMPLATE_GLOBAL, EVALUATOR_MODE } from './constants.js';
+import { StoreRegistry } from './store.js';
+import Signal from './signal.js';
+import { CspEvaluator } from './csp-evaluator.js';
+import { FilterRegistry } from './filters.js';
+import { createLogger, __DEV__ } from './logger.js';
+
+const log = createLogger('binding');
+const parserLog = createLogger('parser');
+
+// `save`, `form.submit`, `items[0].remove` - called with $event
+const METHOD_PATH = /^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*|\[[^\]]+\])*$/;
+// `e => save(e)`, `(e, extra) => ...`, `function (e) { ... }`
+const FUNCTION_EXPRESSION = /^(?:(?:\([^)]*\)|[A-Za-z_$][\w$]*)\s*=>|function\s*[\w$]*\s*\()/;
 
 /**
  * EventBinding - Binds DOM events to reactive methods
+ *
+ * Handler forms:
+ * - Statements: @click="count++", @click="item.qty = 0; save()"
+ * - Method reference: @click="save" (called with $event)
+ * - Inline function: @click="e => select(item, e)" (called with $event)
  */
 export class EventBinding {
     constructor(element, attributeBinding, contextStack) {
@@ -15,11 +33,29 @@ export class EventBinding {
       this._attach();
     }
     
+    /**
+     * Handler source as statements (references and functions become calls).
+     * A path is only called if it holds a function when the event fires -
+     * `@click="open"` on a boolean is a plain statement, not a TypeError.
+     */
+    static toStatements(expression) {
+      const source = expression.trim();
+
+      if (METHOD_PATH.test(source)) {
+        return `if (typeof ${source} === 'function') ${source}(${EVENT_CONTEXT.EVENT}); else ${source};`;
+      }
+      if (FUNCTION_EXPRESSION.test(source)) {
+        return `(${source})(${EVENT_CONTEXT.EVENT})`;
+      }
+      return source;
+    }
+
     _attach() {
       const eventName = this.binding.name;
+      const statements = EventBinding.toStatements(this.binding.expression);
   
       this.handler = (event) => {
-        console.log('🔷 [DEBUG] Event fired:', eventName, 'expr:', this.binding.expression);
+        if (__DEV__) log.debug('event', eventName, 'expr:', this.binding.expression);
 
         const eventContext = {
           [EVENT_CONTEXT.EVENT]: event,
@@ -28,11 +64,9 @@ export class EventBinding {
         };
         
         const context = [...this.contextStack, eventContext];
-        console.log('🔷 [DEBUG] Context length:', context.length);
 
         const safeHandler = GlobalErrorHandler.wrap(() => {
-          const result = ExpressionEvaluator.evaluate(this.binding.expression, context);
-          console.log('✅ Event handler result:', result);
+          ExpressionEvaluator.execute(statements, context);
         }, {
           type: ERROR_TYPE.EVENT,
           eventName,
@@ -59,8 +93,29 @@ export class EventBinding {
 
   export class ExpressionEvaluator {
     static cache = new Map();
+    static statementCache = new Map();
+    static mode = EVALUATOR_MODE.FUNCTION;
+    static filterVersion = FilterRegistry.version;
+
+    /**
+     * Switch how expressions are compiled (see EVALUATOR_MODE)
+     */
+    static setMode(mode) {
+      if (!Object.values(EVALUATOR_MODE).includes(mode)) {
+        throw new Error(`Unknown expression evaluator: "${mode}" (expected 'function' or 'csp')`);
+      }
+
+      this.mode = mode;
+      this.clearCache();
+    }
   
     static evaluate(expression, contextStack) {
+      // Whether `a | b` is a pipe depends on the registered filters
+      if (this.filterVersion !== FilterRegistry.version) {
+        this.filterVersion = FilterRegistry.version;
+        this.cache.clear();
+      }
+
       try {
         let fn = this.cache.get(expression);
         if (!fn) {
@@ -72,22 +127,77 @@ export class EventBinding {
         return fn(context);
   
       } catch (error) {
-        console.warn(`Error evaluating expression: "${expression}"`, error);
+        log.warn(`Error evaluating expression: "${expression}"`, error);
         return undefined;
       }
     }
   
+    /**
+     * Run a statement list (event handlers). Runtime errors propagate so the
+     * caller can report them with its own context.
+     */
+    static execute(statements, contextStack) {
+      let fn = this.statementCache.get(statements);
+      if (!fn) {
+        fn = this._compileStatements(statements);
+        this.statementCache.set(statements, fn);
+      }
+
+      return fn(this._mergeContexts(contextStack));
+    }
+
     static _compile(expression) {
+      try {
+        const { expression: source, filters } = FilterRegistry.split(expression);
+        const evaluate = this._compileExpression(source);
+
+        if (filters.length === 0) {
+          return evaluate;
+        }
+
+        // value | name(args) -> filter(value, ...args), left to right
+        const pipeline = filters.map(({ name, args }) => ({
+          name,
+          args: args ? this._compileExpression(`[${args}]`) : () => []
+        }));
+
+        return (context) => pipeline.reduce((value, { name, args }) => {
+          const filter = FilterRegistry.get(name);
+          return filter(value, ...args(context));
+        }, evaluate(context));
+      } catch (error) {
+        parserLog.error(`Failed to compile expression: "${expression}"`, error);
+        return () => undefined;
+      }
+    }
+
+    static _compileExpression(expression) {
+      if (this.mode === EVALUATOR_MODE.CSP) {
+        return CspEvaluator.compile(expression);
+      }
+
       const fnBody = `
         with (context) {
           return (${expression});
         }
       `;
-  
+      return new Function('context', fnBody);
+    }
+
+    static _compileStatements(statements) {
       try {
+        if (this.mode === EVALUATOR_MODE.CSP) {
+          return CspEvaluator.compileStatements(statements);
+        }
+
+        const fnBody = `
+          with (context) {
+            ${statements}
+          }
+        `;
         return new Function('context', fnBody);
       } catch (error) {
-        console.error(`Failed to compile expression: "${expression}"`, error);
+        parserLog.error(`Failed to compile handler: "${statements}"`, error);
         return () => undefined;
       }
     }
@@ -105,16 +215,51 @@ export class EventBinding {
               if (typeof value === 'function') {
                 return value.bind(context);
               }
+
+              // A signal or computed stored on the model reads as its value
+              if (value instanceof Signal) {
+                return value.value;
+              }
   
               return value;
             }
           }
+
+          // Shared stores, unless a context defines its own $store
+          if (property === TEMPLATE_GLOBAL.STORE) {
+            return StoreRegistry.accessor;
+          }
   
           return undefined;
         },
   
+        // Every name but real globals (Math, console, ...) belongs to the
+        // contexts, so an unknown name reads as undefined and assigning it
+        // never creates a global - the same in 'function' and 'csp' mode
         has(target, property) {
-          return contextStack.some(context => property in context);
+          if (property === TEMPLATE_GLOBAL.STORE ||
+              contextStack.some(context => property in context)) {
+            return true;
+          }
+          return typeof property === 'string' && !(property in globalThis);
+        },
+
+        // Assignments go to the innermost context that owns the name
+        // (loop item, component, model), else to the base context
+        set(target, property, value) {
+          for (let i = contextStack.length - 1; i >= 0; i--) {
+            const context = contextStack[i];
+
+            if (property in context) {
+              context[property] = value;
+              return true;
+            }
+          }
+
+          if (contextStack.length > 0) {
+            contextStack[0][property] = value;
+          }
+          return true;
         }
       };
   
@@ -123,5 +268,20 @@ export class EventBinding {
   
     static clearCache() {
       this.cache.clear();
+      this.statementCache.clear();
     }
   }
+
+/**
+ * setExpressionEvaluator - Choose how template expressions and component
+ * definitions are evaluated
+ *
+ * @param {string} mode - 'function' (default, needs 'unsafe-eval') or 'csp'
+ *   (AST interpreter for pages whose Content-Security-Policy forbids eval)
+ *
+ * @example
+ * setExpressionEvaluator('csp');
+ */
+export function setExpressionEvaluator(mode) {
+  ExpressionEvaluator.setMode(mode);
+}
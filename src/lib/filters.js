@@ -0,0 +1,196 @@
+/**
+ * Filters - Formatting pipes in binding expressions
+ *
+ * Design principles:
+ * - `value | name` or `value | name(arg, ...)` calls filter(value, ...args);
+ *   pipes chain left to right: `date | date('short') | uppercase`
+ * - A `|` is a pipe only when a registered filter name follows it; anything
+ *   else stays JavaScript's bitwise OR
+ * - Built-ins format with Intl in FilterRegistry.locale (default: the
+ *   browser's) and render null/undefined as ''
+ *
+ * @example
+ * <span :text="price | currency('EUR')"></span>
+ * <time>{{ order.createdAt | date('long') }}</time>
+ *
+ * registerFilter('initials', name => name.split(' ').map(w => w[0]).join(''));
+ */
+
+const FILTER_CALL = /^\s*([A-Za-z_$][\w$]*)\s*(?:\(([\s\S]*)\))?\s*$/;
+const OPENING = '([{';
+const CLOSING = ')]}';
+
+export class FilterRegistry {
+  static filters = new Map();
+  static locale = undefined;
+  // Bumped on every registration; compiled expressions are stale after it
+  static version = 0;
+  static formatters = new Map();
+
+  static register(name, fn) {
+    if (!/^[A-Za-z_$][\w$]*$/.test(name)) {
+      throw new Error(`Invalid filter name: "${name}"`);
+    }
+    if (typeof fn !== 'function') {
+      throw new Error(`Filter "${name}" must be a function`);
+    }
+
+    this.filters.set(name, fn);
+    this.version++;
+  }
+
+  static get(name) {
+    return this.filters.get(name);
+  }
+
+  static has(name) {
+    return this.filters.has(name);
+  }
+
+  /**
+   * Split `expr | a | b(1, 2)` into the expression and its filters
+   *
+   * @returns {{ expression: string, filters: Array<{ name: string, args: string|null }> }}
+   */
+  static split(source) {
+    const segments = this._splitTopLevelPipes(source);
+    const result = { expression: segments[0], filters: [] };
+
+    for (let i = 1; i < segments.length; i++) {
+      const match = FILTER_CALL.exec(segments[i]);
+
+      if (match && this.has(match[1])) {
+        result.filters.push({ name: match[1], args: match[2] ?? null });
+      } else if (result.filters.length === 0) {
+        // Bitwise OR
+        result.expression += `|${segments[i]}`;
+      } else {
+        // `a | filter | b` - not a pipeline after all
+        return { expression: source, filters: [] };
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Split at single `|` outside strings and brackets (not `||` or `|=`)
+   */
+  static _splitTopLevelPipes(source) {
+    const segments = [];
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+
+    for (let i = 0; i < source.length; i++) {
+      const ch = source[i];
+
+      if (quote) {
+        if (ch === '\\') i++;
+        else if (ch === quote) quote = null;
+        continue;
+      }
+
+      if (ch === '"' || ch === "'" || ch === '`') {
+        quote = ch;
+      } else if (OPENING.includes(ch)) {
+        depth++;
+      } else if (CLOSING.includes(ch)) {
+        depth--;
+      } else if (ch === '|' && depth === 0) {
+        const next = source[i + 1];
+        if (next === '|' || next === '=') {
+          i++;
+        } else {
+          segments.push(source.slice(start, i));
+          start = i + 1;
+        }
+      }
+    }
+
+    segments.push(source.slice(start));
+    return segments;
+  }
+
+  /**
+   * Cached Intl formatter (constructing them is expensive)
+   */
+  static formatter(Type, locale, options) {
+    const key = `${Type.name}|${locale ?? ''}|${JSON.stringify(options)}`;
+    let formatter = this.formatters.get(key);
+
+    if (!formatter) {
+      formatter = new Type(locale, options);
+      this.formatters.set(key, formatter);
+    }
+
+    return formatter;
+  }
+
+  static registerBuiltins() {
+    const isEmpty = value => value === null || value === undefined || value === '';
+
+    // number(value, fractionDigits | Intl.NumberFormat options, locale)
+    this.register('number', (value, digits, locale = this.locale) => {
+      if (isEmpty(value)) return '';
+
+      const options = typeof digits === 'object' && digits !== null
+        ? digits
+        : digits === undefined ? {} : { minimumFractionDigits: digits, maximumFractionDigits: digits };
+      return this.formatter(Intl.NumberFormat, locale, options).format(value);
+    });
+
+    // currency(value, currencyCode, locale)
+    this.register('currency', (value, currency = 'USD', locale = this.locale) => {
+      if (isEmpty(value)) return '';
+      return this.formatter(Intl.NumberFormat, locale, { style: 'currency', currency }).format(value);
+    });
+
+    // date(value, 'short' | 'medium' | 'long' | 'full' | Intl.DateTimeFormat options, locale)
+    this.register('date', (value, format = 'medium', locale = this.locale) => {
+      if (isEmpty(value)) return '';
+
+      const date = value instanceof Date ? value : new Date(value);
+      if (Number.isNaN(date.getTime())) return '';
+
+      const options = typeof format === 'string' ? { dateStyle: format } : format;
+      return this.formatter(Intl.DateTimeFormat, locale, options).format(date);
+    });
+
+    this.register('uppercase', (value, locale = this.locale) => (
+      isEmpty(value) ? '' : String(value).toLocaleUpperCase(locale)
+    ));
+
+    this.register('lowercase', (value, locale = this.locale) => (
+      isEmpty(value) ? '' : String(value).toLocaleLowerCase(locale)
+    ));
+
+    // truncate(value, length, suffix) - counts user-perceived characters
+    this.register('truncate', (value, length = 50, suffix = '…') => {
+      if (isEmpty(value)) return '';
+
+      const text = String(value);
+      const characters = typeof Intl.Segmenter === 'function'
+        ? Array.from(this.formatter(Intl.Segmenter, this.locale, { granularity: 'grapheme' }).segment(text), s => s.segment)
+        : Array.from(text);
+
+      return characters.length > length
+        ? characters.slice(0, length).join('') + suffix
+        : text;
+    });
+
+    this.register('json', (value, indent = 2) => JSON.stringify(value, null, indent));
+  }
+}
+
+FilterRegistry.registerBuiltins();
+
+/**
+ * registerFilter - Add (or replace) a filter usable as `value | name(args)`
+ *
+ * @param {string} name - Identifier
+ * @param {Function} fn - (value, ...args) => formatted value
+ */
+export function registerFilter(name, fn) {
+  FilterRegistry.register(name, fn);
+}
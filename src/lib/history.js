@@ -0,0 +1,240 @@
+import Signal from './signal.js';
+import { ReactiveModel } from './reactive.js';
+import { batchScheduler } from './batch-effect.js';
+
+/**
+ * History - Undo/redo for a reactive model
+ *
+ * Design principles:
+ * - Records the mutations reported by the reactive proxies (object/array
+ *   traps, array methods, Map/Set methods) for anything reachable from the
+ *   model - no deep cloning
+ * - Every mutation made inside one batch() is one step; outside a batch,
+ *   every mutation is its own step
+ * - Undo/redo write back through the proxies, so bindings update as usual
+ * - canUndo/canRedo are signals, usable from templates and effects
+ *
+ * @example
+ * const doc = reactive({ title: '', blocks: [] });
+ * const history = createHistory(doc, { limit: 50 });
+ *
+ * batch(() => {
+ *   doc.title = 'Draft';
+ *   doc.blocks.push({ text: 'Hello' });
+ * });
+ *
+ * history.undo(); // title and blocks restored in one step
+ * history.redo();
+ *
+ * // <button :disabled="!history.canUndo.value" @click="history.undo()">Undo</button>
+ */
+export class History {
+  /**
+   * @param {Object} model - Reactive model to record
+   * @param {Object} options
+   * @param {number} options.limit - Maximum number of undo steps (default 100)
+   */
+  constructor(model, options = {}) {
+    this.model = model;
+    this.limit = options.limit ?? 100;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.canUndo = new Signal(false);
+    this.canRedo = new Signal(false);
+    this.applying = false;
+
+    this._unsubscribe = ReactiveModel.onMutation(record => this._record(record));
+  }
+
+  _record(record) {
+    if (this.applying || ReactiveModel.pathOf(record.target, this.model) === null) {
+      return;
+    }
+
+    const batchId = batchScheduler.isBatching ? batchScheduler.batchId : null;
+    const last = this.undoStack[this.undoStack.length - 1];
+
+    if (batchId !== null && last && last.batchId === batchId) {
+      last.records.push(record);
+    } else {
+      this.undoStack.push({ batchId, records: [record] });
+
+      if (this.undoStack.length > this.limit) {
+        this.undoStack.shift();
+      }
+    }
+
+    this.redoStack = [];
+    this._updateSignals();
+  }
+
+  /**
+   * Revert the last step
+   * @returns {boolean} - False if there was nothing to undo
+   */
+  undo() {
+    const step = this.undoStack.pop();
+    if (!step) return false;
+
+    this._apply(() => {
+      step.records.slice().reverse().forEach(revertMutation);
+    });
+
+    this.redoStack.push(step);
+    this._updateSignals();
+    return true;
+  }
+
+  /**
+   * Re-apply the last undone step
+   * @returns {boolean} - False if there was nothing to redo
+   */
+  redo() {
+    const step = this.redoStack.pop();
+    if (!step) return false;
+
+    this._apply(() => {
+      step.records.forEach(reapplyMutation);
+    });
+
+    this.undoStack.push(step);
+    this._updateSignals();
+    return true;
+  }
+
+  /**
+   * Forget all recorded steps
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this._updateSignals();
+  }
+
+  /**
+   * Stop recording
+   */
+  dispose() {
+    this._unsubscribe();
+    this.clear();
+  }
+
+  _apply(fn) {
+    this.applying = true;
+    try {
+      batchScheduler.batch(fn);
+    } finally {
+      this.applying = false;
+    }
+  }
+
+  _updateSignals() {
+    this.canUndo.value = this.undoStack.length > 0;
+    this.canRedo.value = this.redoStack.length > 0;
+  }
+}
+
+/**
+ * revertMutation - Write the state before a mutation record back through
+ * the target's proxy
+ */
+export function revertMutation(record) {
+  const { target, key } = record;
+  const proxy = ReactiveModel._proxyOf(target);
+
+  switch (record.type) {
+    case 'set':
+      if (target instanceof Map || target instanceof WeakMap) {
+        if (record.hadKey) {
+          proxy.set(key, record.oldValue);
+        } else {
+          proxy.delete(key);
+        }
+      } else if (record.hadKey) {
+        proxy[key] = record.oldValue;
+      } else if (Array.isArray(target)) {
+        proxy.length = record.oldLength;
+      } else {
+        delete proxy[key];
+      }
+      break;
+
+    case 'delete':
+      if (target instanceof Map || target instanceof WeakMap) {
+        proxy.set(key, record.oldValue);
+      } else if (target instanceof Set || target instanceof WeakSet) {
+        proxy.add(key);
+      } else {
+        proxy[key] = record.oldValue;
+      }
+      break;
+
+    case 'add':
+      proxy.delete(key);
+      break;
+
+    case 'clear':
+      record.oldEntries.forEach(([entryKey, value]) => {
+        if (target instanceof Map) {
+          proxy.set(entryKey, value);
+        } else {
+          proxy.add(value);
+        }
+      });
+      break;
+
+    case 'array':
+      proxy.splice(0, proxy.length, ...record.oldItems);
+      break;
+  }
+}
+
+/**
+ * reapplyMutation - Repeat a mutation record through the target's proxy
+ */
+export function reapplyMutation(record) {
+  const { target, key } = record;
+  const proxy = ReactiveModel._proxyOf(target);
+
+  switch (record.type) {
+    case 'set':
+      if (target instanceof Map || target instanceof WeakMap) {
+        proxy.set(key, record.newValue);
+      } else {
+        proxy[key] = record.newValue;
+      }
+      break;
+
+    case 'delete':
+      if (target instanceof Map || target instanceof WeakMap ||
+          target instanceof Set || target instanceof WeakSet) {
+        proxy.delete(key);
+      } else {
+        delete proxy[key];
+      }
+      break;
+
+    case 'add':
+      proxy.add(key);
+      break;
+
+    case 'clear':
+      proxy.clear();
+      break;
+
+    case 'array':
+      proxy.splice(0, proxy.length, ...record.newItems);
+      break;
+  }
+}
+
+/**
+ * createHistory - Record undo/redo steps for a reactive model
+ *
+ * @param {Object} model - Reactive model
+ * @param {Object} options - { limit }
+ * @returns {History}
+ */
+export function createHistory(model, options = {}) {
+  return new History(model, options);
+}
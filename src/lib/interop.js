@@ -0,0 +1,267 @@
+import Signal from './signal.js';
+import { Effect, EffectTracker } from './effect.js';
+import { EffectScope } from './effect-scope.js';
+import { watch } from './watch.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('interop');
+
+/**
+ * Interop - Signals fed by (and feeding) other reactive sources
+ *
+ * Design principles:
+ * - Every from*() adapter returns a plain Signal: read .value in bindings,
+ *   computeds and effects like any other state
+ * - The subscription belongs to its owner: created inside an effect body it
+ *   ends before the effect re-runs or stops; otherwise it ends with the
+ *   active effect scope (component, effectScope()). The returned signal's
+ *   stop() ends it by hand.
+ * - Errors from the source go to options.onError, or to the logger
+ *
+ * @example
+ * const price = fromObservable(price$, 0);
+ * const user = fromPromise(fetch('/me').then(r => r.json()), null);
+ * const messages = fromAsyncIterable(socketMessages(), null);
+ *
+ * toObservable(() => cart.total).subscribe(total => analytics.track(total));
+ */
+
+/**
+ * Tie stop() to the running effect, or else to the active scope
+ */
+function onOwnerDispose(stop) {
+  const current = EffectTracker.current;
+
+  if (current instanceof Effect) {
+    current.cleanups.push(stop);
+  } else if (EffectScope.active) {
+    EffectScope.active.cleanups.push(stop);
+  }
+}
+
+/**
+ * Signal that ends its source subscription with stop()
+ */
+function createSourceSignal(initialValue, options, start) {
+  const signal = new Signal(initialValue, options);
+  let stopped = false;
+  let teardown = null;
+
+  const reportError = (error) => {
+    if (options.onError) {
+      options.onError(error);
+    } else {
+      log.error('Error from reactive source:', error);
+    }
+  };
+
+  signal.stop = () => {
+    if (stopped) return;
+    stopped = true;
+    if (teardown) {
+      teardown();
+      teardown = null;
+    }
+  };
+
+  teardown = start({
+    next: (value) => {
+      if (!stopped) signal.value = value;
+    },
+    error: (error) => {
+      if (!stopped) reportError(error);
+    },
+    isStopped: () => stopped
+  });
+
+  onOwnerDispose(signal.stop);
+  return signal;
+}
+
+/**
+ * fromObservable - Signal holding the latest value of an observable
+ *
+ * @param {Object} observable - Anything with subscribe(observer) returning
+ *   a subscription ({ unsubscribe() }) or an unsubscribe function
+ * @param {*} initialValue - Value until the first emission
+ * @param {Object} options - { equals, onError }
+ * @returns {Signal} - With stop() to unsubscribe early
+ */
+export function fromObservable(observable, initialValue, options = {}) {
+  if (!observable || typeof observable.subscribe !== 'function') {
+    throw new Error('fromObservable() expects an object with a subscribe() method');
+  }
+
+  return createSourceSignal(initialValue, options, ({ next, error }) => {
+    const subscription = observable.subscribe({
+      next,
+      error,
+      complete: () => {}
+    });
+
+    return () => {
+      if (typeof subscription === 'function') {
+        subscription();
+      } else if (subscription && typeof subscription.unsubscribe === 'function') {
+        subscription.unsubscribe();
+      }
+    };
+  });
+}
+
+/**
+ * toObservable - Observable of a signal, computed or getter
+ *
+ * Each subscriber gets the current value right away, then every change
+ * (after batching, like any watcher). Subscriptions are independent of the
+ * scope they were created in - unsubscribe to end them.
+ *
+ * @param {Signal|Function} source
+ * @returns {Object} - { subscribe(observerOrNext) -> { unsubscribe() } }
+ */
+export function toObservable(source) {
+  const observable = {
+    subscribe(observerOrNext) {
+      const observer = typeof observerOrNext === 'function'
+        ? { next: observerOrNext }
+        : observerOrNext || {};
+
+      const stop = EffectScope.runIn(null, () => watch(source, (value) => {
+        if (observer.next) {
+          observer.next(value);
+        }
+      }, { immediate: true }));
+
+      return {
+        closed: false,
+        unsubscribe() {
+          if (this.closed) return;
+          this.closed = true;
+          stop();
+        }
+      };
+    }
+  };
+
+  // Interop with RxJS from() and other Symbol.observable consumers
+  const observableKey = (typeof Symbol === 'function' && Symbol.observable) || '@@observable';
+  observable[observableKey] = () => observable;
+
+  return observable;
+}
+
+/**
+ * fromAsyncIterable - Signal holding the latest value of an async iterable
+ *
+ * Stopping calls the iterator's return(), so async generators run their
+ * finally blocks.
+ *
+ * @param {AsyncIterable} iterable
+ * @param {*} initialValue - Value until the first item
+ * @param {Object} options - { equals, onError }
+ * @returns {Signal} - With stop() to end the iteration early
+ */
+export function fromAsyncIterable(iterable, initialValue, options = {}) {
+  if (!iterable || typeof iterable[Symbol.asyncIterator] !== 'function') {
+    throw new Error('fromAsyncIterable() expects an async iterable');
+  }
+
+  return createSourceSignal(initialValue, options, ({ next, error, isStopped }) => {
+    const iterator = iterable[Symbol.asyncIterator]();
+
+    (async () => {
+      try {
+        while (!isStopped()) {
+          const result = await iterator.next();
+          if (result.done || isStopped()) break;
+          next(result.value);
+        }
+      } catch (err) {
+        error(err);
+      }
+    })();
+
+    return () => {
+      if (typeof iterator.return === 'function') {
+        Promise.resolve(iterator.return()).catch(() => {});
+      }
+    };
+  });
+}
+
+/**
+ * fromPromise - Signal holding a promise's result once it resolves
+ *
+ * @param {Promise} promise
+ * @param {*} initialValue - Value while pending (and after a rejection)
+ * @param {Object} options - { equals, onError }
+ * @returns {Signal} - With stop() to ignore a result that arrives later
+ */
+export function fromPromise(promise, initialValue, options = {}) {
+  return createSourceSignal(initialValue, options, ({ next, error }) => {
+    Promise.resolve(promise).then(next, error);
+    return null;
+  });
+}
+
+/**
+ * fromSignalProposal - Signal mirroring a TC39 proposal signal
+ * (Signal.State / Signal.Computed, e.g. from the signal-polyfill package)
+ *
+ * @param {Object} external - Proposal signal (has get())
+ * @param {Object} options
+ * @param {Object} options.namespace - The proposal's Signal namespace
+ *   (default globalThis.Signal)
+ * @param {Function|string} options.equals - Change comparator
+ * @returns {Signal} - With stop() to stop watching
+ */
+export function fromSignalProposal(external, options = {}) {
+  const namespace = options.namespace || globalThis.Signal;
+
+  if (!namespace || !namespace.subtle || typeof namespace.subtle.Watcher !== 'function') {
+    throw new Error('fromSignalProposal() needs the Signal namespace of the TC39 proposal (options.namespace)');
+  }
+
+  return createSourceSignal(external.get(), options, ({ next, error, isStopped }) => {
+    let watcher = null;
+
+    // Watchers may not read signals while notified; pull in a microtask.
+    // Reading the source re-arms the watcher for the next change.
+    const pull = () => {
+      if (isStopped()) return;
+      try {
+        next(external.get());
+      } catch (err) {
+        error(err);
+      }
+      watcher.watch();
+    };
+
+    watcher = new namespace.subtle.Watcher(() => queueMicrotask(pull));
+    watcher.watch(external);
+
+    return () => watcher.unwatch(external);
+  });
+}
+
+/**
+ * toSignalProposal - TC39 proposal Signal.State mirroring a signal,
+ * computed or getter
+ *
+ * @param {Signal|Function} source
+ * @param {Object} options - { namespace } (default globalThis.Signal)
+ * @returns {Object} - Signal.State, with stop() to stop mirroring
+ */
+export function toSignalProposal(source, options = {}) {
+  const namespace = options.namespace || globalThis.Signal;
+
+  if (!namespace || typeof namespace.State !== 'function') {
+    throw new Error('toSignalProposal() needs the Signal namespace of the TC39 proposal (options.namespace)');
+  }
+
+  const state = new namespace.State(undefined);
+  const stop = watch(source, value => state.set(value), { immediate: true, flush: 'sync' });
+
+  state.stop = stop;
+  return state;
+}
@@ -0,0 +1,130 @@
+import { INTERPOLATION } from './constants.js';
+
+/**
+ * Interpolation - {{ expression }} templates in text and attribute values
+ *
+ * Design principles:
+ * - A template is split once, at parse time, into static strings and
+ *   expression parts: "Total: {{ total }} EUR" -> ['Total: ', { expression: 'total' }, ' EUR']
+ * - `\{{` stands for literal braces and is never evaluated
+ * - Quotes inside an expression are respected, so "{{ '}}' }}" works
+ * - Values render like :text: null and undefined become '', objects JSON
+ *
+ * @example
+ * <p class="card {{ size }}">Hello {{ user.name }}, you have {{ count }} messages</p>
+ * <code>\{{ not interpolated }}</code>
+ */
+export class Interpolation {
+  /**
+   * Split a template into strings and { expression } parts
+   *
+   * @param {string} text
+   * @returns {Array|null} - null when the text has no braces at all
+   */
+  static parse(text) {
+    if (!text || !text.includes(INTERPOLATION.OPEN)) {
+      return null;
+    }
+
+    const parts = [];
+    let literal = '';
+    let i = 0;
+
+    while (i < text.length) {
+      if (text.startsWith(INTERPOLATION.ESCAPE, i)) {
+        literal += INTERPOLATION.OPEN;
+        i += INTERPOLATION.ESCAPE.length;
+        continue;
+      }
+
+      if (text.startsWith(INTERPOLATION.OPEN, i)) {
+        const start = i + INTERPOLATION.OPEN.length;
+        const end = this._findClose(text, start);
+        const expression = end === -1 ? '' : text.slice(start, end).trim();
+
+        // Unclosed or empty braces stay as they are
+        if (!expression) {
+          const rest = end === -1 ? text.length : end + INTERPOLATION.CLOSE.length;
+          literal += text.slice(i, rest);
+          i = rest;
+          continue;
+        }
+
+        if (literal) {
+          parts.push(literal);
+          literal = '';
+        }
+        parts.push({ expression });
+        i = end + INTERPOLATION.CLOSE.length;
+        continue;
+      }
+
+      literal += text[i];
+      i++;
+    }
+
+    if (literal) {
+      parts.push(literal);
+    }
+
+    return parts;
+  }
+
+  /**
+   * Whether parsed parts contain no expression (only escaped braces)
+   */
+  static isStatic(parts) {
+    return parts.every(part => typeof part === 'string');
+  }
+
+  /**
+   * Join parts, evaluating each expression part with evaluate(expression)
+   */
+  static render(parts, evaluate) {
+    let result = '';
+
+    for (const part of parts) {
+      result += typeof part === 'string' ? part : this.toDisplayString(evaluate(part.expression));
+    }
+
+    return result;
+  }
+
+  static toDisplayString(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    if (typeof value === 'object') {
+      try {
+        return JSON.stringify(value);
+      } catch (error) {
+        return String(value); // Circular structures
+      }
+    }
+    return String(value);
+  }
+
+  /**
+   * Index of the closing braces, skipping quoted strings
+   */
+  static _findClose(text, start) {
+    let quote = null;
+
+    for (let i = start; i < text.length; i++) {
+      const ch = text[i];
+
+      if (quote) {
+        if (ch === '\\') i++;
+        else if (ch === quote) quote = null;
+      } else if (ch === '"' || ch === "'" || ch === '`') {
+        quote = ch;
+      } else if (text.startsWith(INTERPOLATION.CLOSE, i)) {
+        // `{{ {a: 1}}}` closes at the last pair of a brace run
+        while (text[i + INTERPOLATION.CLOSE.length] === '}') i++;
+        return i;
+      }
+    }
+
+    return -1;
+  }
+}
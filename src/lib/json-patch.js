@@ -0,0 +1,489 @@
+import { ReactiveModel } from './reactive.js';
+import { batchScheduler } from './batch-effect.js';
+import { deepEqual } from './equality.js';
+import { revertMutation } from './history.js';
+
+/**
+ * JSON Patch - RFC 6902 operations for reactive models
+ *
+ * observePatches() turns the mutation records of the reactive proxies into
+ * patch operations with full JSON Pointer paths from the model root.
+ * applyPatch() applies operations through the proxies, so bindings update
+ * exactly as if the code had made the change itself.
+ *
+ * Mapping of non-JSON structures:
+ * - Map entries are addressed by String(key) like object properties
+ * - Sets are serialised as arrays; any change replaces the whole Set
+ * - Array method calls become the minimal add/remove/replace operations
+ *   between the old and new contents
+ *
+ * @example
+ * const stop = observePatches(cart, (ops) => {
+ *   fetch('/cart', { method: 'PATCH', body: JSON.stringify(ops) });
+ * });
+ *
+ * cart.items.push({ sku: 'A1', qty: 1 });
+ * // [{ op: 'add', path: '/items/0', value: { sku: 'A1', qty: 1 } }]
+ *
+ * applyPatch(cart, [{ op: 'replace', path: '/items/0/qty', value: 2 }]);
+ */
+
+/**
+ * Escape one path segment (RFC 6901: ~ -> ~0, / -> ~1)
+ */
+function escapeToken(token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function unescapeToken(token) {
+  return token.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+/**
+ * toPointer - Build a JSON Pointer from path segments
+ */
+export function toPointer(path) {
+  return path.map(token => '/' + escapeToken(token)).join('');
+}
+
+/**
+ * parsePointer - Split a JSON Pointer into unescaped segments
+ */
+export function parsePointer(pointer) {
+  if (pointer === '') return [];
+
+  if (pointer[0] !== '/') {
+    throw new Error(`Invalid JSON Pointer: "${pointer}"`);
+  }
+
+  return pointer.slice(1).split('/').map(unescapeToken);
+}
+
+/**
+ * Plain JSON-compatible copy of a value, so emitted operations don't
+ * change when the model does
+ */
+function toJSONValue(value) {
+  value = ReactiveModel.toRaw(value);
+
+  if (typeof value !== 'object' || value === null) {
+    return value;
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(toJSONValue);
+  }
+
+  if (value instanceof Set) {
+    return Array.from(value, toJSONValue);
+  }
+
+  if (value instanceof Map) {
+    const result = {};
+    value.forEach((item, key) => {
+      result[String(key)] = toJSONValue(item);
+    });
+    return result;
+  }
+
+  const result = {};
+  Object.keys(value).forEach(key => {
+    result[key] = toJSONValue(value[key]);
+  });
+  return result;
+}
+
+/**
+ * Minimal operations turning oldItems into newItems: common prefix and
+ * suffix are skipped, the overlapping middle is replaced in place and the
+ * rest removed or added
+ */
+function diffItems(base, oldItems, newItems) {
+  const ops = [];
+  let start = 0;
+
+  while (start < oldItems.length && start < newItems.length &&
+         Object.is(oldItems[start], newItems[start])) {
+    start++;
+  }
+
+  let oldEnd = oldItems.length;
+  let newEnd = newItems.length;
+
+  while (oldEnd > start && newEnd > start &&
+         Object.is(oldItems[oldEnd - 1], newItems[newEnd - 1])) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const common = Math.min(oldEnd - start, newEnd - start);
+
+  for (let i = start; i < start + common; i++) {
+    ops.push({ op: 'replace', path: toPointer([...base, i]), value: toJSONValue(newItems[i]) });
+  }
+
+  // Remove from the back so earlier indices stay valid
+  for (let i = oldEnd - 1; i >= start + common; i--) {
+    ops.push({ op: 'remove', path: toPointer([...base, i]) });
+  }
+
+  for (let i = start + common; i < newEnd; i++) {
+    ops.push({ op: 'add', path: toPointer([...base, i]), value: toJSONValue(newItems[i]) });
+  }
+
+  return ops;
+}
+
+/**
+ * `arr[i] = x` and `delete arr[i]` never shift the other items. In JSON a
+ * hole is null, so a write past the end first adds the holes (RFC 6902
+ * only allows adding at an existing index or the end) and a deleted item
+ * becomes null.
+ */
+function arrayIndexToOps(record, base) {
+  const { key, oldLength } = record;
+
+  if (record.type === 'delete') {
+    return [{ op: 'replace', path: toPointer([...base, key]), value: null }];
+  }
+
+  if (key < oldLength) {
+    return [{ op: 'replace', path: toPointer([...base, key]), value: toJSONValue(record.newValue) }];
+  }
+
+  const ops = [];
+  for (let i = oldLength; i < key; i++) {
+    ops.push({ op: 'add', path: toPointer([...base, i]), value: null });
+  }
+  ops.push({ op: 'add', path: toPointer([...base, key]), value: toJSONValue(record.newValue) });
+
+  return ops;
+}
+
+/**
+ * Convert one mutation record into patch operations
+ */
+function recordToOps(record, base) {
+  const { target } = record;
+
+  // Sets have no addressable members - replace the whole Set
+  if (target instanceof Set) {
+    return [{ op: 'replace', path: toPointer(base), value: toJSONValue(target) }];
+  }
+
+  if (Array.isArray(target) && (record.type === 'set' || record.type === 'delete')) {
+    return arrayIndexToOps(record, base);
+  }
+
+  switch (record.type) {
+    case 'set':
+      return [{
+        op: record.hadKey ? 'replace' : 'add',
+        path: toPointer([...base, record.key]),
+        value: toJSONValue(record.newValue)
+      }];
+
+    case 'delete':
+      return [{ op: 'remove', path: toPointer([...base, record.key]) }];
+
+    case 'clear':
+      return [{ op: 'replace', path: toPointer(base), value: {} }];
+
+    case 'array':
+      return diffItems(base, record.oldItems, record.newItems);
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Outermost Set holding target (directly or deeper) below model, if any
+ */
+function enclosingSet(target, model) {
+  const root = ReactiveModel.toRaw(model);
+  const visited = new Set();
+  let current = ReactiveModel.toRaw(target);
+  let found = null;
+
+  while (current !== root && !visited.has(current)) {
+    visited.add(current);
+
+    const owner = ReactiveModel._owners.get(current);
+    if (!owner) break;
+
+    if (owner.parent instanceof Set) {
+      found = owner.parent;
+    }
+    current = owner.parent;
+  }
+
+  return found;
+}
+
+/**
+ * observePatches - Emit JSON Patch operations for every mutation of a model
+ *
+ * @param {Object} model - Reactive model
+ * @param {Function} callback - (ops) => void, called once per mutation
+ * @returns {Function} - Stop observing
+ */
+export function observePatches(model, callback) {
+  return ReactiveModel.onMutation(record => {
+    const base = ReactiveModel.pathOf(record.target, model);
+    if (base === null) return;
+
+    // A change inside a Set member replaces the whole Set too
+    const set = enclosingSet(record.target, model);
+    const ops = set
+      ? recordToOps({ target: set }, ReactiveModel.pathOf(set, model))
+      : recordToOps(record, base);
+    if (ops.length > 0) {
+      callback(ops);
+    }
+  });
+}
+
+/**
+ * Read one segment of a container (through its proxy)
+ */
+function getChild(container, token) {
+  if (container instanceof Map) {
+    return findMapKey(container, token).value;
+  }
+  if (Array.isArray(container)) {
+    return container[toIndex(container, token, false)];
+  }
+  return container[token];
+}
+
+function hasChild(container, token) {
+  if (container instanceof Map) {
+    return findMapKey(container, token).found;
+  }
+  if (Array.isArray(container)) {
+    const index = Number(token);
+    return /^(0|[1-9]\d*)$/.test(token) && index < container.length;
+  }
+  return Object.prototype.hasOwnProperty.call(ReactiveModel.toRaw(container), token);
+}
+
+/**
+ * Map keys need not be strings - match the one whose String() is token
+ */
+function findMapKey(map, token) {
+  for (const [key, value] of map) {
+    if (String(key) === token) {
+      return { key, value, found: true };
+    }
+  }
+  return { key: token, value: undefined, found: false };
+}
+
+function toIndex(array, token, allowEnd) {
+  if (allowEnd && token === '-') {
+    return array.length;
+  }
+
+  if (!/^(0|[1-9]\d*)$/.test(token)) {
+    throw new Error(`Invalid array index "${token}"`);
+  }
+
+  const index = Number(token);
+  if (index > array.length || (!allowEnd && index === array.length)) {
+    throw new Error(`Array index ${index} out of bounds`);
+  }
+  return index;
+}
+
+/**
+ * Resolve the container holding the last segment of path
+ */
+function resolveParent(model, pointer) {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) {
+    throw new Error('Cannot add, remove or replace the model root');
+  }
+
+  const key = tokens.pop();
+  let container = model;
+
+  tokens.forEach((token, i) => {
+    if (typeof container !== 'object' || container === null || !hasChild(container, token)) {
+      throw new Error(`Path "${toPointer(tokens.slice(0, i + 1))}" does not exist`);
+    }
+    container = getChild(container, token);
+  });
+
+  if (typeof container !== 'object' || container === null) {
+    throw new Error(`Path "${pointer}" has no container`);
+  }
+
+  return { container, key };
+}
+
+function readPath(model, pointer) {
+  if (pointer === '') return model;
+
+  const { container, key } = resolveParent(model, pointer);
+  if (!hasChild(container, key)) {
+    throw new Error(`Path "${pointer}" does not exist`);
+  }
+  return getChild(container, key);
+}
+
+/**
+ * Copy an incoming value so the patch object is never aliased by the model
+ */
+function cloneValue(value) {
+  return toJSONValue(value);
+}
+
+/**
+ * Write value into an existing Set/Map slot in place, keeping its type
+ */
+function replaceCollection(current, value) {
+  current = ReactiveModel._proxyOf(ReactiveModel.toRaw(current));
+
+  if (current instanceof Set && Array.isArray(value)) {
+    current.clear();
+    value.forEach(item => current.add(item));
+    return true;
+  }
+
+  if (current instanceof Map && typeof value === 'object' && value !== null && !Array.isArray(value)) {
+    current.clear();
+    Object.keys(value).forEach(key => current.set(key, value[key]));
+    return true;
+  }
+
+  return false;
+}
+
+function addValue(model, pointer, value) {
+  const { container, key } = resolveParent(model, pointer);
+
+  if (Array.isArray(container)) {
+    container.splice(toIndex(container, key, true), 0, value);
+  } else if (container instanceof Map) {
+    container.set(findMapKey(container, key).key, value);
+  } else {
+    container[key] = value;
+  }
+}
+
+function removeValue(model, pointer) {
+  const { container, key } = resolveParent(model, pointer);
+
+  if (!hasChild(container, key)) {
+    throw new Error(`Path "${pointer}" does not exist`);
+  }
+
+  if (Array.isArray(container)) {
+    container.splice(toIndex(container, key, false), 1);
+  } else if (container instanceof Map) {
+    container.delete(findMapKey(container, key).key);
+  } else {
+    delete container[key];
+  }
+}
+
+function replaceValue(model, pointer, value) {
+  const { container, key } = resolveParent(model, pointer);
+
+  if (!hasChild(container, key)) {
+    throw new Error(`Path "${pointer}" does not exist`);
+  }
+
+  const current = getChild(container, key);
+  if (current instanceof Set || current instanceof Map) {
+    if (replaceCollection(current, value)) return;
+  }
+
+  if (Array.isArray(container)) {
+    container[toIndex(container, key, false)] = value;
+  } else if (container instanceof Map) {
+    container.set(findMapKey(container, key).key, value);
+  } else {
+    container[key] = value;
+  }
+}
+
+function applyOperation(model, operation) {
+  const { op, path } = operation;
+
+  switch (op) {
+    case 'add':
+      addValue(model, path, cloneValue(operation.value));
+      break;
+
+    case 'remove':
+      removeValue(model, path);
+      break;
+
+    case 'replace':
+      replaceValue(model, path, cloneValue(operation.value));
+      break;
+
+    case 'move': {
+      if (path.startsWith(operation.from + '/')) {
+        throw new Error(`Cannot move "${operation.from}" into its own child "${path}"`);
+      }
+      const value = readPath(model, operation.from);
+      removeValue(model, operation.from);
+      addValue(model, path, ReactiveModel.toRaw(value));
+      break;
+    }
+
+    case 'copy':
+      addValue(model, path, cloneValue(readPath(model, operation.from)));
+      break;
+
+    case 'test':
+      if (!deepEqual(toJSONValue(readPath(model, path)), operation.value)) {
+        throw new Error(`Test failed at "${path}"`);
+      }
+      break;
+
+    default:
+      throw new Error(`Unknown JSON Patch operation: "${op}"`);
+  }
+}
+
+/**
+ * applyPatch - Apply RFC 6902 operations to a reactive model
+ *
+ * Operations run through the proxies inside one batch. The patch is atomic:
+ * if any operation fails (bad path, failed test), the changes already made
+ * are rolled back and the error is rethrown. readonly() views are refused.
+ *
+ * @param {Object} model - Reactive model
+ * @param {Array} ops - JSON Patch operations
+ */
+export function applyPatch(model, ops) {
+  if (ReactiveModel.isReadonly(model)) {
+    throw new Error('Cannot apply a patch to a readonly model');
+  }
+
+  const proxy = ReactiveModel._proxyOf(ReactiveModel.toRaw(model));
+  const applied = [];
+  const stopRecording = ReactiveModel.onMutation(record => applied.push(record));
+
+  try {
+    batchScheduler.batch(() => {
+      try {
+        ops.forEach(operation => applyOperation(proxy, operation));
+      } catch (error) {
+        stopRecording();
+        applied.reverse().forEach(revertMutation);
+        throw error;
+      }
+    });
+  } finally {
+    stopRecording();
+  }
+}
@@ -0,0 +1,145 @@
+import { LOG_LEVEL } from './constants.js';
+
+/**
+ * Logger - Leveled, namespaced framework logging with a pluggable sink
+ *
+ * Design principles:
+ * - Every subsystem logs through its own namespace (signal, reactive,
+ *   binding, loop, component, parser, scheduler, ...)
+ * - A global level plus optional per-namespace levels decide what is
+ *   written; the default shows warnings and errors only
+ * - Output goes to one sink (console by default) - swap it to collect logs
+ *   in tests or forward them to a monitoring service
+ * - Production builds define __REACTIVE_HTML_DEV__ as false at build time
+ *   (webpack DefinePlugin, esbuild/Vite `define`): __DEV__ becomes false,
+ *   debug/info calls are no-ops and `if (__DEV__)` guarded hot-path
+ *   logging is skipped
+ *
+ * @example
+ * const log = createLogger('binding');
+ * log.debug('update', name, value);   // Hidden unless enabled
+ *
+ * setLogLevel('debug', 'loop');         // Verbose loop reconciliation only
+ * setLogSink((entry) => entries.push(entry));
+ */
+
+/* global __REACTIVE_HTML_DEV__ */
+// Replaced by the bundler. Without it, only Node's NODE_ENV can turn
+// development mode off - unbundled ESM in a browser stays in development.
+export const __DEV__ = typeof __REACTIVE_HTML_DEV__ !== 'undefined'
+  ? __REACTIVE_HTML_DEV__
+  : typeof process === 'undefined' || process.env.NODE_ENV !== 'production';
+
+const LEVEL_ORDER = {
+  [LOG_LEVEL.DEBUG]: 0,
+  [LOG_LEVEL.INFO]: 1,
+  [LOG_LEVEL.WARN]: 2,
+  [LOG_LEVEL.ERROR]: 3,
+  [LOG_LEVEL.SILENT]: 4
+};
+
+const noop = () => {};
+
+/**
+ * Default sink: console, prefixed with the namespace
+ */
+function consoleSink(entry) {
+  const method = entry.level === LOG_LEVEL.DEBUG ? 'log' : entry.level;
+  console[method](`[reactive-html:${entry.namespace}]`, ...entry.args);
+}
+
+export class Logger {
+  static level = __DEV__ ? LOG_LEVEL.WARN : LOG_LEVEL.ERROR;
+  static namespaceLevels = new Map();
+  static sink = consoleSink;
+  static loggers = new Map();
+
+  /**
+   * Set the global level, or the level of one namespace
+   */
+  static setLevel(level, namespace) {
+    if (!(level in LEVEL_ORDER)) {
+      throw new Error(`Unknown log level: "${level}"`);
+    }
+
+    if (namespace) {
+      Logger.namespaceLevels.set(namespace, level);
+    } else {
+      Logger.level = level;
+    }
+  }
+
+  /**
+   * Replace the output (null restores the console)
+   * @param {Function} sink - ({ level, namespace, args, timestamp }) => void
+   */
+  static setSink(sink) {
+    Logger.sink = sink || consoleSink;
+  }
+
+  static isEnabled(level, namespace) {
+    const threshold = Logger.namespaceLevels.get(namespace) || Logger.level;
+    return LEVEL_ORDER[level] >= LEVEL_ORDER[threshold];
+  }
+
+  static write(level, namespace, args) {
+    if (!Logger.isEnabled(level, namespace)) return;
+
+    try {
+      Logger.sink({ level, namespace, args, timestamp: Date.now() });
+    } catch (error) {
+      // A broken sink must never break the app
+    }
+  }
+
+  /**
+   * Get the (cached) logger of a namespace
+   */
+  static create(namespace) {
+    let logger = Logger.loggers.get(namespace);
+
+    if (!logger) {
+      const write = level => (...args) => Logger.write(level, namespace, args);
+
+      logger = {
+        namespace,
+        debug: __DEV__ ? write(LOG_LEVEL.DEBUG) : noop,
+        info: __DEV__ ? write(LOG_LEVEL.INFO) : noop,
+        warn: write(LOG_LEVEL.WARN),
+        error: write(LOG_LEVEL.ERROR),
+        isEnabled: level => Logger.isEnabled(level, namespace)
+      };
+
+      Logger.loggers.set(namespace, logger);
+    }
+
+    return logger;
+  }
+}
+
+/**
+ * createLogger - Logger for one subsystem
+ *
+ * @param {string} namespace - e.g. 'binding'
+ * @returns {Object} - { debug, info, warn, error, isEnabled(level) }
+ */
+export function createLogger(namespace) {
+  return Logger.create(namespace);
+}
+
+/**
+ * setLogLevel - 'debug' | 'info' | 'warn' | 'error' | 'silent'
+ *
+ * @param {string} level
+ * @param {string} [namespace] - Only this subsystem
+ */
+export function setLogLevel(level, namespace) {
+  Logger.setLevel(level, namespace);
+}
+
+/**
+ * setLogSink - Send log entries somewhere else than the console
+ */
+export function setLogSink(sink) {
+  Logger.setSink(sink);
+}
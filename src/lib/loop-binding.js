@@ -1,19 +1,25 @@
 import { EffectTracker } from "./effect";
+import { ExpressionEvaluator } from './event-binding.js';
+import { BindingFactory, bindingRegistry } from './binding.js';
+import { ReactiveHTMLParser } from './component-binding.js';
+import { createLogger, __DEV__ } from './logger.js';
+
+const log = createLogger('loop');
 
 class LoopConfig {
     constructor(element, eachAttr) {
       const parsed = this._parseEachExpression(eachAttr);
   
-      this.itemVar = parsed.itemVar;
-      this.indexVar = parsed.indexVar;
+      this.itemName = parsed.itemName;
+      this.indexName = parsed.indexName;
       this.source = parsed.source;
-      this.keyExpression = this._extractKey(element);
+      this.keyExpression = element.getAttribute(':key');
   
-      this.template = element.cloneNode(true);
-      this.template.removeAttribute(':each');
-      this.template.removeAttribute(':key');
+      this.templateElement = element.cloneNode(true);
+      this.templateElement.removeAttribute(':each');
+      this.templateElement.removeAttribute(':key');
   
-      this.anchor = document.createComment(`each: ${this.itemVar} in ${this.source}`);
+      this.anchor = document.createComment(`each: ${this.itemName} in ${this.source}`);
       element.replaceWith(this.anchor);
   
       this.instances = [];
@@ -30,8 +36,8 @@ class LoopConfig {
         const match = expr.match(pattern);
         if (match) {
           return {
-            itemVar: match[1],
-            indexVar: match[2] || null,
+            itemName: match[1],
+            indexName: match[2] || null,
             source: match[match.length - 1]
           };
         }
@@ -39,11 +45,6 @@ class LoopConfig {
   
       throw new Error(`Invalid :each syntax: "${expr}"`);
     }
-  
-    _extractKey(element) {
-      const keyAttr = element.getAttribute(':key');
-      return keyAttr || '$index';
-    }
   }
 
 class LoopBinding {
@@ -52,40 +53,67 @@ class LoopBinding {
       this.model = model;
       this.parentContext = contextStack;
       this.instances = [];
+      this.sourceKeys = null;
+      this.sourceIsSet = false;
       this.effect = null;
       this._createEffect();
     }
   
     _createEffect() {
       this.effect = EffectTracker.create(() => {
-        const sourceArray = this._getSourceArray();
+        const sourceArray = this._normalizeSource(this._getSourceArray());
   
         if (!Array.isArray(sourceArray)) {
-          console.warn(`Loop source is not an array: ${this.loopConfig.source}`);
+          log.warn(`Loop source is not an array, Map or Set: ${this.loopConfig.source}`);
           return;
         }
   
         this._reconcile(sourceArray);
+      }, {
+        meta: {
+          bindingName: 'each',
+          element: this.loopConfig.anchor,
+          expression: this.loopConfig.source
+        }
       });
     }
   
     _getSourceArray() {
-      console.log('📍 _getSourceArray called');
-      console.log('   EffectTracker.current:', EffectTracker.current ? 'YES (inside effect)' : 'NO (outside effect)');
-  
       const expr = this.loopConfig.source;
-  
-      console.log('   Evaluating expression:', expr);
       const array = ExpressionEvaluator.evaluate(expr, this.parentContext);
-      console.log('   Got array, length:', array ? array.length : 'null');
+
+      if (__DEV__) {
+        log.debug('source', expr, 'length:', array ? array.length : array,
+          EffectTracker.current ? '(tracked)' : '(untracked)');
+      }
   
       if (array && typeof array.__version !== 'undefined') {
-        console.log('   Accessing array.__version');
         array.__version;
       }
   
       return array;
     }
+
+    /**
+     * Turn a Map or Set source into an array of items.
+     * Maps iterate their values and expose each entry's key as the index
+     * variable (and $key); Sets iterate in insertion order.
+     */
+    _normalizeSource(source) {
+      this.sourceKeys = null;
+      this.sourceIsSet = source instanceof Set;
+
+      if (source instanceof Map) {
+        this.sourceKeys = Array.from(source.keys());
+        return Array.from(source.values());
+      }
+
+      if (source instanceof Set) {
+        return Array.from(source.values());
+      }
+
+      return source;
+    }
   
     _reconcile(newData) {
       const oldByKey = this._buildKeyMap(this.instances);
@@ -114,28 +142,34 @@ class LoopBinding {
       return map;
     }
   
+    /**
+     * Without :key, array items are keyed by position, Map entries by their
+     * key and Set members by their value
+     */
     _computeKey(data, context) {
-      if (this.loopConfig.keyExpression === '$index') {
-        return context.$index;
+      if (!this.loopConfig.keyExpression) {
+        return this.sourceIsSet ? data : context.$key;
       }
   
       try {
         return ExpressionEvaluator.evaluate(this.loopConfig.keyExpression, [context]);
       } catch (error) {
-        console.warn('Error computing key:', error);
+        log.warn('Error computing key:', error);
         return context.$index;
       }
     }
   
     _createItemContext(data, index) {
+      const key = this.sourceKeys ? this.sourceKeys[index] : index;
       const context = {
-        [this.loopConfig.itemVar]: data,
+        [this.loopConfig.itemName]: data,
         $index: index,
+        $key: key,
         $parent: this.parentContext[this.parentContext.length - 1] || {}
       };
   
-      if (this.loopConfig.indexVar) {
-        context[this.loopConfig.indexVar] = index;
+      if (this.loopConfig.indexName) {
+        context[this.loopConfig.indexName] = key;
       }
   
       return context;
@@ -146,8 +180,13 @@ class LoopBinding {
       const toUpdate = [];
       const toAdd = [];
   
+      // A key that now holds different data (e.g. map.set(key, other)) gets
+      // a fresh instance - the old bindings were created for the old item
+      const isReusable = (key) => newByKey.has(key) &&
+        Object.is(oldByKey.get(key).instance.data, newByKey.get(key).data);
+
       oldByKey.forEach((oldItem, key) => {
-        if (newByKey.has(key)) {
+        if (isReusable(key)) {
           const newItem = newByKey.get(key);
           toUpdate.push({
             key,
@@ -163,7 +202,7 @@ class LoopBinding {
       });
   
       newByKey.forEach((newItem, key) => {
-        if (!oldByKey.has(key)) {
+        if (!oldByKey.has(key) || !isReusable(key)) {
           toAdd.push({
             key,
             data: newItem.data,
@@ -177,11 +216,8 @@ class LoopBinding {
         const context = this._createItemContext(data, index);
         const key = this._computeKey(data, context);
   
-        if (oldByKey.has(key)) {
-          const instance = oldByKey.get(key).instance;
-          instance.data = data;
-          instance.context = context;
-          return instance;
+        if (oldByKey.has(key) && isReusable(key)) {
+          return oldByKey.get(key).instance;
         }
   
         return null;
@@ -240,9 +276,9 @@ class LoopBinding {
     }
   
     _createInstance(data, context) {
-      const element = this.loopConfig.template.cloneNode(true);
+      const element = this.loopConfig.templateElement.cloneNode(true);
       const parser = new ReactiveHTMLParser();
-      const parsed = parser.parse(element, [...this.parentContext, context]);
+      const parsed = parser.parse(element, [...this.parentContext, context], { validate: false });
       const bindings = this._createInstanceBindings(parsed, context);
   
       const instance = {
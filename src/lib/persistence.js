@@ -0,0 +1,463 @@
+import { ReactiveModel } from './reactive.js';
+import { batchScheduler } from './batch-effect.js';
+import { EffectScope } from './effect-scope.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('persist');
+
+/**
+ * Persistence - Save a reactive model to storage and restore it on startup
+ *
+ * Design principles:
+ * - Storage is behind a small adapter interface, sync or async:
+ *     getItem(key) -> value | null      setItem(key, value)      removeItem(key)
+ *   Values are plain JSON-compatible objects; adapters serialise as needed
+ * - Hydration writes through the proxies, so bindings show restored data
+ *   (synchronously for localStorage/sessionStorage - before the first paint)
+ * - Writes are debounced and only happen for mutations inside the persisted
+ *   paths; pending writes are flushed when the page is hidden
+ * - Changes made while an async restore is pending win over the stored
+ *   data, and nothing is written before the restore has finished
+ * - Map keys are stored as String(key); on restore they match an existing
+ *   key with the same String() (so 1 finds 1), other keys come back strings
+ * - Stored data carries a version; older data is upgraded by migrations
+ *
+ * @example
+ * const form = reactive({ name: '', email: '', password: '' });
+ *
+ * persist(form, {
+ *   key: 'registration',
+ *   exclude: ['password'],
+ *   version: 2,
+ *   migrations: {
+ *     2: (state) => ({ ...state, email: state.mail })
+ *   }
+ * });
+ */
+
+/**
+ * MemoryStorage - In-memory adapter (tests, SSR, private mode fallback)
+ */
+export class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? JSON.parse(this.items.get(key)) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, JSON.stringify(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+/**
+ * WebStorage - localStorage / sessionStorage adapter
+ */
+export class WebStorage {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  getItem(key) {
+    const json = this.storage.getItem(key);
+    return json === null ? null : JSON.parse(json);
+  }
+
+  setItem(key, value) {
+    this.storage.setItem(key, JSON.stringify(value));
+  }
+
+  removeItem(key) {
+    this.storage.removeItem(key);
+  }
+}
+
+/**
+ * IndexedDBStorage - Async adapter for larger models
+ */
+export class IndexedDBStorage {
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'reactive-html';
+    this.storeName = options.storeName || 'state';
+    this.db = null;
+  }
+
+  _open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
+  }
+
+  async _request(mode, fn) {
+    const db = await this._open();
+
+    return new Promise((resolve, reject) => {
+      const request = fn(db.transaction(this.storeName, mode).objectStore(this.storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getItem(key) {
+    const value = await this._request('readonly', store => store.get(key));
+    return value === undefined ? null : value;
+  }
+
+  setItem(key, value) {
+    return this._request('readwrite', store => store.put(value, key));
+  }
+
+  removeItem(key) {
+    return this._request('readwrite', store => store.delete(key));
+  }
+}
+
+/**
+ * Turn the `storage` option into an adapter
+ */
+function resolveStorage(storage) {
+  if (typeof Storage !== 'undefined' && storage instanceof Storage) {
+    return new WebStorage(storage);
+  }
+
+  if (storage && typeof storage.getItem === 'function') {
+    return storage;
+  }
+
+  switch (storage) {
+    case undefined:
+    case 'local':
+      return typeof localStorage !== 'undefined' ? new WebStorage(localStorage) : new MemoryStorage();
+    case 'session':
+      return typeof sessionStorage !== 'undefined' ? new WebStorage(sessionStorage) : new MemoryStorage();
+    case 'indexedDB':
+      return new IndexedDBStorage();
+    case 'memory':
+      return new MemoryStorage();
+    default:
+      throw new Error(`Unknown storage: "${storage}"`);
+  }
+}
+
+/**
+ * Whether path starts with all of prefix's tokens
+ */
+function startsWith(path, prefix) {
+  return prefix.length <= path.length && prefix.every((token, i) => String(path[i]) === String(token));
+}
+
+/**
+ * Path filter from include/exclude lists of dot-separated paths
+ * ('form', 'form.email', 'items.0.qty')
+ */
+function createPathFilter(include = [], exclude = []) {
+  const split = list => list.map(path => String(path).split('.'));
+  const includes = split(include);
+  const excludes = split(exclude);
+
+  return {
+    // Path itself (and all of its children) is persisted
+    isPersisted(path) {
+      if (excludes.some(prefix => startsWith(path, prefix))) return false;
+      return includes.length === 0 || includes.some(prefix => startsWith(path, prefix));
+    },
+
+    // Path leads towards an included path (only some children are persisted)
+    isPartial(path) {
+      return includes.some(prefix => prefix.length > path.length && startsWith(prefix, path.map(String)));
+    }
+  };
+}
+
+/**
+ * Plain, filtered copy of the model for storage. Getters (computed
+ * properties) and methods are derived, so they are never stored.
+ */
+function snapshot(value, path, filter) {
+  value = ReactiveModel.toRaw(value);
+
+  if (typeof value !== 'object' || value === null) {
+    return value;
+  }
+
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof Set) return Array.from(value, item => snapshot(item, path, filter));
+
+  if (Array.isArray(value)) {
+    return value.map((item, i) => snapshot(item, [...path, i], filter));
+  }
+
+  const entries = value instanceof Map
+    ? Array.from(value, ([key, item]) => [String(key), item])
+    : Object.keys(value)
+        .filter(key => {
+          const descriptor = Object.getOwnPropertyDescriptor(value, key);
+          return !descriptor.get && !descriptor.set && typeof descriptor.value !== 'function';
+        })
+        .map(key => [key, value[key]]);
+
+  const result = {};
+  entries.forEach(([key, item]) => {
+    const childPath = [...path, key];
+    if (filter.isPersisted(childPath)) {
+      result[key] = snapshot(item, childPath, filter);
+    } else if (filter.isPartial(childPath) && typeof ReactiveModel.toRaw(item) === 'object') {
+      result[key] = snapshot(item, childPath, filter);
+    }
+  });
+  return result;
+}
+
+/**
+ * Existing Map key whose String() is key, else key itself
+ */
+function findMapKey(map, key) {
+  for (const existing of map.keys()) {
+    if (String(existing) === key) return existing;
+  }
+  return key;
+}
+
+/**
+ * Write stored data into the model through its proxies. Plain objects are
+ * merged key by key so properties that were not stored keep their defaults.
+ * Paths in `edited` changed locally before the restore and are kept.
+ */
+function hydrate(target, data, path, filter, edited = []) {
+  Object.keys(data).forEach(key => {
+    const childPath = [...path, key];
+    if (!filter.isPersisted(childPath) && !filter.isPartial(childPath)) return;
+    if (edited.some(editedPath => startsWith(childPath, editedPath))) return;
+
+    // Edited further down: merge into objects, keep anything else as is
+    const editedBelow = edited.some(editedPath => startsWith(editedPath, childPath));
+
+    // Computed properties are derived from the restored state
+    const descriptor = target instanceof Map
+      ? null
+      : Object.getOwnPropertyDescriptor(ReactiveModel.toRaw(target), key);
+    if (descriptor && (descriptor.get || descriptor.set)) return;
+
+    const mapKey = target instanceof Map ? findMapKey(target, key) : key;
+    const current = target instanceof Map ? target.get(mapKey) : target[key];
+    const value = data[key];
+
+    if (current instanceof Map && isPlainObject(value)) {
+      hydrate(current, value, childPath, filter, edited);
+    } else if (isPlainObject(current) && isPlainObject(value)) {
+      hydrate(current, value, childPath, filter, edited);
+    } else if (editedBelow) {
+      return;
+    } else if (current instanceof Set && Array.isArray(value)) {
+      current.clear();
+      value.forEach(item => current.add(item));
+    } else if (target instanceof Map) {
+      target.set(mapKey, value);
+    } else {
+      target[key] = value;
+    }
+  });
+}
+
+function isPlainObject(value) {
+  if (typeof value !== 'object' || value === null) return false;
+  const proto = Object.getPrototypeOf(ReactiveModel.toRaw(value));
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Upgrade stored state from its version to the current one
+ */
+function migrate(state, fromVersion, toVersion, migrations) {
+  for (let version = fromVersion + 1; version <= toVersion; version++) {
+    if (typeof migrations[version] === 'function') {
+      state = migrations[version](state);
+    }
+  }
+  return state;
+}
+
+/**
+ * persist - Hydrate a model from storage and save its changes
+ *
+ * @param {Object} model - Reactive model
+ * @param {Object} options
+ * @param {string} options.key - Storage key
+ * @param {string|Object} options.storage - 'local' (default), 'session',
+ *   'indexedDB', 'memory', or an adapter { getItem, setItem, removeItem }
+ * @param {string[]} options.include - Only persist these paths
+ * @param {string[]} options.exclude - Never persist these paths
+ * @param {number} options.debounce - Write delay in ms (default 100)
+ * @param {number} options.version - Current data version (default 1)
+ * @param {Object} options.migrations - { [version]: (state) => state }
+ * @returns {Object} - { ready, flush(), clear(), stop() }
+ */
+export function persist(model, options = {}) {
+  if (!options.key) {
+    throw new Error('persist() requires a storage key');
+  }
+
+  const storage = resolveStorage(options.storage);
+  const filter = createPathFilter(options.include, options.exclude);
+  const version = options.version ?? 1;
+  const migrations = options.migrations || {};
+  const delay = options.debounce ?? 100;
+
+  let timer = null;
+  let hydrating = false;
+  let restoring = true;
+  let stopped = false;
+  // Persisted paths changed before the restore finished
+  const edited = [];
+
+  const reportError = (error) => {
+    log.error(`Error persisting "${options.key}":`, error);
+  };
+
+  const write = () => {
+    clearTimeout(timer);
+    timer = null;
+
+    try {
+      const result = storage.setItem(options.key, {
+        version,
+        state: snapshot(model, [], filter)
+      });
+      if (result && typeof result.catch === 'function') {
+        result.catch(reportError);
+      }
+    } catch (error) {
+      reportError(error);
+    }
+  };
+
+  // Save the edits made while restoring (merged over the stored data)
+  const finishRestore = () => {
+    restoring = false;
+    if (edited.length > 0 && !stopped) {
+      write();
+    }
+  };
+
+  const restore = (stored) => {
+    if (!stored || typeof stored !== 'object' || stopped) return;
+
+    const storedVersion = stored.version ?? 1;
+    if (storedVersion > version) {
+      log.warn(`Ignoring stored "${options.key}": version ${storedVersion} is newer than ${version}.`);
+      return;
+    }
+
+    const state = migrate(stored.state, storedVersion, version, migrations);
+    if (!state || typeof state !== 'object') return;
+
+    hydrating = true;
+    try {
+      batchScheduler.batch(() => hydrate(model, state, [], filter, edited));
+    } finally {
+      hydrating = false;
+    }
+
+    // Persist migrated data in the current format
+    if (storedVersion !== version && edited.length === 0) {
+      write();
+    }
+  };
+
+  const unsubscribe = ReactiveModel.onMutation(record => {
+    if (hydrating || stopped) return;
+
+    const base = ReactiveModel.pathOf(record.target, model);
+    if (base === null) return;
+
+    // Set members and whole-array changes are filtered by their container
+    const path = record.key !== undefined && !(record.target instanceof Set)
+      ? [...base, record.key]
+      : base;
+    if (!filter.isPersisted(path) && !filter.isPartial(path)) return;
+
+    if (restoring) {
+      edited.push(path);
+      return;
+    }
+
+    clearTimeout(timer);
+    timer = setTimeout(write, delay);
+  });
+
+  const onPageHide = () => {
+    if (timer !== null) write();
+  };
+
+  if (typeof window !== 'undefined') {
+    window.addEventListener('pagehide', onPageHide);
+  }
+
+  let ready;
+  try {
+    const stored = storage.getItem(options.key);
+    if (stored && typeof stored.then === 'function') {
+      // A failing migration is reported here just like on the sync path
+      ready = stored.then(restore).catch(reportError).finally(finishRestore);
+    } else {
+      restore(stored);
+      finishRestore();
+      ready = Promise.resolve();
+    }
+  } catch (error) {
+    reportError(error);
+    finishRestore();
+    ready = Promise.resolve();
+  }
+
+  const controller = {
+    ready,
+
+    /**
+     * Write pending changes now
+     */
+    flush() {
+      if (timer !== null) write();
+    },
+
+    /**
+     * Remove the stored data (the model is left as is)
+     */
+    clear() {
+      clearTimeout(timer);
+      timer = null;
+      return storage.removeItem(options.key);
+    },
+
+    /**
+     * Stop saving changes (pending ones are written first)
+     */
+    stop() {
+      if (stopped) return;
+      controller.flush();
+      stopped = true;
+      unsubscribe();
+      if (typeof window !== 'undefined') {
+        window.removeEventListener('pagehide', onPageHide);
+      }
+    }
+  };
+
+  if (EffectScope.active) {
+    EffectScope.active.cleanups.push(controller.stop);
+  }
+
+  return controller;
+}
@@ -0,0 +1,99 @@
+import Signal from './signal.js';
+import { Effect, EffectTracker } from './effect.js';
+import { ComputedSignal } from './computed-signal.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('signal');
+
+/**
+ * Reactive primitives - Standalone state without a reactive model
+ *
+ * Design principles:
+ * - signal() and derived() return plain Signal / ComputedSignal objects:
+ *   `.value` reads (and tracks) or writes, `.peek()` reads without tracking
+ * - effect() runs right away and again whenever what it read changes; it
+ *   returns its disposer and belongs to the active effect scope
+ * - onCleanup() inside an effect body registers a cleanup that runs before
+ *   the next run and when the effect is disposed
+ * - untrack() reads state without subscribing the running effect
+ *
+ * @example
+ * const count = signal(0);
+ * const doubled = derived(() => count.value * 2);
+ *
+ * const dispose = effect(() => {
+ *   const timer = setTimeout(() => save(count.value), 500);
+ *   onCleanup(() => clearTimeout(timer));
+ *
+ *   // Logged on every change of count, but not of `label`
+ *   console.log(doubled.value, untrack(() => label.value));
+ * });
+ *
+ * count.value++;
+ * dispose();
+ */
+
+/**
+ * signal - Create a writable signal
+ *
+ * @param {*} initialValue
+ * @param {Object} options - { equals } change comparator (see Signal)
+ * @returns {Signal}
+ */
+export function signal(initialValue, options = {}) {
+  return new Signal(initialValue, options);
+}
+
+/**
+ * derived - Create a read-only value computed from other signals
+ *
+ * @param {Function} fn - Computes the value
+ * @param {Object} options - { equals } change comparator
+ * @returns {ComputedSignal}
+ */
+export function derived(fn, options = {}) {
+  return new ComputedSignal(fn, null, options);
+}
+
+/**
+ * effect - Run fn now and whenever a signal it read changes
+ *
+ * @param {Function} fn - Effect body; may call onCleanup()
+ * @param {Object} options - Effect options (flush, onTrack, onTrigger, ...)
+ * @returns {Function} - Dispose the effect (runs pending cleanups)
+ */
+export function effect(fn, options = {}) {
+  const instance = new Effect(fn, options);
+  return () => instance.stop();
+}
+
+/**
+ * onCleanup - Register a cleanup for the running effect
+ *
+ * Runs before the effect runs again and when it is disposed.
+ */
+export function onCleanup(fn) {
+  const current = EffectTracker.current;
+
+  if (!(current instanceof Effect)) {
+    log.warn('onCleanup() called outside of an effect body.');
+    return;
+  }
+
+  current.cleanups.push(() => {
+    try {
+      untrack(fn);
+    } catch (error) {
+      log.error('Error in effect cleanup:', error);
+    }
+  });
+}
+
+/**
+ * untrack - Run fn without tracking the signals it reads
+ *
+ * @returns {*} - fn's return value
+ */
+export function untrack(fn) {
+  return EffectTracker.untrack(fn);
+}
@@ -0,0 +1,341 @@
+import { RESERVED_PROPS, SIGNAL_KEY } from './constants.js';
+import { reactive, readonly, warnReadonly, ReactiveModel } from './reactive.js';
+
+/**
+ * reactiveCollection - Proxy for Map, Set, WeakMap and WeakSet
+ *
+ * Collections keep their data in internal slots, so the plain object proxy
+ * never sees get/set/add/delete. Instead, the proxy hands out instrumented
+ * methods that:
+ * - Track reads per key (get/has) on a signal for that key
+ * - Track iteration (size/forEach/keys/values/entries) on one ITERATE signal
+ * - Notify only the affected key (plus ITERATE) when the collection changes
+ *
+ * Keys and values are stored raw; values are wrapped with reactive() on the
+ * way out, exactly like nested objects on a reactive model (unless shallow).
+ *
+ * @example
+ * const state = reactive({ selected: new Set(), prices: new Map() });
+ * state.selected.add(42);            // effects reading has(42) or size re-run
+ * state.prices.set('apple', 1.25);   // effects reading get('apple') re-run
+ */
+function reactiveCollection(collection, isShallow = false) {
+  const signals = ReactiveModel._getSignals(collection);
+  const isMap = collection instanceof Map || collection instanceof WeakMap;
+  const isIterable = collection instanceof Map || collection instanceof Set;
+
+  const track = (key) => {
+    ReactiveModel._getSignal(collection, key, undefined).value;
+  };
+
+  const trigger = (key) => {
+    const signal = ReactiveModel._getKeySignals(collection, key).get(key);
+    if (signal) {
+      signal.trigger();
+    }
+  };
+
+  const triggerIterate = () => {
+    if (isIterable) {
+      trigger(SIGNAL_KEY.ITERATE);
+    }
+  };
+
+  const wrap = (value) => {
+    return (!isShallow && typeof value === 'object' && value !== null) ? reactive(value) : value;
+  };
+
+  // Map values remember their key and Set members their Set, so mutation
+  // paths can be resolved
+  const wrapEntry = (value, key) => {
+    if (isMap) {
+      ReactiveModel._adopt(value, collection, key);
+    }
+    return wrap(value);
+  };
+
+  const wrapMember = (value) => {
+    if (collection instanceof Set) {
+      ReactiveModel._adopt(value, collection, value);
+    }
+    return wrap(value);
+  };
+
+  let proxy = null;
+
+  const createIterator = (method) => {
+    return function (...args) {
+      track(SIGNAL_KEY.ITERATE);
+
+      const inner = collection[method](...args);
+      const isPair = method === 'entries' || (method === Symbol.iterator && isMap);
+
+      return {
+        next() {
+          const { value, done } = inner.next();
+          if (done) {
+            return { value, done };
+          }
+          if (isPair) {
+            return isMap
+              ? { value: [wrap(value[0]), wrapEntry(value[1], value[0])], done }
+              : { value: [wrapMember(value[0]), wrapMember(value[1])], done };
+          }
+          return { value: isMap ? wrap(value) : wrapMember(value), done };
+        },
+        [Symbol.iterator]() {
+          return this;
+        }
+      };
+    };
+  };
+
+  const instrumentations = {
+    get(key) {
+      const rawKey = ReactiveModel.toRaw(key);
+      track(rawKey);
+      return wrapEntry(collection.get(rawKey), rawKey);
+    },
+
+    has(key) {
+      const rawKey = ReactiveModel.toRaw(key);
+      track(rawKey);
+      return collection.has(rawKey);
+    },
+
+    forEach(callback, thisArg) {
+      track(SIGNAL_KEY.ITERATE);
+      collection.forEach((value, key) => {
+        if (isMap) {
+          callback.call(thisArg, wrapEntry(value, key), wrap(key), proxy);
+        } else {
+          callback.call(thisArg, wrapMember(value), wrapMember(key), proxy);
+        }
+      });
+    },
+
+    set(key, value) {
+      const rawKey = ReactiveModel.toRaw(key);
+      const rawValue = ReactiveModel.toRaw(value);
+      const hadKey = collection.has(rawKey);
+      const oldValue = collection.get(rawKey);
+
+      collection.set(rawKey, rawValue);
+
+      if (!hadKey || !Object.is(oldValue, rawValue)) {
+        trigger(rawKey);
+        triggerIterate();
+
+        ReactiveModel._adopt(rawValue, collection, rawKey);
+        ReactiveModel._emitMutation({
+          type: 'set',
+          target: collection,
+          key: rawKey,
+          oldValue,
+          newValue: rawValue,
+          hadKey
+        });
+      }
+
+      return proxy;
+    },
+
+    add(value) {
+      const rawValue = ReactiveModel.toRaw(value);
+
+      if (!collection.has(rawValue)) {
+        collection.add(rawValue);
+        trigger(rawValue);
+        triggerIterate();
+
+        ReactiveModel._adopt(rawValue, collection, rawValue);
+        ReactiveModel._emitMutation({
+          type: 'add',
+          target: collection,
+          key: rawValue,
+          newValue: rawValue
+        });
+      }
+
+      return proxy;
+    },
+
+    delete(key) {
+      const rawKey = ReactiveModel.toRaw(key);
+      const oldValue = isMap ? collection.get(rawKey) : rawKey;
+      const result = collection.delete(rawKey);
+
+      if (result) {
+        trigger(rawKey);
+        triggerIterate();
+
+        ReactiveModel._emitMutation({
+          type: 'delete',
+          target: collection,
+          key: rawKey,
+          oldValue
+        });
+      }
+
+      return result;
+    },
+
+    clear() {
+      if (collection.size === 0) {
+        return;
+      }
+
+      const oldEntries = Array.from(collection.entries());
+      collection.clear();
+
+      oldEntries.forEach(([key]) => trigger(key));
+      triggerIterate();
+
+      ReactiveModel._emitMutation({
+        type: 'clear',
+        target: collection,
+        oldEntries
+      });
+    },
+
+    keys: createIterator('keys'),
+    values: createIterator('values'),
+    entries: createIterator('entries'),
+    [Symbol.iterator]: createIterator(Symbol.iterator)
+  };
+
+  proxy = new Proxy(collection, {
+    get(target, property) {
+      if (property === RESERVED_PROPS.IS_REACTIVE) return true;
+      if (property === RESERVED_PROPS.IS_SHALLOW) return isShallow;
+      if (property === RESERVED_PROPS.RAW) return target;
+      if (property === RESERVED_PROPS.SIGNALS) return signals;
+
+      if (property === 'size') {
+        track(SIGNAL_KEY.ITERATE);
+        return target.size;
+      }
+
+      if (Object.prototype.hasOwnProperty.call(instrumentations, property) && property in target) {
+        return instrumentations[property];
+      }
+
+      // Collection internals require the raw target as receiver
+      const value = Reflect.get(target, property, target);
+      return typeof value === 'function' ? value.bind(target) : value;
+    }
+  });
+
+  ReactiveModel._register(collection, proxy, isShallow ? ReactiveModel._shallowMap : ReactiveModel._reactiveMap);
+
+  return proxy;
+}
+
+/**
+ * readonlyCollection - Read-only view of a collection
+ *
+ * Reads are forwarded to the wrapped collection (so a readonly view of a
+ * reactive Map is still tracked) and results are wrapped with readonly().
+ * Mutating methods warn and leave the collection untouched.
+ */
+function readonlyCollection(collection) {
+  const isMap = collection instanceof Map || collection instanceof WeakMap;
+  let proxy = null;
+
+  const wrap = (value) => {
+    return (typeof value === 'object' && value !== null) ? readonly(value) : value;
+  };
+
+  const createIterator = (method) => {
+    return function (...args) {
+      const inner = collection[method](...args);
+      const isPair = method === 'entries' || (method === Symbol.iterator && isMap);
+
+      return {
+        next() {
+          const { value, done } = inner.next();
+          if (done) {
+            return { value, done };
+          }
+          return {
+            value: isPair ? [wrap(value[0]), wrap(value[1])] : wrap(value),
+            done
+          };
+        },
+        [Symbol.iterator]() {
+          return this;
+        }
+      };
+    };
+  };
+
+  const rejectWrite = (method) => {
+    return function (key) {
+      warnReadonly(method === 'clear' ? 'clear()' : key, collection);
+
+      if (method === 'delete') return false;
+      return method === 'clear' ? undefined : proxy;
+    };
+  };
+
+  const instrumentations = {
+    get(key) {
+      return wrap(collection.get(key));
+    },
+
+    has(key) {
+      return collection.has(key);
+    },
+
+    forEach(callback, thisArg) {
+      collection.forEach((value, key) => {
+        callback.call(thisArg, wrap(value), wrap(key), proxy);
+      });
+    },
+
+    set: rejectWrite('set'),
+    add: rejectWrite('add'),
+    delete: rejectWrite('delete'),
+    clear: rejectWrite('clear'),
+
+    keys: createIterator('keys'),
+    values: createIterator('values'),
+    entries: createIterator('entries'),
+    [Symbol.iterator]: createIterator(Symbol.iterator)
+  };
+
+  proxy = new Proxy(collection, {
+    get(target, property) {
+      if (property === RESERVED_PROPS.IS_REACTIVE) return true;
+      if (property === RESERVED_PROPS.IS_READONLY) return true;
+      if (property === RESERVED_PROPS.RAW) return ReactiveModel.toRaw(target);
+
+      if (property === 'size') {
+        return target.size;
+      }
+
+      if (Object.prototype.hasOwnProperty.call(instrumentations, property) && property in target) {
+        return instrumentations[property];
+      }
+
+      const value = Reflect.get(target, property, target);
+      return typeof value === 'function' ? value.bind(target) : value;
+    }
+  });
+
+  ReactiveModel._register(collection, proxy, ReactiveModel._readonlyMap);
+
+  return proxy;
+}
+
+/**
+ * Check whether a value is a keyed collection that needs collection handlers
+ */
+function isCollection(value) {
+  return value instanceof Map ||
+    value instanceof Set ||
+    value instanceof WeakMap ||
+    value instanceof WeakSet;
+}
+
+export { reactiveCollection, readonlyCollection, isCollection };
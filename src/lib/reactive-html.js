@@ -6,15 +6,32 @@
 
 import Signal from "./signal";
 import { Effect, EffectTracker } from "./effect";
-import {bindingRegistry, BindingRegistry } from './binding.js';
+import { EffectScope, effectScope, getCurrentScope, onScopeDispose } from "./effect-scope.js";
+import {bindingRegistry, BindingRegistry, BindingFactory } from './binding.js';
 import {ComponentLoader, ComponentBinding, ScopedStyler, ComponentLifecycle, ReactiveHTMLParser, ComponentRegistry } from "./component-binding";
 import { ConditionalBinding, ConditionalBindingFactory } from "./conditional-binding";
 import {LoopBinding,} from './loop-binding.js'
-import {reactive, ReactiveModel} from "./reactive";
-import {ExpressionEvaluator} from './event-binding.js';
-import { batchScheduler, nextTick, batch } from "./batch-effect.js";
-import { computed } from "./computed-signal.js";
+import {reactive, shallowReactive, readonly, markRaw, ReactiveModel} from "./reactive";
+import {ExpressionEvaluator, setExpressionEvaluator} from './event-binding.js';
+import { CspEvaluator } from './csp-evaluator.js';
+import { FilterRegistry, registerFilter } from './filters.js';
+import { TemplateValidator, TemplateError } from './template-validator.js';
+import { batchScheduler, nextTick, batch, setFlushMode } from "./batch-effect.js";
+import { computed, asyncComputed } from "./computed-signal.js";
+import { signal, derived, effect, onCleanup, untrack } from "./primitives.js";
+import { fromObservable, toObservable, fromAsyncIterable, fromPromise, fromSignalProposal, toSignalProposal } from "./interop.js";
+import { shallowEqual, deepEqual } from "./equality.js";
+import { History, createHistory } from "./history.js";
+import { observePatches, applyPatch } from "./json-patch.js";
+import { persist, MemoryStorage, WebStorage, IndexedDBStorage } from "./persistence.js";
+import { syncAcrossTabs } from "./tab-sync.js";
+import { defineStore, StoreRegistry } from "./store.js";
+import { watch, watchEffect } from "./watch.js";
+import { Tracer, enableTracing, disableTracing, getTraces, whyDidThisUpdate } from "./tracing.js";
 import { GlobalErrorHandler, ErrorBoundary } from "./error-handling.js";
+import { Logger, createLogger, setLogLevel, setLogSink } from "./logger.js";
+
+const log = createLogger('core');
 
 // ============================================================================
 // PART 1: DATA STRUCTURES (Parser Output)
@@ -338,17 +355,58 @@ export {
   Signal,
   Effect,
   EffectTracker,
+  EffectScope,
+  effectScope,
+  getCurrentScope,
+  onScopeDispose,
   reactive,
+  shallowReactive,
+  readonly,
+  markRaw,
   ReactiveHTMLParser,
   createBindings,
   BindingRegistry,
   bindingRegistry,
   ExpressionEvaluator,
+  setExpressionEvaluator,
+  CspEvaluator,
+  FilterRegistry,
+  registerFilter,
+  TemplateValidator,
+  TemplateError,
   ReactiveModel,
   computed,
+  asyncComputed,
+  signal,
+  derived,
+  effect,
+  onCleanup,
+  untrack,
+  fromObservable,
+  toObservable,
+  fromAsyncIterable,
+  fromPromise,
+  fromSignalProposal,
+  toSignalProposal,
+  watch,
+  watchEffect,
+  shallowEqual,
+  deepEqual,
+  History,
+  createHistory,
+  observePatches,
+  applyPatch,
+  persist,
+  MemoryStorage,
+  WebStorage,
+  IndexedDBStorage,
+  syncAcrossTabs,
+  defineStore,
+  StoreRegistry,
   batch,
   nextTick,
   batchScheduler,
+  setFlushMode,
   ConditionalBinding,
   ConditionalBindingFactory,
   
@@ -357,6 +415,19 @@ export {
   GlobalErrorHandler,
   createElementErrorBoundary,
 
+  // Debugging
+  Tracer,
+  enableTracing,
+  disableTracing,
+  getTraces,
+  whyDidThisUpdate,
+
+  // Logging
+  Logger,
+  createLogger,
+  setLogLevel,
+  setLogSink,
+
   // Component system
   ComponentLifecycle,
   ComponentLoader,
@@ -373,17 +444,58 @@ if (typeof window !== 'undefined') {
     Signal,
     Effect,
     EffectTracker,
+    EffectScope,
+    effectScope,
+    getCurrentScope,
+    onScopeDispose,
     reactive,
+    shallowReactive,
+    readonly,
+    markRaw,
     ReactiveHTMLParser,
     createBindings,
     BindingRegistry,
     bindingRegistry,
     ExpressionEvaluator,
+    setExpressionEvaluator,
+    CspEvaluator,
+    FilterRegistry,
+    registerFilter,
+    TemplateValidator,
+    TemplateError,
     ReactiveModel,
     computed,
+    asyncComputed,
+    signal,
+    derived,
+    effect,
+    onCleanup,
+    untrack,
+    fromObservable,
+    toObservable,
+    fromAsyncIterable,
+    fromPromise,
+    fromSignalProposal,
+    toSignalProposal,
+    watch,
+    watchEffect,
+    shallowEqual,
+    deepEqual,
+    History,
+    createHistory,
+    observePatches,
+    applyPatch,
+    persist,
+    MemoryStorage,
+    WebStorage,
+    IndexedDBStorage,
+    syncAcrossTabs,
+    defineStore,
+    StoreRegistry,
     batch,
     nextTick,
     batchScheduler,
+    setFlushMode,
     ConditionalBinding,
     ConditionalBindingFactory,
     
@@ -392,6 +504,19 @@ if (typeof window !== 'undefined') {
     GlobalErrorHandler,
     createElementErrorBoundary,
 
+    // Debugging
+    Tracer,
+    enableTracing,
+    disableTracing,
+    getTraces,
+    whyDidThisUpdate,
+
+    // Logging
+    Logger,
+    createLogger,
+    setLogLevel,
+    setLogSink,
+
     // Component system
     ComponentLifecycle,
     ComponentLoader,
@@ -403,6 +528,6 @@ if (typeof window !== 'undefined') {
     registerComponent,
   };
   
-  console.log('Reactive HTML Framework loaded!');
+  log.info('Reactive HTML Framework loaded!');
 }
 
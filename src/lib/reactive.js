@@ -1,10 +1,24 @@
-import { RESERVED_PROPS } from './constants.js';
+import { RESERVED_PROPS, SIGNAL_KEY } from './constants.js';
 import Signal from './signal.js';
+import { ComputedSignal } from './computed-signal.js';
+import { EffectScope } from './effect-scope.js';
+import { batchScheduler } from './batch-effect.js';
+import { reactiveCollection, readonlyCollection, isCollection } from './reactive-collection.js';
+import { Tracer } from './tracing.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('reactive');
 
 class ReactiveModel {
     static _reactiveMap = new WeakMap();
+    static _shallowMap = new WeakMap();
+    static _readonlyMap = new WeakMap();
     static _rawMap = new WeakMap();
     static _signalsMap = new WeakMap();
+    static _objectKeySignalsMap = new WeakMap();
+    static _markedRaw = new WeakSet();
+    static _owners = new WeakMap(); // raw child -> { parent (raw), key }
+    static _mutationListeners = new Set();
   
     static _getSignals(target) {
       let signals = this._signalsMap.get(target);
@@ -14,154 +28,530 @@ class ReactiveModel {
       }
       return signals;
     }
+
+    /**
+     * Signals of object keys (Map/Set/WeakMap/WeakSet members) are held
+     * weakly, so tracking a key never keeps it alive
+     */
+    static _getKeySignals(target, key) {
+      if ((typeof key !== 'object' || key === null) && typeof key !== 'function') {
+        return this._getSignals(target);
+      }
+
+      let signals = this._objectKeySignalsMap.get(target);
+      if (!signals) {
+        signals = new WeakMap();
+        this._objectKeySignalsMap.set(target, signals);
+      }
+      return signals;
+    }
+
+    static _getSignal(target, key, initialValue) {
+      const signals = this._getKeySignals(target, key);
+      let signal = signals.get(key);
+      if (!signal) {
+        signal = new Signal(initialValue);
+        signal.owner = { target, key }; // For tracing: which model property
+        signals.set(key, signal);
+      }
+      return signal;
+    }
   
     static isReactive(obj) {
-      return obj && obj.__isReactive === true;
+      return !!obj && obj[RESERVED_PROPS.IS_REACTIVE] === true;
+    }
+
+    static isReadonly(obj) {
+      return !!obj && obj[RESERVED_PROPS.IS_READONLY] === true;
+    }
+
+    static isShallow(obj) {
+      return !!obj && obj[RESERVED_PROPS.IS_SHALLOW] === true;
+    }
+
+    static isMarkedRaw(obj) {
+      return this._markedRaw.has(obj);
     }
   
     static toRaw(obj) {
-      return this._rawMap.get(obj) || obj;
+      // readonly() may wrap a reactive proxy - unwrap every layer
+      let raw = obj;
+      while (this._rawMap.has(raw)) {
+        raw = this._rawMap.get(raw);
+      }
+      return raw;
     }
-  }
-  
-  function reactiveArray(arr) {
-    const signals = ReactiveModel._getSignals(arr);
-  
-    // Create change signal
-    let changeSignal = signals.get('__arrayChange');
-    if (!changeSignal) {
-      changeSignal = new Signal(null);
-      signals.set('__arrayChange', changeSignal);
+
+    /**
+     * Objects that must never be proxied: opted out with markRaw(), frozen,
+     * or built-ins whose internal slots break behind a Proxy
+     */
+    static _canProxy(target) {
+      if (this._markedRaw.has(target) || !Object.isExtensible(target)) {
+        return false;
+      }
+
+      if (typeof Node !== 'undefined' && target instanceof Node) {
+        return false;
+      }
+
+      // Signals and computeds are reactive already - a proxy would hide
+      // their value accessors (and a computed's setter) behind plain fields
+      if (target instanceof Signal) {
+        return false;
+      }
+
+      return !(
+        target instanceof Date ||
+        target instanceof RegExp ||
+        target instanceof Promise ||
+        target instanceof Error ||
+        ArrayBuffer.isView(target) ||
+        target instanceof ArrayBuffer
+      );
     }
-  
-    // Create length signal
-    let lengthSignal = signals.get('length');
-    if (!lengthSignal) {
-      lengthSignal = new Signal(arr.length);
-      signals.set('length', lengthSignal);
+
+    static _register(target, proxy, proxyMap) {
+      proxyMap.set(target, proxy);
+      this._rawMap.set(proxy, target);
     }
-  
-    // ADD: Create version signal that always increments
-    let versionSignal = signals.get('__version');
-    if (!versionSignal) {
-      versionSignal = new Signal(0);
-      signals.set('__version', versionSignal);
+
+    /**
+     * The writable proxy for a raw target (creating a deep one if needed)
+     */
+    static _proxyOf(target) {
+      return this._reactiveMap.get(target) || this._shallowMap.get(target) || reactive(target);
+    }
+
+    /**
+     * onMutation - Observe every write made through a reactive proxy
+     *
+     * Listeners receive one record per mutation, after it happened. Values
+     * in records are raw (unproxied):
+     * - { type: 'set', target, key, oldValue, newValue, hadKey }
+     *   object property, array index (plus oldLength) or Map entry
+     * - { type: 'delete', target, key, oldValue }
+     *   object property, array index, Map entry or Set value
+     * - { type: 'add', target, key, newValue } - Set value
+     * - { type: 'clear', target, oldEntries } - Map/Set ([key, value] pairs)
+     * - { type: 'array', target, method, args, oldItems, newItems }
+     *   array mutation method or length change
+     *
+     * @param {Function} listener - (record) => void
+     * @returns {Function} - Unsubscribe
+     */
+    static onMutation(listener) {
+      this._mutationListeners.add(listener);
+      return () => {
+        this._mutationListeners.delete(listener);
+      };
+    }
+
+    /**
+     * Whether anyone listens - traps skip building records otherwise
+     */
+    static _hasMutationListeners() {
+      return this._mutationListeners.size > 0;
+    }
+
+    static _emitMutation(record) {
+      if (this._mutationListeners.size === 0) return;
+
+      Array.from(this._mutationListeners).forEach(listener => {
+        try {
+          listener(record);
+        } catch (error) {
+          log.error('Error in mutation listener:', error);
+        }
+      });
+    }
+
+    /**
+     * Remember where a nested object lives (last assignment wins), so the
+     * path of a mutated target can be resolved from a root model
+     */
+    static _adopt(child, parent, key) {
+      if (typeof child === 'object' && child !== null) {
+        this._owners.set(this.toRaw(child), { parent: this.toRaw(parent), key });
+      }
     }
+
+    /**
+     * pathOf - Keys leading from root to target, or null if target is not
+     * (or no longer) reachable from root. Array and Set positions are
+     * numbers and are resolved at call time, so they follow reordering.
+     * Without a root, the path starts at the top-most object target is
+     * known to live in.
+     */
+    static pathOf(target, root) {
+      const rawRoot = root === undefined ? undefined : this.toRaw(root);
+      const visited = new Set();
+      const path = [];
+      let current = this.toRaw(target);
+
+      while (current !== rawRoot) {
+        const owner = this._owners.get(current);
+        if (!owner && rawRoot === undefined) break;
+        if (!owner || visited.has(current)) return null;
+        visited.add(current);
+
+        const { parent } = owner;
+        let key = owner.key;
+
+        if (Array.isArray(parent)) {
+          key = parent.findIndex(item => this.toRaw(item) === current);
+          if (key === -1) return null;
+        } else if (parent instanceof Map) {
+          if (this.toRaw(parent.get(key)) !== current) return null;
+        } else if (parent instanceof Set) {
+          // Members are addressed by position, as in the array a Set
+          // serialises to
+          key = Array.from(parent).indexOf(current);
+          if (key === -1) return null;
+        } else if (this.toRaw(parent[key]) !== current) {
+          return null;
+        }
+
+        path.unshift(key);
+        current = parent;
+      }
+
+      return path;
+    }
+  }
   
+  const ARRAY_MUTATION_METHODS = {
+    push: 'add',
+    pop: 'remove',
+    shift: 'remove',
+    unshift: 'add',
+    splice: 'splice',
+    sort: 'reorder',
+    reverse: 'reorder',
+    fill: 'update',
+    copyWithin: 'update'
+  };
+
+  // Methods that read every element - tracked once on the ITERATE signal
+  // instead of subscribing to each index
+  const ARRAY_ITERATION_METHODS = new Set([
+    'forEach', 'map', 'filter', 'reduce', 'reduceRight', 'some', 'every',
+    'find', 'findIndex', 'findLast', 'findLastIndex', 'includes', 'indexOf',
+    'lastIndexOf', 'join', 'slice', 'concat', 'flat', 'flatMap'
+  ]);
+
+  // Lazy iterators - suppression has to wrap each next() call
+  const ARRAY_ITERATOR_METHODS = new Set(['keys', 'values', 'entries', Symbol.iterator]);
+
+  // Identity searches retry with raw arguments when the proxied search misses
+  const ARRAY_SEARCH_METHODS = new Set(['includes', 'indexOf', 'lastIndexOf']);
+
+  /**
+   * Find a get/set accessor for property on target or its class prototypes
+   * (Object.prototype is skipped - its __proto__ accessor is not a model
+   * property)
+   */
+  function findAccessor(target, property) {
+    let current = target;
+    while (current && current !== Object.prototype) {
+      const descriptor = Object.getOwnPropertyDescriptor(current, property);
+      if (descriptor) {
+        return (descriptor.get || descriptor.set) ? descriptor : null;
+      }
+      current = Object.getPrototypeOf(current);
+    }
+    return null;
+  }
+
+  function isArrayIndex(property) {
+    return typeof property === 'string' && /^(0|[1-9]\d*)$/.test(property);
+  }
+
+  /**
+   * Raw copy of an array's items for mutation records
+   */
+  function snapshotItems(arr) {
+    return Array.from(arr, item => ReactiveModel.toRaw(item));
+  }
+
+  function sameItems(a, b) {
+    return a.length === b.length && a.every((item, i) => Object.is(item, b[i]));
+  }
+
+  /**
+   * First index a mutation method can have changed
+   */
+  function firstAffectedIndex(method, args, oldLength, newLength) {
+    switch (method) {
+      case 'push':
+        return oldLength;
+      case 'pop':
+        return newLength;
+      case 'splice': {
+        const start = Number(args[0]) || 0;
+        return start < 0 ? Math.max(oldLength + start, 0) : Math.min(start, oldLength);
+      }
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * reactiveArray - Array proxy with fine-grained tracking
+   *
+   * Reads are tracked per index, so an effect reading items[3] only re-runs
+   * when slot 3 changes. Reading length tracks the length signal, and
+   * iteration (forEach/map/for...of/includes/...) tracks a single ITERATE
+   * signal. Mutations notify the changed slots, length if it moved, and
+   * ITERATE - effects that read other slots are left alone.
+   */
+  function reactiveArray(arr, isShallow = false) {
+    const signals = ReactiveModel._getSignals(arr);
+    const changeSignal = ReactiveModel._getSignal(arr, '__arrayChange', null);
+    const lengthSignal = ReactiveModel._getSignal(arr, 'length', arr.length);
+    const iterateSignal = ReactiveModel._getSignal(arr, SIGNAL_KEY.ITERATE, 0);
+
+    // While > 0, an iteration method is running: index reads are covered
+    // by ITERATE and must not subscribe to every slot
+    let iterationDepth = 0;
+
+    const triggerIndices = (from, to) => {
+      for (let i = from; i < to; i++) {
+        const signal = signals.get(String(i));
+        if (signal) {
+          signal.value = arr[i];
+        }
+      }
+    };
+
+    const triggerStructure = () => {
+      lengthSignal.value = arr.length;
+      iterateSignal.value = iterateSignal.value + 1;
+    };
+
     const proxy = new Proxy(arr, {
       get(target, property, receiver) {
-        const mutationMethods = {
-          push: 'add',
-          pop: 'remove',
-          shift: 'remove',
-          unshift: 'add',
-          splice: 'splice',
-          sort: 'reorder',
-          reverse: 'reorder'
-        };
-  
-        if (mutationMethods[property]) {
+        if (property === RESERVED_PROPS.IS_REACTIVE) return true;
+        if (property === RESERVED_PROPS.IS_SHALLOW) return isShallow;
+        if (property === RESERVED_PROPS.RAW) return target;
+        if (property === RESERVED_PROPS.SIGNALS) return signals;
+
+        const mutationType = ARRAY_MUTATION_METHODS[property];
+        if (mutationType) {
           return function (...args) {
             const oldLength = target.length;
+            const oldItems = ReactiveModel._hasMutationListeners() ? snapshotItems(target) : null;
             const result = Array.prototype[property].apply(target, args);
-  
-            // Update length signal
-            lengthSignal.value = target.length;
-  
-            // ALWAYS increment version (even if length unchanged)
-            versionSignal.value = versionSignal.value + 1;
-  
-            // Emit change event
+            const newLength = target.length;
+
+            triggerIndices(
+              firstAffectedIndex(property, args, oldLength, newLength),
+              Math.max(oldLength, newLength)
+            );
+            triggerStructure();
+
             changeSignal.value = {
-              type: mutationMethods[property],
+              type: mutationType,
               method: property,
               args,
               oldLength,
-              newLength: target.length,
+              newLength,
               timestamp: Date.now()
             };
-  
+
+            if (oldItems) {
+              const newItems = snapshotItems(target);
+              if (!sameItems(oldItems, newItems)) {
+                ReactiveModel._emitMutation({
+                  type: 'array',
+                  target,
+                  method: property,
+                  args: args.map(arg => ReactiveModel.toRaw(arg)),
+                  oldItems,
+                  newItems
+                });
+              }
+            }
+
             return result;
           };
         }
-  
-        // Track access to length
-        if (property === 'length') {
-          lengthSignal.value;
+
+        if (ARRAY_ITERATION_METHODS.has(property)) {
+          return function (...args) {
+            iterateSignal.value;
+            iterationDepth++;
+            try {
+              const result = Array.prototype[property].apply(receiver, args);
+
+              if (ARRAY_SEARCH_METHODS.has(property) && (result === -1 || result === false)) {
+                return Array.prototype[property].apply(target, args.map(arg => ReactiveModel.toRaw(arg)));
+              }
+
+              return result;
+            } finally {
+              iterationDepth--;
+            }
+          };
         }
-  
-        // ADDED: Track access to __version (for forcing re-renders)
+
+        if (ARRAY_ITERATOR_METHODS.has(property)) {
+          return function (...args) {
+            iterateSignal.value;
+            const inner = Array.prototype[property].apply(receiver, args);
+
+            return {
+              next() {
+                iterationDepth++;
+                try {
+                  return inner.next();
+                } finally {
+                  iterationDepth--;
+                }
+              },
+              [Symbol.iterator]() {
+                return this;
+              }
+            };
+          };
+        }
+
+        // Kept for callers that force a dependency on the whole array
         if (property === '__version') {
-          return versionSignal.value;
+          return iterateSignal.value;
         }
-  
+
+        if (iterationDepth === 0) {
+          if (property === 'length') {
+            lengthSignal.value;
+          } else if (isArrayIndex(property)) {
+            ReactiveModel._getSignal(target, property, target[property]).value;
+          }
+        }
+
         const value = Reflect.get(target, property, receiver);
-  
-        if (typeof value === 'object' && value !== null) {
+
+        if (!isShallow && typeof value === 'object' && value !== null) {
+          ReactiveModel._adopt(value, target, property);
           return reactive(value);
         }
-  
+
         return value;
       },
-  
+
       set(target, property, value, receiver) {
+        const oldLength = target.length;
         const oldValue = target[property];
+        const hadKey = Object.prototype.hasOwnProperty.call(target, property);
+        const oldItems = property === 'length' && ReactiveModel._hasMutationListeners()
+          ? snapshotItems(target)
+          : null;
         const result = Reflect.set(target, property, value, receiver);
-  
-        if (property === 'length' || !isNaN(property)) {
-          lengthSignal.value = target.length;
-          versionSignal.value = versionSignal.value + 1; // ADDED
-  
-          if (!isNaN(property) && oldValue !== value) {
+
+        if (property === 'length') {
+          if (target.length !== oldLength) {
+            triggerIndices(target.length, oldLength);
+            triggerStructure();
+
             changeSignal.value = {
-              type: 'update',
-              method: 'set',
-              index: parseInt(property),
-              oldValue,
-              newValue: value,
+              type: 'splice',
+              method: 'length',
+              args: [value],
+              oldLength,
+              newLength: target.length,
               timestamp: Date.now()
             };
+
+            if (oldItems) {
+              ReactiveModel._emitMutation({
+                type: 'array',
+                target,
+                method: 'length',
+                args: [target.length],
+                oldItems,
+                newItems: snapshotItems(target)
+              });
+            }
           }
+        } else if (isArrayIndex(property) && !Object.is(oldValue, value)) {
+          const index = parseInt(property, 10);
+          triggerIndices(index, index + 1);
+          triggerStructure();
+
+          changeSignal.value = {
+            type: 'update',
+            method: 'set',
+            index,
+            oldValue,
+            newValue: value,
+            timestamp: Date.now()
+          };
+
+          ReactiveModel._adopt(value, target, property);
+          ReactiveModel._emitMutation({
+            type: 'set',
+            target,
+            key: index,
+            oldValue: ReactiveModel.toRaw(oldValue),
+            newValue: ReactiveModel.toRaw(value),
+            hadKey,
+            oldLength
+          });
         }
-  
+
+        return result;
+      },
+
+      deleteProperty(target, property) {
+        const hadProperty = Object.prototype.hasOwnProperty.call(target, property);
+        const oldValue = target[property];
+        const result = Reflect.deleteProperty(target, property);
+
+        if (hadProperty && isArrayIndex(property)) {
+          const index = parseInt(property, 10);
+          triggerIndices(index, index + 1);
+          triggerStructure();
+
+          ReactiveModel._emitMutation({
+            type: 'delete',
+            target,
+            key: index,
+            oldValue: ReactiveModel.toRaw(oldValue)
+          });
+        }
+
         return result;
       }
     });
-  
-    ReactiveModel._reactiveMap.set(arr, proxy);
-    ReactiveModel._rawMap.set(proxy, arr);
-  
+
+    ReactiveModel._register(arr, proxy, isShallow ? ReactiveModel._shallowMap : ReactiveModel._reactiveMap);
+
     return proxy;
   }
-  
-  function reactive(target) {
-    if (Array.isArray(target)) {
-      return reactiveArray(target);
-    }
-  
-    if (ReactiveModel._reactiveMap.has(target)) {
-      return ReactiveModel._reactiveMap.get(target);
-    }
-  
-    if (typeof target !== 'object' || target === null) {
-      return target;
-    }
-  
+
+  function reactiveObject(target, isShallow = false) {
     const signals = ReactiveModel._getSignals(target);
+    // Bumped when a key is added or deleted - read by key enumeration
+    const iterateSignal = ReactiveModel._getSignal(target, SIGNAL_KEY.ITERATE, 0);
   
     const proxy = new Proxy(target, {
       get(target, property, receiver) {
         if (property === RESERVED_PROPS.IS_REACTIVE) return true;
+        if (property === RESERVED_PROPS.IS_SHALLOW) return isShallow;
         if (property === RESERVED_PROPS.RAW) return target;
         if (property === RESERVED_PROPS.SIGNALS) return signals;
   
         // Check if this is a getter (computed property)
-        const descriptor = Object.getOwnPropertyDescriptor(target, property);
+        const descriptor = typeof property === 'string' ? findAccessor(target, property) : null;
         if (descriptor && descriptor.get) {
-          // This is a getter - make it computed!
+          // This is a getter - make it computed (writable if paired with a setter)
           let computedSignal = signals.get(property);
           if (!computedSignal) {
-            computedSignal = new ComputedSignal(descriptor.get, receiver);
+            // Lives as long as the model, not the scope that first read it
+            computedSignal = EffectScope.runIn(null, () => (
+              new ComputedSignal(descriptor.get, receiver, { set: descriptor.set })
+            ));
+            computedSignal.owner = { target, key: property };
             signals.set(property, computedSignal);
           }
           return computedSignal.value;
@@ -170,15 +560,12 @@ class ReactiveModel {
         const value = Reflect.get(target, property, receiver);
   
         // Create or get signal for property tracking
-        let signal = signals.get(property);
-        if (!signal) {
-          signal = new Signal(value);
-          signals.set(property, signal);
-        }
+        const signal = ReactiveModel._getSignal(target, property, value);
   
         signal.value; // Trigger tracking
   
-        if (typeof value === 'object' && value !== null) {
+        if (!isShallow && typeof value === 'object' && value !== null) {
+          ReactiveModel._adopt(value, target, property);
           return reactive(value);
         }
   
@@ -186,53 +573,240 @@ class ReactiveModel {
       },
   
       set(target, property, value, receiver) {
-        if (property === 'count') {
-          console.log('🔶 [Reactive.set] Setting count to:', value);
+        // Accessor pair (e.g. fullName -> first/last): the setter writes the
+        // underlying properties, whose signals update dependents as usual
+        const descriptor = typeof property === 'string' ? findAccessor(target, property) : null;
+        if (descriptor) {
+          if (descriptor.set) {
+            descriptor.set.call(receiver, value);
+          } else {
+            log.warn(`Cannot set "${property}": it has a getter but no setter.`);
+          }
+          return true;
         }
         
         const oldValue = target[property];
+        const hadKey = Object.prototype.hasOwnProperty.call(target, property);
         
-        const reactiveValue = (typeof value === 'object' && value !== null) 
-          ? reactive(value) 
+        const reactiveValue = (!isShallow && typeof value === 'object' && value !== null)
+          ? reactive(value)
           : value;
         
         const result = Reflect.set(target, property, reactiveValue, receiver);
+
+        if (!hadKey || !Object.is(ReactiveModel.toRaw(oldValue), ReactiveModel.toRaw(reactiveValue))) {
+          ReactiveModel._adopt(reactiveValue, target, property);
+          ReactiveModel._emitMutation({
+            type: 'set',
+            target,
+            key: property,
+            oldValue: ReactiveModel.toRaw(oldValue),
+            newValue: ReactiveModel.toRaw(reactiveValue),
+            hadKey
+          });
+        }
         
-        if (oldValue !== reactiveValue) {
-          let signal = signals.get(property);
-          if (!signal) {
-            signal = new Signal(reactiveValue);
-            signals.set(property, signal);
-          } else {
-            if (property === 'count') {
-              console.log('🔶 [Reactive.set] Updating signal for count');
+        // A new key also changes the key set - notify both at once
+        batchScheduler.propagate(() => {
+          if (!Object.is(oldValue, reactiveValue)) {
+            const signal = signals.get(property);
+            if (!signal) {
+              ReactiveModel._getSignal(target, property, reactiveValue);
+            } else {
+              signal.value = reactiveValue;
             }
-            signal.value = reactiveValue;
           }
-        }
+
+          if (!hadKey) {
+            iterateSignal.value = iterateSignal.value + 1;
+          }
+        });
         
         return result;
       },
   
       deleteProperty(target, property) {
         const hadProperty = property in target;
+        const oldValue = target[property];
         const result = Reflect.deleteProperty(target, property);
   
         if (hadProperty) {
-          const signal = signals.get(property);
-          if (signal) {
-            signal.value = undefined;
-          }
+          // One notification for the key and the key set
+          batchScheduler.propagate(() => {
+            const signal = signals.get(property);
+            if (signal) {
+              signal.value = undefined;
+            }
+            iterateSignal.value = iterateSignal.value + 1;
+          });
+
+          ReactiveModel._emitMutation({
+            type: 'delete',
+            target,
+            key: property,
+            oldValue: ReactiveModel.toRaw(oldValue)
+          });
         }
   
         return result;
+      },
+
+      // `key in obj` depends on that key, Object.keys/for...in on the key set
+      has(target, property) {
+        if (typeof property === 'string' && !findAccessor(target, property)) {
+          ReactiveModel._getSignal(target, property, target[property]).value;
+        }
+        return Reflect.has(target, property);
+      },
+
+      ownKeys(target) {
+        iterateSignal.value;
+        return Reflect.ownKeys(target);
       }
     });
   
-    ReactiveModel._reactiveMap.set(target, proxy);
-    ReactiveModel._rawMap.set(proxy, target);
+    ReactiveModel._register(target, proxy, isShallow ? ReactiveModel._shallowMap : ReactiveModel._reactiveMap);
   
     return proxy;
   }
 
-  export {reactive, ReactiveModel};
\ No newline at end of file
+  function createReactive(target, isShallow) {
+    if (typeof target !== 'object' || target === null) {
+      return target;
+    }
+
+    // Already a proxy (reactive, shallow or readonly) - never wrap twice
+    if (ReactiveModel.isReactive(target)) {
+      return target;
+    }
+
+    const proxyMap = isShallow ? ReactiveModel._shallowMap : ReactiveModel._reactiveMap;
+    if (proxyMap.has(target)) {
+      return proxyMap.get(target);
+    }
+
+    if (!ReactiveModel._canProxy(target)) {
+      return target;
+    }
+
+    if (Array.isArray(target)) {
+      return reactiveArray(target, isShallow);
+    }
+
+    if (isCollection(target)) {
+      return reactiveCollection(target, isShallow);
+    }
+
+    return reactiveObject(target, isShallow);
+  }
+
+  /**
+   * reactive - Deeply reactive proxy (nested objects become reactive on access)
+   */
+  function reactive(target) {
+    return createReactive(target, false);
+  }
+
+  /**
+   * shallowReactive - Only top-level properties are tracked; nested values
+   * are returned as-is. Use for large data blobs that are replaced wholesale.
+   *
+   * @example
+   * const state = shallowReactive({ report: hugeJson });
+   * state.report = nextReport;   // Triggers updates
+   * state.report.rows.push(row); // Does not
+   */
+  function shallowReactive(target) {
+    return createReactive(target, true);
+  }
+
+  function warnReadonly(property, target) {
+    log.warn(`Cannot modify "${String(property)}": target is readonly.`, target);
+  }
+
+  /**
+   * readonly - Deep read-only view of a plain object or reactive model.
+   * Reads through a readonly view of a reactive model are still tracked, so
+   * bindings update when the owner mutates the original. Writes warn and
+   * are ignored.
+   *
+   * @example
+   * const state = reactive({ user: { name: 'Ada' } });
+   * const view = readonly(state);
+   * view.user.name = 'Bob';  // Warns, no change
+   * state.user.name = 'Bob'; // view.user.name === 'Bob'
+   */
+  function readonly(target) {
+    if (typeof target !== 'object' || target === null) {
+      return target;
+    }
+
+    if (ReactiveModel.isReadonly(target)) {
+      return target;
+    }
+
+    if (ReactiveModel._readonlyMap.has(target)) {
+      return ReactiveModel._readonlyMap.get(target);
+    }
+
+    if (!ReactiveModel._canProxy(ReactiveModel.toRaw(target))) {
+      return target;
+    }
+
+    if (isCollection(target)) {
+      return readonlyCollection(target);
+    }
+
+    const proxy = new Proxy(target, {
+      get(target, property, receiver) {
+        if (property === RESERVED_PROPS.IS_REACTIVE) return true;
+        if (property === RESERVED_PROPS.IS_READONLY) return true;
+        if (property === RESERVED_PROPS.RAW) return ReactiveModel.toRaw(target);
+
+        // A wrapped reactive array would apply these straight to its raw target
+        if (Array.isArray(target) && ARRAY_MUTATION_METHODS[property]) {
+          return function () {
+            warnReadonly(`${property}()`, target);
+          };
+        }
+
+        const value = Reflect.get(target, property, receiver);
+
+        if (typeof value === 'object' && value !== null) {
+          return readonly(value);
+        }
+
+        return value;
+      },
+
+      set(target, property) {
+        warnReadonly(property, target);
+        return true;
+      },
+
+      deleteProperty(target, property) {
+        warnReadonly(property, target);
+        return true;
+      }
+    });
+
+    ReactiveModel._register(target, proxy, ReactiveModel._readonlyMap);
+
+    return proxy;
+  }
+
+  /**
+   * markRaw - Opt an object out of reactivity (DOM nodes, third-party class
+   * instances, large immutable data). reactive() returns it unwrapped.
+   */
+  function markRaw(target) {
+    if (typeof target === 'object' && target !== null) {
+      ReactiveModel._markedRaw.add(target);
+    }
+    return target;
+  }
+
+  // Lets traces name the model path of a triggering signal
+  Tracer.pathOf = (target) => ReactiveModel.pathOf(target);
+
+  export {reactive, shallowReactive, readonly, markRaw, warnReadonly, ReactiveModel};
\ No newline at end of file
@@ -1,15 +1,31 @@
 import { EffectTracker } from "./effect";
+import { batchScheduler } from "./batch-effect";
+import { resolveEquals } from "./equality.js";
+import { createLogger, __DEV__ } from "./logger.js";
+
+const log = createLogger('signal');
 
 /**
  * Signal - Observable value with subscriber notifications
+ *
+ * Writes that the `equals` comparator (default Object.is) considers equal
+ * to the current value are ignored.
+ *
+ * @param {*} initialValue
+ * @param {Object} [options]
+ * @param {Function|string|boolean} [options.equals] - (old, new) => boolean,
+ *   'shallow', 'deep', or false to notify on every write
  */
 class Signal {
     static _nextId = 0;
   
-    constructor(initialValue) {
+    constructor(initialValue, options = {}) {
       this._value = initialValue;
-      this._subscribers = new Set();
+      this.equals = resolveEquals(options.equals);
+      this._subscribers = new Set(); // subscribe() callbacks
+      this._dependents = new Set(); // Effects and computeds that read it
       this._id = Signal._nextId++;
+      this._version = 0; // Bumped on every change; effects compare versions
     }
   
     get value() {
@@ -18,46 +34,78 @@ class Signal {
       }
       return this._value;
     }
+
+    /**
+     * Read the value without becoming a dependency of the running effect
+     */
+    peek() {
+      return this._value;
+    }
   
     set value(newValue) {
-      console.log('🔶 [Signal.set] Signal ID:', this._id, 'old:', this._value, 'new:', newValue);
-      
-      if (this._value === newValue) {
-        console.log('⚠️ [Signal.set] Value unchanged, skipping notification');
+      if (this.equals(this._value, newValue)) {
         return;
       }
       
       const oldValue = this._value;
       this._value = newValue;
+      this._version++;
       
-      console.log('🔶 [Signal.set] Notifying', this._subscribers.size, 'subscribers');
+      if (__DEV__) {
+        log.debug('set', `#${this._id}`, oldValue, '->', newValue, `(${this._subscribers.size} subscribers)`);
+      }
       this._notify(newValue, oldValue);
     }
   
     get subscriberCount() {
-      return this._subscribers.size;
+      return this._subscribers.size + this._dependents.size;
     }
   
+    /**
+     * Notify subscribers without changing the value (e.g. after an in-place
+     * mutation the equality check cannot see)
+     */
+    trigger() {
+      this._version++;
+      this._notify(this._value, this._value);
+    }
+
     subscribe(callback) {
       this._subscribers.add(callback);
       return () => {
         this._subscribers.delete(callback);
       };
     }
+
+    /**
+     * Register an effect or computed that read this signal (see track())
+     */
+    _depend(callback) {
+      this._dependents.add(callback);
+      return () => {
+        this._dependents.delete(callback);
+      };
+    }
   
     _notify(newValue, oldValue) {
-      const subscribers = Array.from(this._subscribers);
-      subscribers.forEach(callback => {
-        try {
-          callback(newValue, oldValue);
-        } catch (error) {
-          console.error('Error in signal subscriber:', error);
-        }
+      this._dispatch([...this._dependents, ...this._subscribers], newValue, oldValue);
+    }
+
+    _dispatch(subscribers, newValue, oldValue) {
+      batchScheduler.propagate(() => {
+        subscribers.forEach(callback => {
+          try {
+            callback(newValue, oldValue);
+          } catch (error) {
+            log.error('Error in signal subscriber:', error);
+          }
+        });
       });
     }
   
     dispose() {
       this._subscribers.clear();
+      this._dependents.clear();
     }
   
     toString() {
@@ -0,0 +1,179 @@
+import { reactive } from './reactive.js';
+import { ComputedSignal } from './computed-signal.js';
+import { batchScheduler } from './batch-effect.js';
+import { effectScope } from './effect-scope.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('store');
+
+/**
+ * Store - Shared, named state outside any component
+ *
+ * Design principles:
+ * - state() returns the initial state; it becomes one reactive object
+ * - getters are computed properties (ComputedSignal) receiving the state,
+ *   with `this` bound to the store so they can use other getters
+ * - actions are methods bound to the store; each call is one batch()
+ * - Stores are created lazily on first use and live in their own detached
+ *   effect scope, so a component using them first doesn't own them
+ * - Every store is reachable from templates as $store.<id>
+ *
+ * @example
+ * const useCart = defineStore('cart', {
+ *   state: () => ({ items: [] }),
+ *   getters: {
+ *     count: (state) => state.items.length,
+ *     total: (state) => state.items.reduce((sum, item) => sum + item.price, 0)
+ *   },
+ *   actions: {
+ *     add(product) {
+ *       this.items.push(product);
+ *     }
+ *   }
+ * });
+ *
+ * useCart().add({ name: 'Tea', price: 4 });
+ *
+ * // <span :text="$store.cart.count"></span>
+ * // <button @click="$store.cart.add(product)">Add</button>
+ */
+export class StoreRegistry {
+  static definitions = new Map(); // id -> options
+  static stores = new Map(); // id -> store instance
+
+  /**
+   * Accessor used as $store in expressions: $store.cart -> cart store
+   */
+  static accessor = new Proxy({}, {
+    get(target, id) {
+      return typeof id === 'string' ? StoreRegistry.get(id) : undefined;
+    },
+
+    has(target, id) {
+      return StoreRegistry.has(id);
+    }
+  });
+
+  static define(id, options) {
+    if (this.definitions.has(id)) {
+      log.warn(`Store "${id}" is already defined - replacing it.`);
+      this.dispose(id);
+    }
+    this.definitions.set(id, options);
+  }
+
+  static has(id) {
+    return this.definitions.has(id);
+  }
+
+  /**
+   * Get a store, creating it on first use
+   */
+  static get(id) {
+    if (!this.stores.has(id)) {
+      const options = this.definitions.get(id);
+      if (!options) {
+        log.warn(`Store "${id}" is not defined.`);
+        return undefined;
+      }
+      this.stores.set(id, createStore(id, options));
+    }
+    return this.stores.get(id);
+  }
+
+  /**
+   * Stop a store's getters and forget its instance (the definition stays)
+   */
+  static dispose(id) {
+    const store = this.stores.get(id);
+    if (store) {
+      store.$scope.stop();
+      this.stores.delete(id);
+    }
+  }
+}
+
+function createStore(id, options) {
+  const initialState = () => (typeof options.state === 'function' ? options.state() : {});
+  const state = reactive(initialState());
+  const scope = effectScope(true);
+  const store = {};
+
+  Object.defineProperties(store, {
+    $id: { value: id },
+    $state: { value: state },
+    $scope: { value: scope },
+
+    /**
+     * Merge a partial state object (or run a mutator) in one batch
+     */
+    $patch: {
+      value(partial) {
+        batchScheduler.batch(() => {
+          if (typeof partial === 'function') {
+            partial(state);
+          } else {
+            Object.assign(state, partial);
+          }
+        });
+      }
+    },
+
+    /**
+     * Restore the initial state
+     */
+    $reset: {
+      value() {
+        batchScheduler.batch(() => {
+          const fresh = initialState();
+          Object.keys(state).forEach(key => {
+            if (!(key in fresh)) delete state[key];
+          });
+          Object.assign(state, fresh);
+        });
+      }
+    }
+  });
+
+  // State properties read and write through the reactive state
+  Object.keys(state).forEach(key => {
+    Object.defineProperty(store, key, {
+      enumerable: true,
+      get: () => state[key],
+      set: (value) => {
+        state[key] = value;
+      }
+    });
+  });
+
+  scope.run(() => {
+    Object.entries(options.getters || {}).forEach(([key, getter]) => {
+      const computedSignal = new ComputedSignal(() => getter.call(store, state), store);
+
+      Object.defineProperty(store, key, {
+        enumerable: true,
+        get: () => computedSignal.value
+      });
+    });
+  });
+
+  Object.entries(options.actions || {}).forEach(([key, action]) => {
+    Object.defineProperty(store, key, {
+      value: (...args) => batchScheduler.batch(() => action.apply(store, args))
+    });
+  });
+
+  return store;
+}
+
+/**
+ * defineStore - Define a named store
+ *
+ * @param {string} id - Store name ($store.<id> in templates)
+ * @param {Object} options - { state, getters, actions }
+ * @returns {Function} - useStore() returning the store instance
+ */
+export function defineStore(id, options = {}) {
+  StoreRegistry.define(id, options);
+  return () => StoreRegistry.get(id);
+}
@@ -0,0 +1,143 @@
+import { batchScheduler } from './batch-effect.js';
+import { EffectScope } from './effect-scope.js';
+import { observePatches, applyPatch, parsePointer } from './json-patch.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('sync');
+
+/**
+ * syncAcrossTabs - Keep a reactive model in sync between browser tabs
+ *
+ * Design principles:
+ * - Local mutations are broadcast as JSON Patch operations (observePatches)
+ *   over a BroadcastChannel; incoming ones are applied through the proxies
+ * - Operations applied from another tab are never broadcast back
+ * - Concurrent writes resolve last-writer-wins: every message carries a
+ *   Lamport clock, and an operation older than the last write seen for its
+ *   path (or an ancestor path) is dropped. Ties go to the higher tab id, so
+ *   all tabs settle on the same value.
+ * - An older write to an ancestor (replacing a whole object) is applied,
+ *   then the newer writes below it are applied again on top
+ * - Array items are addressed by position, so concurrent inserts or removals
+ *   in the same array are not convergent: tabs may end up with the items in
+ *   different orders. Key concurrently edited lists by id (an object or a
+ *   Map) or replace the whole array.
+ * - Paths listed in `exclude` (e.g. open dialogs, scroll state) stay local
+ *
+ * @param {Object} model - Reactive model
+ * @param {string} channelName - Channel shared by the tabs
+ * @param {Object} options
+ * @param {string[]} options.exclude - Dot-separated paths that stay tab-local
+ * @returns {Function} - Stop syncing
+ *
+ * @example
+ * const cart = reactive({ items: [], ui: { drawerOpen: false } });
+ * const stop = syncAcrossTabs(cart, 'shop-cart', { exclude: ['ui'] });
+ */
+export function syncAcrossTabs(model, channelName, options = {}) {
+  if (typeof BroadcastChannel === 'undefined') {
+    log.warn('syncAcrossTabs() needs BroadcastChannel - the model stays tab-local.');
+    return () => {};
+  }
+
+  const channel = new BroadcastChannel(channelName);
+  const tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+  const excludes = (options.exclude || []).map(path => String(path).split('.'));
+  const lastWrites = new Map(); // JSON Pointer -> { clock, tabId, op }
+
+  let clock = 0;
+  let applyingRemote = false;
+
+  const isExcluded = (pointer) => {
+    const tokens = parsePointer(pointer);
+    return excludes.some(prefix => prefix.every((token, i) => tokens[i] === token));
+  };
+
+  const isAfter = (a, b) => a.clock > b.clock || (a.clock === b.clock && a.tabId > b.tabId);
+
+  // Is write (clock, tabId) newer than the last one seen for pointer or
+  // any of its ancestors?
+  const isNewer = (pointer, write) => {
+    const segments = pointer.split('/');
+
+    for (let length = segments.length; length > 0; length--) {
+      const seen = lastWrites.get(segments.slice(0, length).join('/'));
+      if (seen && isAfter(seen, write)) {
+        return false;
+      }
+    }
+    return true;
+  };
+
+  // Writes below pointer that are newer than write, oldest first
+  const newerDescendants = (pointer, write) => {
+    const prefix = pointer + '/';
+    const writes = [];
+
+    lastWrites.forEach((seen, path) => {
+      if (path.startsWith(prefix) && isAfter(seen, write)) {
+        writes.push(seen);
+      }
+    });
+
+    return writes.sort((a, b) => (isAfter(a, b) ? 1 : -1));
+  };
+
+  const applyRemote = (op) => {
+    try {
+      applyPatch(model, [op]);
+      return true;
+    } catch (error) {
+      log.warn(`syncAcrossTabs: skipped "${op.op} ${op.path}" from another tab:`, error.message);
+      return false;
+    }
+  };
+
+  const stopObserving = observePatches(model, (ops) => {
+    if (applyingRemote) return;
+
+    const shared = ops.filter(op => !isExcluded(op.path));
+    if (shared.length === 0) return;
+
+    clock++;
+    shared.forEach(op => lastWrites.set(op.path, { clock, tabId, op }));
+    channel.postMessage({ tabId, clock, ops: shared });
+  });
+
+  channel.onmessage = (event) => {
+    const message = event.data;
+    if (!message || message.tabId === tabId || !Array.isArray(message.ops)) return;
+
+    clock = Math.max(clock, message.clock);
+
+    const write = { clock: message.clock, tabId: message.tabId };
+    const accepted = message.ops.filter(op => !isExcluded(op.path) && isNewer(op.path, write));
+
+    applyingRemote = true;
+    try {
+      batchScheduler.batch(() => {
+        accepted.forEach(op => {
+          const newer = newerDescendants(op.path, write);
+
+          if (applyRemote(op)) {
+            lastWrites.set(op.path, { ...write, op });
+            newer.forEach(seen => applyRemote(seen.op));
+          }
+        });
+      });
+    } finally {
+      applyingRemote = false;
+    }
+  };
+
+  const stop = () => {
+    stopObserving();
+    channel.close();
+  };
+
+  if (EffectScope.active) {
+    EffectScope.active.cleanups.push(stop);
+  }
+
+  return stop;
+}
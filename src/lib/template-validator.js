@@ -0,0 +1,441 @@
+import { DIRECTIVE, DIRECTIVE_PREFIX, SKIP_TAGS, EVALUATOR_MODE } from './constants.js';
+import { CspEvaluator } from './csp-evaluator.js';
+import { EventBinding, ExpressionEvaluator } from './event-binding.js';
+import { FilterRegistry } from './filters.js';
+import { Interpolation } from './interpolation.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('parser');
+
+/**
+ * TemplateValidator - Syntax-check every directive expression at parse time
+ *
+ * Design principles:
+ * - Checks :bindings, :each sources, @handlers and {{ }} parts (with their
+ *   filter arguments) before anything is bound, so a typo fails the parse
+ *   instead of surfacing as a bare runtime warning
+ * - Errors are TemplateErrors naming the component, the element path, the
+ *   attribute and the line/column in the original HTML
+ * - Never breaks a page by default: every error is logged and collected;
+ *   throwing the first is opt-in (throwOnError)
+ * - Only syntax is checked, by the compiler the active evaluator mode runs
+ *   expressions with (new Function, or the CSP-safe parser)
+ *
+ * @example
+ * const parser = new ReactiveHTMLParser();
+ * parser.parse(root, [], { source: html });
+ * parser.errors.forEach(error => console.log(error.line, error.column, error.message));
+ */
+
+const EACH_EXPRESSION = /^(?:(\w+)(?:\s*,\s*(\w+))?\s+in\s+)?(.+)$/;
+
+// How many source tags to look ahead for an element (elements the browser
+// inserts, like <tbody>, have no tag in the source)
+const LOOKAHEAD = 4;
+
+/**
+ * TemplateError - An invalid expression in a template
+ */
+export class TemplateError extends SyntaxError {
+  constructor(reason, details = {}) {
+    const element = [
+      details.componentName ? `<${details.componentName}>` : null,
+      details.elementPath || null
+    ].filter(Boolean).join(' ');
+    const where = [
+      element || null,
+      details.line ? `line ${details.line}, column ${details.column}` : null
+    ].filter(Boolean).join(', ');
+
+    const target = details.attribute
+      ? `${details.attribute}="${details.attributeValue ?? details.expression}"`
+      : `{{ ${details.expression} }}`;
+
+    super(`${reason} in ${target}${where ? ` (${where})` : ''}`);
+
+    this.name = 'TemplateError';
+    this.reason = reason;
+    this.componentName = details.componentName || null;
+    this.elementPath = details.elementPath || null;
+    this.attribute = details.attribute || null;
+    this.expression = details.expression;
+    this.line = details.line || null;
+    this.column = details.column || null;
+    this.element = details.element || null;
+  }
+}
+
+/**
+ * SourceLocator - Map DOM elements back to their tags in the HTML source
+ *
+ * Elements are matched to start tags in document order, so locations are
+ * exact as long as the source is the HTML the elements were parsed from.
+ */
+export class SourceLocator {
+  constructor(source) {
+    this.source = source;
+    this.tags = SourceLocator._scan(source);
+    this.elements = new Map();
+    this.lineStarts = [0];
+
+    for (let i = 0; i < source.length; i++) {
+      if (source[i] === '\n') this.lineStarts.push(i + 1);
+    }
+  }
+
+  /**
+   * Match root and its descendants (including <template> content) to tags
+   */
+  map(root) {
+    const first = root.nodeType === Node.ELEMENT_NODE ? root : root.firstElementChild;
+    let index = first ? this._findRoot(first) : -1;
+    if (index === -1) return this;
+
+    const visit = (element) => {
+      const name = element.tagName.toLowerCase();
+      const limit = Math.min(index + LOOKAHEAD, this.tags.length);
+
+      for (let i = index; i < limit; i++) {
+        if (this.tags[i].name === name) {
+          this.elements.set(element, this.tags[i]);
+          index = i + 1;
+          break;
+        }
+      }
+
+      const children = element.tagName === 'TEMPLATE' ? element.content.children : element.children;
+      Array.from(children).forEach(visit);
+    };
+
+    if (root.nodeType === Node.ELEMENT_NODE) {
+      visit(root);
+    } else {
+      Array.from(root.children).forEach(visit);
+    }
+    return this;
+  }
+
+  locate(element) {
+    return this.elements.get(element) || null;
+  }
+
+  /**
+   * 1-based line and column of a source offset
+   */
+  position(offset) {
+    let low = 0;
+    let high = this.lineStarts.length - 1;
+
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (this.lineStarts[middle] <= offset) low = middle;
+      else high = middle - 1;
+    }
+
+    return { line: low + 1, column: offset - this.lineStarts[low] + 1 };
+  }
+
+  /**
+   * First tag with the element's name and attribute names
+   */
+  _findRoot(element) {
+    const name = element.tagName.toLowerCase();
+    const attributes = Array.from(element.attributes, attr => attr.name).sort().join(' ');
+
+    const exact = this.tags.findIndex(tag =>
+      tag.name === name && Array.from(tag.attributes.keys()).sort().join(' ') === attributes
+    );
+    return exact !== -1 ? exact : this.tags.findIndex(tag => tag.name === name);
+  }
+
+  /**
+   * Start tags with the offsets of their attribute values
+   */
+  static _scan(source) {
+    const tags = [];
+    const tagPattern = /<!--[\s\S]*?-->|<([a-zA-Z][\w:.-]*)((?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*\/?>/g;
+    const attributePattern = /([^\s=>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+    let match;
+
+    while ((match = tagPattern.exec(source)) !== null) {
+      if (!match[1]) continue; // Comment
+
+      const name = match[1].toLowerCase();
+      const attributes = new Map();
+      const attributesStart = match.index + 1 + match[1].length;
+      let attribute;
+
+      attributePattern.lastIndex = 0;
+      while ((attribute = attributePattern.exec(match[2])) !== null) {
+        const value = attribute[2] ?? attribute[3] ?? attribute[4] ?? '';
+        const quoted = attribute[2] !== undefined || attribute[3] !== undefined;
+        const valueEnd = attributesStart + attribute.index + attribute[0].length - (quoted ? 1 : 0);
+
+        attributes.set(attribute[1].toLowerCase(), { value, offset: valueEnd - value.length });
+      }
+
+      tags.push({ name, offset: match.index, end: match.index + match[0].length, attributes });
+
+      // Raw text elements: their content is not markup
+      if (name === 'script' || name === 'style' || name === 'textarea' || name === 'title') {
+        const close = source.toLowerCase().indexOf(`</${name}`, tagPattern.lastIndex);
+        if (close !== -1) tagPattern.lastIndex = close;
+      }
+    }
+
+    return tags;
+  }
+}
+
+export class TemplateValidator {
+  // Default for parses that don't pass throwOnError
+  static throwOnError = false;
+  static cache = new Map();
+
+  /**
+   * Validate all expressions under root
+   *
+   * @param {Element|DocumentFragment} root
+   * @param {Object} options
+   * @param {string} options.source - HTML root was parsed from (default: its outerHTML)
+   * @param {Element} options.sourceRoot - Element to map to the source (default: root)
+   * @param {string} options.componentName - For error messages
+   * @param {boolean} options.throwOnError - Throw the first error instead of
+   *   logging and returning them all
+   * @param {Function} options.isComponent - (element) => whether its children belong to a component
+   * @returns {TemplateError[]}
+   */
+  static validate(root, options = {}) {
+    const source = options.source ?? (root.outerHTML || '');
+    const validator = {
+      locator: new SourceLocator(source).map(options.sourceRoot || root),
+      root,
+      componentName: options.componentName || null,
+      throwOnError: options.throwOnError ?? this.throwOnError,
+      isComponent: options.isComponent || (() => false),
+      errors: []
+    };
+
+    if (root.nodeType === Node.ELEMENT_NODE) {
+      this._validateElement(root, validator);
+    } else {
+      Array.from(root.children).forEach(child => this._validateElement(child, validator));
+    }
+
+    return validator.errors;
+  }
+
+  static _validateElement(element, validator) {
+    if (SKIP_TAGS.has(element.tagName)) {
+      return;
+    }
+
+    Array.from(element.attributes).forEach(attr => {
+      this._validateAttribute(element, attr, validator);
+    });
+
+    // A component renders its own template; its children aren't parsed
+    if (validator.isComponent(element)) {
+      return;
+    }
+
+    Array.from(element.childNodes).forEach(node => {
+      if (node.nodeType !== Node.TEXT_NODE) return;
+
+      const parts = Interpolation.parse(node.data);
+      if (!parts) return;
+
+      parts.filter(part => typeof part !== 'string').forEach(part => {
+        this._check(part.expression, 'expression', { element, attribute: null, offset: null }, validator);
+      });
+    });
+
+    Array.from(element.children).forEach(child => this._validateElement(child, validator));
+  }
+
+  static _validateAttribute(element, attr, validator) {
+    const { name, value } = attr;
+    const location = { element, attribute: name, attributeValue: value, offset: 0 };
+
+    if (name === DIRECTIVE.MODEL || name === DIRECTIVE.ELSE) {
+      return;
+    }
+
+    if (name === DIRECTIVE.EACH) {
+      const match = value.match(EACH_EXPRESSION);
+      if (!match) {
+        this._report('Invalid :each expression (expected "item in items")', value, location, 0, validator);
+        return;
+      }
+      this._check(match[3], 'expression', { ...location, offset: value.lastIndexOf(match[3]) }, validator);
+      return;
+    }
+
+    if (name.startsWith(DIRECTIVE_PREFIX.EVENT)) {
+      // Checked as it runs: references and inline functions become calls
+      const statements = EventBinding.toStatements(value);
+      const trimmed = value.trim();
+      const offset = value.indexOf(trimmed) - statements.indexOf(trimmed);
+      this._check(statements, 'statements', { ...location, offset }, validator);
+      return;
+    }
+
+    if (name.startsWith(DIRECTIVE_PREFIX.PROPERTY)) {
+      this._check(value, 'expression', location, validator);
+      return;
+    }
+
+    const parts = Interpolation.parse(value);
+    if (!parts) return;
+
+    parts.filter(part => typeof part !== 'string').forEach(part => {
+      this._check(part.expression, 'expression', { ...location, offset: value.indexOf(part.expression) }, validator);
+    });
+  }
+
+  /**
+   * Syntax-check one expression (with its filter arguments) or statement list
+   */
+  static _check(expression, kind, location, validator) {
+    if (kind === 'statements') {
+      const error = this._syntaxError(expression, kind);
+      if (error) this._report(error.message, expression, location, error.position, validator);
+      return;
+    }
+
+    const { expression: base, filters } = FilterRegistry.split(expression);
+    const checks = [{ source: base, offset: 0 }];
+
+    filters.forEach(({ args }) => {
+      if (args) {
+        checks.push({ source: `[${args}]`, offset: expression.lastIndexOf(args) - 1 });
+      }
+    });
+
+    for (const { source, offset } of checks) {
+      const error = this._syntaxError(source, kind);
+      if (error) {
+        this._report(error.message, expression, location, offset + (error.position ?? 0), validator);
+        return;
+      }
+    }
+  }
+
+  /**
+   * SyntaxError for source, or null (cached per source and evaluator mode).
+   * Each mode is checked by the compiler that will run the source.
+   */
+  static _syntaxError(source, kind) {
+    const mode = ExpressionEvaluator.mode;
+    const key = `${mode}:${kind}:${source}`;
+    if (this.cache.has(key)) {
+      return this.cache.get(key);
+    }
+
+    const result = mode === EVALUATOR_MODE.CSP
+      ? this._cspSyntaxError(source, kind)
+      : this._functionSyntaxError(source, kind);
+
+    this.cache.set(key, result);
+    return result;
+  }
+
+  static _cspSyntaxError(source, kind) {
+    try {
+      if (kind === 'statements') {
+        CspEvaluator.parseStatements(source);
+      } else {
+        CspEvaluator.parse(source);
+      }
+      return null;
+    } catch (error) {
+      return { message: error.message, position: error.position ?? null, unsupported: !!error.unsupported };
+    }
+  }
+
+  static _functionSyntaxError(source, kind) {
+    const body = kind === 'statements' ? source : `return (${source});`;
+    try {
+      new Function('context', `with (context) { ${body}\n}`);
+      return null;
+    } catch (error) {
+      // The engine's message has no offset - borrow the parser's, if it
+      // fails on the same source
+      const parsed = this._cspSyntaxError(source, kind);
+      const position = parsed && !parsed.unsupported ? parsed.position : null;
+      return { message: error.message, position };
+    }
+  }
+
+  static _report(reason, expression, location, position, validator) {
+    const { element, attribute, attributeValue, offset } = location;
+    const tag = validator.locator.locate(element);
+    let sourceOffset = null;
+
+    if (tag) {
+      const attributeSource = attribute ? tag.attributes.get(attribute.toLowerCase()) : null;
+
+      if (attributeSource) {
+        sourceOffset = attributeSource.offset + (offset ?? 0) + (position ?? 0);
+      } else if (!attribute) {
+        // Text interpolation: the expression's first occurrence after the tag
+        const found = validator.locator.source.indexOf(expression, tag.end);
+        sourceOffset = found === -1 ? tag.offset : found + (position ?? 0);
+      } else {
+        sourceOffset = tag.offset;
+      }
+    }
+
+    const { line = null, column = null } = sourceOffset !== null
+      ? validator.locator.position(sourceOffset)
+      : {};
+
+    const error = new TemplateError(reason, {
+      componentName: validator.componentName,
+      elementPath: this._elementPath(element, validator.root),
+      attribute,
+      attributeValue,
+      expression,
+      line,
+      column,
+      element
+    });
+
+    if (validator.throwOnError) {
+      throw error;
+    }
+
+    log.error(error.message);
+    validator.errors.push(error);
+  }
+
+  /**
+   * CSS-like path from the validation root: div#app > ul.items > li:nth-of-type(2)
+   */
+  static _elementPath(element, root) {
+    const segments = [];
+
+    for (let current = element; current && current.nodeType === Node.ELEMENT_NODE; current = current.parentNode) {
+      let segment = current.tagName.toLowerCase();
+
+      if (current.id) {
+        segment += `#${current.id}`;
+      } else if (current.classList && current.classList.length > 0) {
+        segment += `.${current.classList[0]}`;
+      }
+
+      const parent = current.parentNode;
+      if (parent && parent.children) {
+        const sameTag = Array.from(parent.children).filter(child => child.tagName === current.tagName);
+        if (sameTag.length > 1) {
+          segment += `:nth-of-type(${sameTag.indexOf(current) + 1})`;
+        }
+      }
+
+      segments.unshift(segment);
+      if (current === root) break;
+    }
+
+    return segments.join(' > ');
+  }
+}
@@ -0,0 +1,166 @@
+import { Logger, createLogger } from './logger.js';
+
+const log = createLogger('trace');
+
+/**
+ * Tracer - "Why did this update?" for effects and bindings
+ *
+ * While tracing is enabled, every effect collects the signal changes that
+ * scheduled it, and each re-run is recorded with:
+ * - the triggering signals, with the model path they belong to
+ *   (e.g. "cart.items.2.qty") and their old/new values
+ * - the binding that owns the effect (name, element, expression)
+ *
+ * Per-effect hooks (onTrack/onTrigger effect options) receive the same
+ * event objects and work without global tracing.
+ *
+ * @example
+ * enableTracing({ log: true });
+ * // [trace] text "item.name" on <span> ← items.0.name: "Tea" → "Green tea"
+ *
+ * whyDidThisUpdate(document.querySelector('#total'));
+ * // [{ binding: 'text', expression: 'total', triggers: [...] }, ...]
+ */
+export class Tracer {
+  static enabled = false;
+  static log = false;
+  static limit = 500;
+  static traces = [];
+
+  // Installed by reactive.js (which can't be imported here without an
+  // import cycle): (target) => path of keys from the top-most model
+  static pathOf = null;
+
+  static enable(options = {}) {
+    Tracer.enabled = true;
+    Tracer.log = !!options.log;
+    if (Tracer.log) {
+      // Trace lines are info-level; show them even when the global level is higher
+      Logger.setLevel('info', 'trace');
+    }
+    Tracer.limit = options.limit ?? 500;
+  }
+
+  static disable() {
+    Tracer.enabled = false;
+  }
+
+  static clear() {
+    Tracer.traces = [];
+  }
+
+  /**
+   * Build a track/trigger event for a signal
+   */
+  static describe(signal, event) {
+    const owner = signal.owner || null;
+    let path = null;
+
+    if (owner && Tracer.pathOf) {
+      const parentPath = Tracer.pathOf(owner.target);
+      path = [...(parentPath || []), owner.key]
+        .map(key => (typeof key === 'symbol' ? key.description : String(key)))
+        .join('.');
+    }
+
+    return {
+      ...event,
+      signal,
+      target: owner ? owner.target : null,
+      key: owner ? owner.key : null,
+      path
+    };
+  }
+
+  /**
+   * Record one effect run and the triggers that caused it
+   */
+  static record(effect, triggers) {
+    // A computed only reports that it may change; the effect is about to
+    // read it anyway, so refresh it now to know the new value
+    triggers.forEach(trigger => {
+      if (trigger.signal.isComputed) {
+        trigger.signal._refresh();
+        trigger.newValue = trigger.signal._value;
+      }
+    });
+
+    const meta = effect.meta || {};
+    const trace = {
+      effect,
+      binding: meta.bindingName || null,
+      element: meta.element || null,
+      expression: meta.expression || null,
+      triggers,
+      timestamp: Date.now()
+    };
+
+    Tracer.traces.push(trace);
+    if (Tracer.traces.length > Tracer.limit) {
+      Tracer.traces.shift();
+    }
+
+    if (Tracer.log) {
+      log.info(Tracer.format(trace));
+    }
+
+    return trace;
+  }
+
+  static format(trace) {
+    const owner = trace.binding
+      ? `${trace.binding} "${trace.expression}"` +
+        (trace.element ? ` on <${trace.element.tagName ? trace.element.tagName.toLowerCase() : '#text'}>` : '')
+      : `effect #${trace.effect.id}`;
+
+    const causes = trace.triggers.map(trigger => {
+      const name = trigger.path || `signal #${trigger.signal._id}`;
+      return trigger.oldValue === trigger.newValue
+        ? `${name} (mutated)`
+        : `${name}: ${preview(trigger.oldValue)} → ${preview(trigger.newValue)}`;
+    });
+
+    return `[trace] ${owner} ← ${causes.join(', ')}`;
+  }
+}
+
+function preview(value) {
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (Array.isArray(value)) return `Array(${value.length})`;
+  if (typeof value === 'object' && value !== null) return value.constructor ? value.constructor.name : 'Object';
+  return String(value);
+}
+
+/**
+ * enableTracing - Start recording why effects re-run
+ *
+ * @param {Object} options
+ * @param {boolean} options.log - Also log each re-run (logger namespace 'trace')
+ * @param {number} options.limit - Traces kept (default 500)
+ */
+export function enableTracing(options = {}) {
+  Tracer.enable(options);
+}
+
+export function disableTracing() {
+  Tracer.disable();
+}
+
+/**
+ * getTraces - Recorded effect re-runs, oldest first
+ */
+export function getTraces() {
+  return Tracer.traces.slice();
+}
+
+/**
+ * whyDidThisUpdate - Recorded re-runs of the bindings on an element (or of
+ * one effect), oldest first
+ *
+ * @param {Element|Effect} elementOrEffect
+ */
+export function whyDidThisUpdate(elementOrEffect) {
+  return Tracer.traces.filter(trace =>
+    trace.element === elementOrEffect || trace.effect === elementOrEffect
+  );
+}
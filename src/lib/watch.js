@@ -0,0 +1,232 @@
+import Signal from './signal.js';
+import { EffectTracker } from './effect.js';
+import { ReactiveModel } from './reactive.js';
+import { resolveEquals } from './equality.js';
+import { EFFECT_PHASE, FLUSH_MODE } from './constants.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('watch');
+
+/**
+ * Watchers - Run side effects when reactive state changes
+ *
+ * Flush timing (option `flush`):
+ * - 'pre' (default): in the scheduler flush, before the DOM bindings update
+ * - 'post': in the same flush, after the DOM bindings updated
+ * - 'sync': as soon as the source changes
+ *
+ * Watchers are effects, so they belong to the active effect scope (and a
+ * component's lifecycle) and stop with it.
+ */
+
+const WATCH_PHASE = {
+  pre: EFFECT_PHASE.PRE,
+  post: EFFECT_PHASE.POST,
+  sync: EFFECT_PHASE.PRE
+};
+
+function effectOptions(options, onStop) {
+  const flush = options.flush || 'pre';
+
+  if (!(flush in WATCH_PHASE)) {
+    throw new Error(`Unknown watch flush: "${flush}" (expected 'pre', 'post' or 'sync')`);
+  }
+
+  return {
+    flush: flush === 'sync' ? FLUSH_MODE.SYNC : null,
+    phase: WATCH_PHASE[flush],
+    onStop,
+    onTrack: options.onTrack,
+    onTrigger: options.onTrigger
+  };
+}
+
+/**
+ * Read every nested property so the running effect depends on all of them
+ */
+function traverse(value, seen = new Set()) {
+  if (typeof value !== 'object' || value === null || seen.has(value)) {
+    return value;
+  }
+  seen.add(value);
+
+  if (value instanceof Signal) {
+    traverse(value.value, seen);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => traverse(item, seen));
+  } else if (value instanceof Map) {
+    value.forEach((item, key) => {
+      traverse(key, seen);
+      traverse(item, seen);
+    });
+  } else if (value instanceof Set) {
+    value.forEach(item => traverse(item, seen));
+  } else {
+    Object.keys(value).forEach(key => traverse(value[key], seen));
+  }
+
+  return value;
+}
+
+/**
+ * Turn one watch source into a getter
+ */
+function toGetter(source) {
+  if (typeof source === 'function') {
+    return source;
+  }
+
+  if (source instanceof Signal) {
+    return () => source.value;
+  }
+
+  if (ReactiveModel.isReactive(source)) {
+    return () => source;
+  }
+
+  log.warn('Invalid watch source - expected a getter, signal or reactive object:', source);
+  return () => undefined;
+}
+
+/**
+ * watch - Call back when a source changes
+ *
+ * @param {Function|Signal|Object|Array} source - Getter, signal, reactive
+ *   object, or an array of those (the callback then gets arrays of values)
+ * @param {Function} callback - (newValue, oldValue, onCleanup) => void;
+ *   onCleanup(fn) registers fn to run before the next call and on stop
+ * @param {Object} options
+ * @param {boolean} options.immediate - Call back right away with the current value
+ * @param {boolean} options.deep - Also react to nested mutations (implied
+ *   for reactive object sources, including each reactive entry of an array)
+ * @param {boolean} options.once - Stop after the first call
+ * @param {string} options.flush - 'pre' (default), 'post' or 'sync'
+ * @param {Function|string} options.equals - Change comparator (default Object.is)
+ * @param {Function} options.onTrack - Debug hook (see Effect)
+ * @param {Function} options.onTrigger - Debug hook (see Effect)
+ * @returns {Function} - Stop watching
+ *
+ * @example
+ * const stop = watch(() => state.query, (query, previous) => search(query));
+ * watch([() => state.page, pageSize], ([page, size]) => load(page, size));
+ * watch(state.filters, () => save(state.filters), { deep: true, flush: 'post' });
+ */
+export function watch(source, callback, options = {}) {
+  const equals = resolveEquals(options.equals);
+  const isMultiSource = Array.isArray(source) && !ReactiveModel.isReactive(source);
+  const sources = isMultiSource ? source : [source];
+
+  // Reactive objects are watched deeply unless deep is set explicitly
+  const deep = sources.map(entry => options.deep ?? ReactiveModel.isReactive(entry));
+  const getters = sources.map(toGetter);
+
+  const read = () => {
+    const values = getters.map((getter, i) => (deep[i] ? traverse(getter()) : getter()));
+    return isMultiSource ? values : values[0];
+  };
+
+  const changed = (oldValue, newValue) => {
+    // A deep watcher re-runs only because something nested changed
+    if (deep.some(Boolean)) return true;
+
+    return isMultiSource
+      ? newValue.some((value, i) => !equals(oldValue[i], value))
+      : !equals(oldValue, newValue);
+  };
+
+  let oldValue;
+  let initialized = false;
+  let cleanup = null;
+  let effect = null;
+  let stopped = false;
+
+  const runCleanup = () => {
+    if (cleanup) {
+      const fn = cleanup;
+      cleanup = null;
+      EffectTracker.track(null, fn);
+    }
+  };
+
+  const onCleanup = (fn) => {
+    cleanup = fn;
+  };
+
+  const stop = () => {
+    stopped = true;
+    if (effect) {
+      effect.stop();
+    }
+  };
+
+  const invoke = (newValue, previous) => {
+    runCleanup();
+    // The callback's own reads must not become dependencies
+    EffectTracker.track(null, () => callback(newValue, previous, onCleanup));
+
+    if (options.once) {
+      stop();
+    }
+  };
+
+  effect = EffectTracker.create(() => {
+    const newValue = read();
+
+    if (!initialized) {
+      initialized = true;
+      oldValue = newValue;
+      if (options.immediate) {
+        invoke(newValue, undefined);
+      }
+      return;
+    }
+
+    if (changed(oldValue, newValue)) {
+      const previous = oldValue;
+      oldValue = newValue;
+      invoke(newValue, previous);
+    }
+  }, effectOptions(options, runCleanup));
+
+  // once + immediate stops during the first run, before effect was assigned
+  if (stopped) {
+    effect.stop();
+  }
+
+  return stop;
+}
+
+/**
+ * watchEffect - Run fn now and again whenever what it read changes
+ *
+ * @param {Function} fn - (onCleanup) => void; onCleanup(fn) registers fn
+ *   to run before the next run and on stop
+ * @param {Object} options - { flush: 'pre' | 'post' | 'sync', onTrack, onTrigger }
+ * @returns {Function} - Stop the effect
+ *
+ * @example
+ * const stop = watchEffect((onCleanup) => {
+ *   const timer = setInterval(() => tick(state.speed), 1000);
+ *   onCleanup(() => clearInterval(timer));
+ * });
+ */
+export function watchEffect(fn, options = {}) {
+  let cleanup = null;
+
+  const runCleanup = () => {
+    if (cleanup) {
+      const previous = cleanup;
+      cleanup = null;
+      EffectTracker.track(null, previous);
+    }
+  };
+
+  const effect = EffectTracker.create(() => {
+    runCleanup();
+    fn((cleanupFn) => {
+      cleanup = cleanupFn;
+    });
+  }, effectOptions(options, runCleanup));
+
+  return () => effect.stop();
+}
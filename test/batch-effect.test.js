@@ -0,0 +1,194 @@
+import { BatchScheduler, batchScheduler, batch, nextTick } from '../src/lib/batch-effect.js';
+import { Effect } from '../src/lib/effect.js';
+import { reactive } from '../src/lib/reactive.js';
+import { FLUSH_MODE, ERROR_TYPE } from '../src/lib/constants.js';
+import { GlobalErrorHandler } from '../src/lib/error-handling.js';
+
+const stubEffect = (flush = null) => ({ id: 1, flush, phase: 0, active: true, update: jest.fn() });
+
+describe('BatchScheduler flush modes', () => {
+  afterEach(() => {
+    batchScheduler.setFlushMode(FLUSH_MODE.ANIMATION_FRAME);
+  });
+
+  test('sync runs effects once the notification has propagated', () => {
+    const scheduler = new BatchScheduler();
+    scheduler.setFlushMode(FLUSH_MODE.SYNC);
+    const effect = stubEffect();
+
+    scheduler.propagate(() => {
+      scheduler.schedule(effect);
+      expect(effect.update).not.toHaveBeenCalled();
+    });
+    expect(effect.update).toHaveBeenCalledTimes(1);
+  });
+
+  test('microtask runs effects before the next task', async () => {
+    const scheduler = new BatchScheduler();
+    scheduler.setFlushMode(FLUSH_MODE.MICROTASK);
+    const effect = stubEffect();
+
+    scheduler.schedule(effect);
+    expect(effect.update).not.toHaveBeenCalled();
+
+    await Promise.resolve();
+    expect(effect.update).toHaveBeenCalledTimes(1);
+  });
+
+  test('an effect flush option overrides the global mode', () => {
+    const scheduler = new BatchScheduler();
+    const effect = stubEffect(FLUSH_MODE.SYNC);
+
+    scheduler.propagate(() => scheduler.schedule(effect));
+    expect(scheduler.mode).toBe(FLUSH_MODE.ANIMATION_FRAME);
+    expect(effect.update).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects unknown modes', () => {
+    expect(() => new BatchScheduler().setFlushMode('later')).toThrow('Unknown flush mode: "later"');
+  });
+
+  test('batch() holds sync effects until the outermost batch ends', () => {
+    batchScheduler.setFlushMode(FLUSH_MODE.SYNC);
+    const model = reactive({ a: 1, b: 1 });
+    const seen = [];
+    new Effect(() => seen.push(model.a + model.b));
+
+    batch(() => {
+      model.a = 2;
+      batch(() => {
+        model.b = 2;
+      });
+      expect(seen).toEqual([2]);
+    });
+
+    expect(seen).toEqual([2, 4]);
+  });
+
+  test('nextTick resolves after the pending flush', async () => {
+    batchScheduler.setFlushMode(FLUSH_MODE.MICROTASK);
+    const model = reactive({ count: 0 });
+    const seen = [];
+    new Effect(() => seen.push(model.count));
+
+    model.count = 1;
+    await nextTick();
+
+    expect(seen).toEqual([0, 1]);
+  });
+});
+
+describe('BatchScheduler animation frame flushes', () => {
+  let frames;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    frames = [];
+    global.requestAnimationFrame = jest.fn(callback => frames.push(callback));
+    global.cancelAnimationFrame = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete global.requestAnimationFrame;
+    delete global.cancelAnimationFrame;
+  });
+
+  test('flush on the next frame', () => {
+    const scheduler = new BatchScheduler();
+    const effect = stubEffect();
+    scheduler.schedule(effect);
+
+    frames.forEach(frame => frame());
+    expect(effect.update).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(scheduler.frameTimeout);
+    expect(effect.update).toHaveBeenCalledTimes(1);
+  });
+
+  test('still flush when the frame never comes (tab hidden after scheduling)', () => {
+    const scheduler = new BatchScheduler();
+    const effect = stubEffect();
+    scheduler.schedule(effect);
+
+    expect(scheduler.mode).toBe(FLUSH_MODE.ANIMATION_FRAME);
+    expect(effect.update).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(scheduler.frameTimeout);
+    expect(effect.update).toHaveBeenCalledTimes(1);
+
+    frames.forEach(frame => frame());
+    expect(effect.update).toHaveBeenCalledTimes(1);
+  });
+
+  test('flushes once without cancelAnimationFrame', () => {
+    delete global.cancelAnimationFrame;
+
+    const scheduler = new BatchScheduler();
+    const effect = stubEffect();
+    scheduler.schedule(effect);
+
+    jest.advanceTimersByTime(scheduler.frameTimeout);
+    frames.forEach(frame => frame());
+    expect(effect.update).toHaveBeenCalledTimes(1);
+  });
+
+  test('idle falls back to a timeout', () => {
+    const scheduler = new BatchScheduler();
+    scheduler.setFlushMode(FLUSH_MODE.IDLE);
+    const effect = stubEffect();
+    scheduler.schedule(effect);
+
+    expect(effect.update).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1);
+    expect(effect.update).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('BatchScheduler update loop detection', () => {
+  let errors;
+  let previous;
+
+  beforeEach(() => {
+    errors = [];
+    previous = GlobalErrorHandler.get().onError;
+    GlobalErrorHandler.setErrorHandler(info => errors.push(info));
+    GlobalErrorHandler.get().logErrors = false;
+  });
+
+  afterEach(() => {
+    GlobalErrorHandler.setErrorHandler(previous);
+    GlobalErrorHandler.get().logErrors = true;
+  });
+
+  test('reports an effect that writes what it reads and stops it spinning', () => {
+    const model = reactive({ count: 0 });
+    const effect = new Effect(() => {
+      model.count = model.count + 1;
+    }, { flush: FLUSH_MODE.SYNC, meta: { expression: 'count = count + 1' } });
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].error.message).toContain('Infinite update loop');
+    expect(errors[0].error.message).toContain('expression "count = count + 1"');
+    expect(errors[0].context).toMatchObject({ type: ERROR_TYPE.SCHEDULER, effect, expression: 'count = count + 1' });
+
+    // Dropped, not stopped: the next outside change runs it (and trips the limit) again
+    model.count = 0;
+    expect(errors).toHaveLength(2);
+    expect(model.count).toBe(batchScheduler.maxFlushIterations);
+  });
+
+  test('allows effects that settle within the limit', () => {
+    const model = reactive({ count: 0 });
+    new Effect(() => {
+      if (model.count < 5) {
+        model.count = model.count + 1;
+      }
+    }, { flush: FLUSH_MODE.SYNC });
+
+    model.count = 1;
+
+    expect(errors).toHaveLength(0);
+    expect(model.count).toBe(5);
+  });
+});
@@ -0,0 +1,53 @@
+import { reactive, ReactiveHTMLParser, createBindings, computed, batchScheduler } from '../src/lib/reactive-html.js';
+
+const mount = (html, form) => {
+  const root = document.createElement('div');
+  root.setAttribute('data-model', 'form');
+  root.innerHTML = html;
+  createBindings(new ReactiveHTMLParser().parse(root), reactive({ form }));
+  return root;
+};
+
+const type = (input, value) => {
+  input.value = value;
+  input.dispatchEvent(new Event('input'));
+};
+
+describe(':model on a writable computed', () => {
+  test('works with a getter/setter pair on the model', () => {
+    const model = reactive({
+      first: 'Ada',
+      last: 'Lovelace',
+      get full() { return `${this.first} ${this.last}`; },
+      set full(value) { [this.first, this.last] = value.split(' '); }
+    });
+    const input = mount('<input :model="full">', model).querySelector('input');
+
+    expect(input.value).toBe('Ada Lovelace');
+
+    type(input, 'Grace Hopper');
+    expect(model.first).toBe('Grace');
+    expect(model.last).toBe('Hopper');
+  });
+
+  test('works with computed({ get, set }) stored on the model', () => {
+    const model = reactive({ first: 'Ada', last: 'Lovelace' });
+    const full = computed({
+      get: () => `${model.first} ${model.last}`,
+      set: (value) => { [model.first, model.last] = value.split(' '); }
+    });
+    model.full = full;
+    const input = mount('<input :model="full">', model).querySelector('input');
+
+    expect(model.full).toBe(full);
+    expect(input.value).toBe('Ada Lovelace');
+
+    type(input, 'Grace Hopper');
+    expect(model.full).toBe(full);
+    expect(model.first).toBe('Grace');
+
+    model.last = 'Kelly';
+    batchScheduler.flushSync();
+    expect(input.value).toBe('Grace Kelly');
+  });
+});
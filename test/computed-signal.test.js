@@ -0,0 +1,251 @@
+import Signal from '../src/lib/signal.js';
+import { Effect } from '../src/lib/effect.js';
+import { computed, asyncComputed } from '../src/lib/computed-signal.js';
+import { batch, batchScheduler } from '../src/lib/batch-effect.js';
+import { reactive } from '../src/lib/reactive.js';
+import { effectScope } from '../src/lib/effect-scope.js';
+
+const syncEffect = fn => new Effect(fn, { flush: 'sync' });
+
+describe('ComputedSignal propagation', () => {
+  test('recomputes lazily, in dependency order', () => {
+    const count = new Signal(1);
+    const order = [];
+    const doubled = computed(() => {
+      order.push('doubled');
+      return count.value * 2;
+    });
+    const quadrupled = computed(() => {
+      order.push('quadrupled');
+      return doubled.value * 2;
+    });
+
+    count.value = 2;
+    expect(order).toEqual([]);
+
+    expect(quadrupled.value).toBe(8);
+    expect(order).toEqual(['quadrupled', 'doubled']);
+    expect(quadrupled.value).toBe(8);
+    expect(order).toHaveLength(2);
+  });
+
+  test('effects never see a mix of old and new state (diamond)', () => {
+    const count = new Signal(1);
+    const doubled = computed(() => count.value * 2);
+    const tripled = computed(() => count.value * 3);
+    const seen = [];
+
+    syncEffect(() => seen.push([count.value, doubled.value, tripled.value]));
+    count.value = 2;
+
+    expect(seen).toEqual([[1, 2, 3], [2, 4, 6]]);
+  });
+
+  test('effects are skipped when their computeds settle on the same value', () => {
+    const count = new Signal(1);
+    const parity = computed(() => count.value % 2);
+    const seen = [];
+
+    syncEffect(() => seen.push(parity.value));
+    count.value = 3;
+    count.value = 4;
+
+    expect(seen).toEqual([1, 0]);
+  });
+
+  test('effects run once per batch', () => {
+    const a = new Signal(1);
+    const b = new Signal(1);
+    const sum = computed(() => a.value + b.value);
+    const seen = [];
+
+    syncEffect(() => seen.push(sum.value));
+    batch(() => {
+      a.value = 2;
+      b.value = 2;
+    });
+
+    expect(seen).toEqual([2, 4]);
+  });
+});
+
+describe('ComputedSignal subscribers', () => {
+  test('receive the recomputed value, not undefined', () => {
+    const count = new Signal(1);
+    const doubled = computed(() => count.value * 2);
+    const calls = [];
+
+    doubled.subscribe((newValue, oldValue) => calls.push([newValue, oldValue]));
+    count.value = 2;
+    count.value = 5;
+
+    expect(calls).toEqual([[4, 2], [10, 4]]);
+  });
+
+  test('are not called when the recomputed value is equal', () => {
+    const count = new Signal(1);
+    const parity = computed(() => count.value % 2);
+    const callback = jest.fn();
+
+    parity.subscribe(callback);
+    count.value = 3;
+    expect(callback).not.toHaveBeenCalled();
+
+    count.value = 4;
+    expect(callback).toHaveBeenCalledWith(0, 1);
+  });
+
+  test('are called once per batch', () => {
+    const count = new Signal(1);
+    const doubled = computed(() => count.value * 2);
+    const callback = jest.fn();
+
+    doubled.subscribe(callback);
+    batch(() => {
+      count.value = 2;
+      count.value = 3;
+    });
+
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(callback).toHaveBeenCalledWith(6, 2);
+  });
+
+  test('stop being called after unsubscribing', () => {
+    const count = new Signal(1);
+    const doubled = computed(() => count.value * 2);
+    const callback = jest.fn();
+
+    const unsubscribe = doubled.subscribe(callback);
+    unsubscribe();
+    count.value = 2;
+
+    expect(callback).not.toHaveBeenCalled();
+    expect(doubled.value).toBe(4);
+  });
+});
+
+describe('writable computed', () => {
+  test('assigning .value calls the setter', () => {
+    const first = new Signal('Ada');
+    const last = new Signal('Lovelace');
+    const full = computed({
+      get: () => `${first.value} ${last.value}`,
+      set: (value) => { [first.value, last.value] = value.split(' '); }
+    });
+
+    full.value = 'Grace Hopper';
+
+    expect(first.value).toBe('Grace');
+    expect(full.value).toBe('Grace Hopper');
+  });
+
+  test('a read-only computed warns and keeps its value', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const count = new Signal(1);
+    const doubled = computed(() => count.value * 2);
+
+    doubled.value = 10;
+
+    expect(doubled.value).toBe(2);
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
+
+describe('asyncComputed', () => {
+  const deferred = () => {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    return { promise, resolve, reject };
+  };
+
+  const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  test('tracks loading and the resolved value', async () => {
+    const request = deferred();
+    const result = asyncComputed(() => request.promise, []);
+
+    expect(result.loading).toBe(true);
+    expect(result.value).toEqual([]);
+
+    request.resolve(['a']);
+    await settle();
+
+    expect(result.loading).toBe(false);
+    expect(result.value).toEqual(['a']);
+  });
+
+  test('re-runs when a read made before the first await changes', async () => {
+    const state = reactive({ query: 'a' });
+    const getter = jest.fn(async () => state.query.toUpperCase());
+    const result = asyncComputed(getter);
+    await settle();
+
+    state.query = 'b';
+    batchScheduler.flushSync();
+    await settle();
+
+    expect(getter).toHaveBeenCalledTimes(2);
+    expect(result.value).toBe('B');
+  });
+
+  test('aborts and discards a superseded run', async () => {
+    const state = reactive({ query: 'slow' });
+    const requests = {};
+    const signals = [];
+    const result = asyncComputed((abortSignal) => {
+      signals.push(abortSignal);
+      requests[state.query] = deferred();
+      return requests[state.query].promise;
+    });
+
+    state.query = 'fast';
+    batchScheduler.flushSync();
+
+    expect(signals[0].aborted).toBe(true);
+    expect(signals[1].aborted).toBe(false);
+
+    requests.fast.resolve('fast result');
+    await settle();
+    requests.slow.resolve('slow result');
+    await settle();
+
+    expect(result.value).toBe('fast result');
+    expect(result.loading).toBe(false);
+  });
+
+  test('exposes errors and recovers on refresh()', async () => {
+    let attempt = 0;
+    const result = asyncComputed(async () => {
+      attempt++;
+      if (attempt === 1) throw new Error('offline');
+      return 'ok';
+    });
+    await settle();
+
+    expect(result.error.message).toBe('offline');
+
+    result.refresh();
+    await settle();
+
+    expect(result.error).toBeNull();
+    expect(result.value).toBe('ok');
+  });
+
+  test('aborts the pending run when its scope stops', () => {
+    const scope = effectScope();
+    let abortSignal = null;
+
+    scope.run(() => asyncComputed((signal) => {
+      abortSignal = signal;
+      return new Promise(() => {});
+    }));
+    scope.stop();
+
+    expect(abortSignal.aborted).toBe(true);
+  });
+});
@@ -0,0 +1,247 @@
+import { CspEvaluator } from '../src/lib/csp-evaluator.js';
+import { ExpressionEvaluator } from '../src/lib/event-binding.js';
+import { ComponentLoader } from '../src/lib/component-binding.js';
+import { EVALUATOR_MODE } from '../src/lib/constants.js';
+import { Logger } from '../src/lib/logger.js';
+
+const run = (expression, context = {}) => CspEvaluator.evaluate(expression, context);
+const exec = (statements, context) => CspEvaluator.compileStatements(statements)(context);
+
+describe('CspEvaluator template subset', () => {
+  test('member and optional access', () => {
+    const context = { user: { name: 'Ada', tags: ['a', 'b'] }, key: 'name', missing: null };
+
+    expect(run('user.name', context)).toBe('Ada');
+    expect(run('user[key]', context)).toBe('Ada');
+    expect(run('user.tags[1]', context)).toBe('b');
+    expect(run('missing?.name', context)).toBeUndefined();
+    expect(run('missing?.name.first', context)).toBeUndefined();
+    expect(run('missing?.[key]', context)).toBeUndefined();
+    expect(run('user.greet?.()', context)).toBeUndefined();
+    expect(run('missing ?? user.name', context)).toBe('Ada');
+  });
+
+  test('calls keep this', () => {
+    const context = {
+      counter: {
+        count: 2,
+        double() {
+          return this.count * 2;
+        }
+      },
+      list: [3, 1, 2]
+    };
+
+    expect(run('counter.double()', context)).toBe(4);
+    expect(run('counter["double"]()', context)).toBe(4);
+    expect(run('list.slice().sort()', context)).toEqual([1, 2, 3]);
+  });
+
+  test('arrow functions', () => {
+    const context = { items: [{ done: true, n: 1 }, { done: false, n: 2 }], offset: 10 };
+
+    expect(run('items.filter(item => !item.done).length', context)).toBe(1);
+    expect(run('items.map((item, i) => item.n + i + offset)', context)).toEqual([11, 13]);
+    expect(run('items.map(({ n }) => ({ n }))', context)).toEqual([{ n: 1 }, { n: 2 }]);
+    expect(run('((a = 1, ...rest) => a + rest.length)(undefined, 2, 3)', context)).toBe(3);
+    expect(run('(() => { const x = offset; return x * 2; })()', context)).toBe(20);
+  });
+
+  test('assignment operators', () => {
+    const context = { count: 5, user: { name: '' }, list: [] };
+
+    run('(count += 2, count *= 3, count -= 1, count /= 4)', context);
+    expect(context.count).toBe(5);
+
+    run('(count **= 2, count %= 7, count <<= 1)', context);
+    expect(context.count).toBe(8);
+
+    run('(user.name ||= "anon", user.nick ??= user.name, list[0] = user.nick)', context);
+    expect(context.user).toEqual({ name: 'anon', nick: 'anon' });
+    expect(context.list).toEqual(['anon']);
+
+    run('user.name &&= user.name.toUpperCase()', context);
+    expect(context.user.name).toBe('ANON');
+  });
+
+  test('increment and decrement', () => {
+    const context = { count: 1, stats: { clicks: 0 } };
+
+    expect(run('count++', context)).toBe(1);
+    expect(run('++count', context)).toBe(3);
+    expect(run('count--', context)).toBe(3);
+    expect(run('--count', context)).toBe(1);
+
+    run('(stats.clicks++, stats["clicks"]++)', context);
+    expect(context.stats.clicks).toBe(2);
+  });
+
+  test('function bodies', () => {
+    const context = { items: [1, 2, 3, 4] };
+    const body = `(() => {
+      let total = 0;
+      for (const n of items) {
+        if (n === 2) continue;
+        if (n > 3) break;
+        total += n;
+      }
+      for (let i = 0; i < 2; i++) total *= 2;
+      while (total > 10) total -= 10;
+      try {
+        throw new Error('x');
+      } catch ({ message }) {
+        return \`\${total}\${message}\`;
+      } finally {
+        items.length = 0;
+      }
+    })()`;
+
+    expect(run(body, context)).toBe('6x');
+    expect(context.items).toEqual([]);
+  });
+
+  test('statement lists', () => {
+    const context = { count: 1, user: { name: '' } };
+
+    exec('count++; user.name ||= "anon"', context);
+    expect(context).toEqual({ count: 2, user: { name: 'anon' } });
+
+    expect(exec('if (count > 1) return count * 10; return 0', context)).toBe(20);
+    expect(exec('save()', { save: () => 'ignored' })).toBeUndefined();
+  });
+
+  test('closures in a for loop see their own binding', () => {
+    expect(run('(() => { const fns = []; for (let i = 0; i < 3; i++) fns.push(() => i); return fns.map(f => f()); })()'))
+      .toEqual([0, 1, 2]);
+  });
+
+  test('template literals', () => {
+    const context = { user: { name: 'Ada' }, count: 3 };
+
+    expect(run('`Hello ${user.name}!`', context)).toBe('Hello Ada!');
+    expect(run('`${count} item${count === 1 ? "" : "s"}`', context)).toBe('3 items');
+    expect(run('`a\\nb`', context)).toBe('a\nb');
+    expect(run('`outer ${`inner ${count}`}`', context)).toBe('outer inner 3');
+  });
+
+  test('spread', () => {
+    const context = { list: [1, 2], extra: { b: 2 }, max: Math.max };
+
+    expect(run('[0, ...list, 3]', context)).toEqual([0, 1, 2, 3]);
+    expect(run('({ a: 1, ...extra })', context)).toEqual({ a: 1, b: 2 });
+    expect(run('max(...list)', context)).toBe(2);
+    expect(run('[..."ab"]', context)).toEqual(['a', 'b']);
+  });
+
+  test('unknown names throw ReferenceError, globals resolve', () => {
+    expect(() => run('nope + 1')).toThrow(ReferenceError);
+    expect(run('typeof nope')).toBe('undefined');
+    expect(run('Math.max(1, 2)')).toBe(2);
+  });
+});
+
+describe('CspEvaluator unsupported syntax', () => {
+  const unsupportedCases = [
+    'async () => 1',
+    'function* () {}',
+    'class {}',
+    'tag`x`',
+    'new.target',
+    '/ab+c/.test(name)',
+    '({ get total() { return 1; } })',
+    '() => { label: for (;;) {} }',
+    '() => { for (const key in object) {} }',
+    '() => { switch (x) {} }',
+    '[a, b] = [b, a]'
+  ];
+
+  test.each(unsupportedCases)('%s is reported as unsupported', (source) => {
+    let error = null;
+
+    try {
+      CspEvaluator.parse(source);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(SyntaxError);
+    expect(error.unsupported).toBe(true);
+    expect(error.message).toMatch('not supported by the CSP-safe evaluator');
+    expect(typeof error.position).toBe('number');
+  });
+
+  test.each([
+    'label: for (;;) {}',
+    'for await (const x of y) {}',
+    'do { n++ } while (n < 3)'
+  ])('statements: %s is reported as unsupported', (source) => {
+    let error = null;
+
+    try {
+      CspEvaluator.parseStatements(source);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(SyntaxError);
+    expect(error.unsupported).toBe(true);
+    expect(error.message).toMatch('not supported by the CSP-safe evaluator');
+    expect(typeof error.position).toBe('number');
+  });
+
+  test('invalid JavaScript is a plain syntax error', () => {
+    let error = null;
+
+    try {
+      CspEvaluator.parse('a +');
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(SyntaxError);
+    expect(error.unsupported).toBeUndefined();
+  });
+});
+
+describe('CSP mode', () => {
+  beforeEach(() => ExpressionEvaluator.setMode(EVALUATOR_MODE.CSP));
+  afterEach(() => ExpressionEvaluator.setMode(EVALUATOR_MODE.FUNCTION));
+
+  test('component definitions are interpreted', () => {
+    const definition = ComponentLoader._parseExport(`
+      export default {
+        props: ['title'],
+        data() {
+          return { count: 0, items: [] };
+        },
+        methods: {
+          increment() {
+            this.count++;
+          },
+          label: (n) => \`\${n} clicks\`
+        }
+      };
+    `);
+
+    expect(definition.props).toEqual(['title']);
+    expect(definition.data()).toEqual({ count: 0, items: [] });
+
+    const instance = { count: 1 };
+    definition.methods.increment.call(instance);
+    expect(instance.count).toBe(2);
+    expect(definition.methods.label(3)).toBe('3 clicks');
+  });
+
+  test('component definitions with unsupported syntax fail', () => {
+    const logged = [];
+    Logger.setSink(entry => logged.push(entry));
+
+    try {
+      expect(() => ComponentLoader._parseExport('export default { async load() {} }'))
+        .toThrow('async method is not supported by the CSP-safe evaluator');
+      expect(logged.map(entry => entry.level)).toContain('error');
+    } finally {
+      Logger.setSink(null);
+    }
+  });
+});
@@ -0,0 +1,76 @@
+import { reactive } from '../src/lib/reactive.js';
+import { EffectTracker } from '../src/lib/effect.js';
+import { effectScope, getCurrentScope, onScopeDispose } from '../src/lib/effect-scope.js';
+import { computed } from '../src/lib/computed-signal.js';
+import { batchScheduler } from '../src/lib/batch-effect.js';
+
+describe('effectScope', () => {
+  test('stop() stops every effect created inside run()', () => {
+    const model = reactive({ count: 0 });
+    const seen = [];
+    const scope = effectScope();
+
+    scope.run(() => {
+      EffectTracker.create(() => seen.push(model.count));
+    });
+
+    model.count = 1;
+    batchScheduler.flushSync();
+    scope.stop();
+    model.count = 2;
+    batchScheduler.flushSync();
+
+    expect(seen).toEqual([0, 1]);
+  });
+
+  test('stops nested scopes but not detached ones', () => {
+    const model = reactive({ count: 0 });
+    const nested = [];
+    const detached = [];
+    const scope = effectScope();
+
+    scope.run(() => {
+      effectScope().run(() => EffectTracker.create(() => nested.push(model.count)));
+      effectScope(true).run(() => EffectTracker.create(() => detached.push(model.count)));
+    });
+
+    scope.stop();
+    model.count = 1;
+    batchScheduler.flushSync();
+
+    expect(nested).toEqual([0]);
+    expect(detached).toEqual([0, 1]);
+  });
+
+  test('runs onScopeDispose callbacks once on stop', () => {
+    const disposed = jest.fn();
+    const scope = effectScope();
+
+    scope.run(() => {
+      expect(getCurrentScope()).toBe(scope);
+      onScopeDispose(disposed);
+    });
+
+    scope.stop();
+    scope.stop();
+
+    expect(disposed).toHaveBeenCalledTimes(1);
+    expect(getCurrentScope()).toBeFalsy();
+  });
+
+  test('stops computeds created inside the scope', () => {
+    const model = reactive({ count: 1 });
+    let evaluations = 0;
+    const scope = effectScope();
+    const doubled = scope.run(() => computed(() => {
+      evaluations++;
+      return model.count * 2;
+    }));
+
+    expect(doubled.value).toBe(2);
+    scope.stop();
+    model.count = 2;
+
+    expect(evaluations).toBe(1);
+  });
+});
@@ -0,0 +1,116 @@
+import Signal from '../src/lib/signal.js';
+import { Effect } from '../src/lib/effect.js';
+import { computed } from '../src/lib/computed-signal.js';
+import { reactive } from '../src/lib/reactive.js';
+import { shallowEqual, deepEqual, resolveEquals } from '../src/lib/equality.js';
+
+const syncEffect = fn => new Effect(fn, { flush: 'sync' });
+
+describe('shallowEqual', () => {
+  test('compares own keys, entries and members one level deep', () => {
+    const item = { id: 1 };
+
+    expect(shallowEqual({ a: 1, b: item }, { a: 1, b: item })).toBe(true);
+    expect(shallowEqual({ a: 1, b: { id: 1 } }, { a: 1, b: { id: 1 } })).toBe(false);
+    expect(shallowEqual([1, item], [1, item])).toBe(true);
+    expect(shallowEqual(new Map([['a', 1]]), new Map([['a', 1]]))).toBe(true);
+    expect(shallowEqual(new Set([1, 2]), new Set([2, 1]))).toBe(true);
+    expect(shallowEqual([1], { 0: 1 })).toBe(false);
+  });
+
+  test('sees through reactive proxies', () => {
+    const state = reactive({ items: [1, 2] });
+
+    expect(shallowEqual(state.items, [1, 2])).toBe(true);
+  });
+});
+
+describe('deepEqual', () => {
+  test('compares nested structures, dates and cycles', () => {
+    const a = { list: [{ when: new Date(0) }], tags: new Set(['x']) };
+    const b = { list: [{ when: new Date(0) }], tags: new Set(['x']) };
+    a.self = a;
+    b.self = b;
+
+    expect(deepEqual(a, b)).toBe(true);
+
+    b.list[0].when = new Date(1);
+    expect(deepEqual(a, b)).toBe(false);
+  });
+
+  test('treats NaN as equal to itself', () => {
+    expect(deepEqual({ n: NaN }, { n: NaN })).toBe(true);
+  });
+});
+
+describe('resolveEquals', () => {
+  test('maps options to comparators', () => {
+    const custom = () => true;
+
+    expect(resolveEquals()).toBe(Object.is);
+    expect(resolveEquals('shallow')).toBe(shallowEqual);
+    expect(resolveEquals('deep')).toBe(deepEqual);
+    expect(resolveEquals(custom)).toBe(custom);
+    expect(resolveEquals(false)(1, 1)).toBe(false);
+    expect(() => resolveEquals('loose')).toThrow('Unknown equals option: "loose"');
+  });
+});
+
+describe('equals option', () => {
+  test('a signal skips writes its comparator calls equal', () => {
+    const config = new Signal({ theme: 'dark' }, { equals: 'deep' });
+    const seen = [];
+
+    syncEffect(() => seen.push(config.value.theme));
+    config.value = { theme: 'dark' };
+    config.value = { theme: 'light' };
+
+    expect(seen).toEqual(['dark', 'light']);
+  });
+
+  test('the default keeps NaN writes quiet', () => {
+    const value = new Signal(NaN);
+    const seen = [];
+
+    syncEffect(() => seen.push(value.value));
+    value.value = NaN;
+
+    expect(seen).toHaveLength(1);
+  });
+
+  test('equals: false notifies on every write', () => {
+    const tick = new Signal(1, { equals: false });
+    const seen = [];
+
+    syncEffect(() => seen.push(tick.value));
+    tick.value = 1;
+
+    expect(seen).toEqual([1, 1]);
+  });
+
+  test('a computed with shallow equals does not re-run effects for a copy', () => {
+    const todos = new Signal([{ done: false }, { done: true }]);
+    const open = computed(() => todos.value.filter(t => !t.done), null, { equals: 'shallow' });
+    const seen = [];
+
+    syncEffect(() => seen.push(open.value.length));
+    todos.value = [...todos.value];
+    todos.value = [{ done: false }];
+
+    expect(seen).toEqual([1, 1]);
+    expect(open.value).toEqual([{ done: false }]);
+  });
+
+  test('computed({ get, equals }) passes the comparator on', () => {
+    const source = new Signal({ a: 1 });
+    const copy = computed({ get: () => ({ ...source.value }), equals: 'deep' });
+    const callback = jest.fn();
+
+    copy.subscribe(callback);
+    source.value = { a: 1 };
+    expect(callback).not.toHaveBeenCalled();
+
+    source.value = { a: 2 };
+    expect(callback).toHaveBeenCalledWith({ a: 2 }, { a: 1 });
+  });
+});
@@ -0,0 +1,69 @@
+import { EventBinding, ExpressionEvaluator } from '../src/lib/event-binding.js';
+import { EVALUATOR_MODE } from '../src/lib/constants.js';
+
+describe.each([EVALUATOR_MODE.FUNCTION, EVALUATOR_MODE.CSP])('ExpressionEvaluator in %s mode', (mode) => {
+  beforeEach(() => ExpressionEvaluator.setMode(mode));
+  afterEach(() => {
+    ExpressionEvaluator.setMode(EVALUATOR_MODE.FUNCTION);
+    delete globalThis.leaked;
+  });
+
+  test('assignments go to the innermost context owning the name', () => {
+    const model = { count: 1 };
+    const item = { label: 'a' };
+
+    ExpressionEvaluator.execute('count = count + 1; label = "b"', [model, item]);
+
+    expect(model).toEqual({ count: 2 });
+    expect(item).toEqual({ label: 'b' });
+  });
+
+  test('assigning an unknown name creates it on the base context', () => {
+    const model = {};
+    const item = {};
+
+    ExpressionEvaluator.execute('leaked = 5', [model, item]);
+
+    expect(model.leaked).toBe(5);
+    expect(item).toEqual({});
+    expect('leaked' in globalThis).toBe(false);
+  });
+
+  test('unknown names read as undefined, globals still resolve', () => {
+    expect(ExpressionEvaluator.execute('return typeof missing', [{}])).toBe('undefined');
+    expect(ExpressionEvaluator.execute('return missing', [{}])).toBeUndefined();
+    expect(ExpressionEvaluator.evaluate('Math.max(a, 2)', [{ a: 3 }])).toBe(3);
+    expect(ExpressionEvaluator.evaluate('JSON.stringify([1])', [{}])).toBe('[1]');
+  });
+
+  test('handler forms', () => {
+    const run = (handler, context) => ExpressionEvaluator.execute(EventBinding.toStatements(handler), [context, { $event: 'click' }]);
+    const form = {
+      sent: [],
+      submit(event) {
+        this.sent.push(event);
+      }
+    };
+    const model = { form, count: 0, picked: null };
+
+    run('form.submit', model);
+    run('e => picked = e', model);
+    run('count++; count += 2', model);
+
+    expect(form.sent).toEqual(['click']);
+    expect(model.picked).toBe('click');
+    expect(model.count).toBe(3);
+  });
+
+  test('a path that is not a function is not called', () => {
+    const model = { open: false, item: { done: true } };
+    const statements = EventBinding.toStatements('open');
+
+    expect(() => ExpressionEvaluator.execute(statements, [model])).not.toThrow();
+    expect(() => ExpressionEvaluator.execute(EventBinding.toStatements('item.done'), [model])).not.toThrow();
+
+    model.open = jest.fn();
+    ExpressionEvaluator.execute(statements, [model, { $event: 'click' }]);
+    expect(model.open).toHaveBeenCalledWith('click');
+  });
+});
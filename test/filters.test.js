@@ -0,0 +1,102 @@
+import { FilterRegistry, registerFilter } from '../src/lib/filters.js';
+import { ExpressionEvaluator } from '../src/lib/event-binding.js';
+import { EVALUATOR_MODE } from '../src/lib/constants.js';
+
+describe('FilterRegistry.split', () => {
+  test('splits a pipeline into the expression and its filters', () => {
+    expect(FilterRegistry.split("price | currency('EUR') | uppercase")).toEqual({
+      expression: 'price ',
+      filters: [{ name: 'currency', args: "'EUR'" }, { name: 'uppercase', args: null }]
+    });
+  });
+
+  test('a | without a registered filter after it is bitwise OR', () => {
+    expect(FilterRegistry.split('flags | 2')).toEqual({ expression: 'flags | 2', filters: [] });
+    expect(FilterRegistry.split('a | b | uppercase')).toEqual({
+      expression: 'a | b ',
+      filters: [{ name: 'uppercase', args: null }]
+    });
+    expect(FilterRegistry.split('a | uppercase | b')).toEqual({ expression: 'a | uppercase | b', filters: [] });
+  });
+
+  test('ignores ||, |= and pipes in strings or brackets', () => {
+    expect(FilterRegistry.split('a || b').filters).toEqual([]);
+    expect(FilterRegistry.split('a |= b').filters).toEqual([]);
+    expect(FilterRegistry.split("'x | uppercase'").filters).toEqual([]);
+    expect(FilterRegistry.split('fn(a | uppercase)').filters).toEqual([]);
+  });
+});
+
+describe('built-in filters', () => {
+  const filter = name => FilterRegistry.get(name);
+
+  beforeEach(() => {
+    FilterRegistry.locale = 'en-US';
+  });
+  afterEach(() => {
+    FilterRegistry.locale = undefined;
+  });
+
+  test('number and currency', () => {
+    expect(filter('number')(1234.5)).toBe('1,234.5');
+    expect(filter('number')(1234.5, 2)).toBe('1,234.50');
+    expect(filter('number')(0.25, { style: 'percent' })).toBe('25%');
+    expect(filter('currency')(9.5, 'EUR')).toBe('€9.50');
+    expect(filter('currency')(9.5, 'EUR', 'de-DE')).toBe('9,50 €');
+  });
+
+  test('date', () => {
+    const date = new Date(2024, 0, 31);
+
+    expect(filter('date')(date, 'short')).toBe('1/31/24');
+    expect(filter('date')(date, { month: 'long' })).toBe('January');
+    expect(filter('date')('not a date')).toBe('');
+  });
+
+  test('text filters', () => {
+    expect(filter('uppercase')('straße')).toBe('STRASSE');
+    expect(filter('lowercase')('ADA')).toBe('ada');
+    expect(filter('truncate')('Hello world', 5)).toBe('Hello…');
+    expect(filter('truncate')('Hi', 5)).toBe('Hi');
+    expect(filter('truncate')('👍🏽👍🏽👍🏽', 2, '')).toBe('👍🏽👍🏽');
+    expect(filter('json')({ a: 1 }, 0)).toBe('{"a":1}');
+  });
+
+  test('null, undefined and empty render as empty strings', () => {
+    ['number', 'currency', 'date', 'uppercase', 'lowercase', 'truncate'].forEach(name => {
+      expect(filter(name)(null)).toBe('');
+      expect(filter(name)(undefined)).toBe('');
+    });
+  });
+});
+
+describe('registerFilter', () => {
+  test('rejects invalid names and non-functions', () => {
+    expect(() => registerFilter('my-filter', v => v)).toThrow('Invalid filter name: "my-filter"');
+    expect(() => registerFilter('shout', 'upper')).toThrow('Filter "shout" must be a function');
+  });
+});
+
+describe.each([EVALUATOR_MODE.FUNCTION, EVALUATOR_MODE.CSP])('pipes in %s mode', (mode) => {
+  beforeEach(() => ExpressionEvaluator.setMode(mode));
+  afterEach(() => ExpressionEvaluator.setMode(EVALUATOR_MODE.FUNCTION));
+
+  test('filters apply left to right with evaluated arguments', () => {
+    registerFilter('suffix', (value, text) => `${value}${text}`);
+    const context = { name: 'ada', mark: '!' };
+
+    expect(ExpressionEvaluator.evaluate('name | uppercase | suffix(mark)', [context])).toBe('ADA!');
+  });
+
+  test('registering a filter recompiles expressions that mention it', () => {
+    const context = { flags: 1, double: 2 };
+
+    expect(ExpressionEvaluator.evaluate('flags | double', [context])).toBe(3);
+
+    registerFilter('double', value => value * 2);
+    expect(ExpressionEvaluator.evaluate('flags | double', [context])).toBe(2);
+
+    FilterRegistry.filters.delete('double');
+    FilterRegistry.version++;
+  });
+});
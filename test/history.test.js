@@ -0,0 +1,103 @@
+import { reactive } from '../src/lib/reactive.js';
+import { batch } from '../src/lib/batch-effect.js';
+import { createHistory } from '../src/lib/history.js';
+
+describe('createHistory', () => {
+  let history;
+
+  afterEach(() => {
+    history.dispose();
+  });
+
+  test('undoes and redoes property writes', () => {
+    const doc = reactive({ title: 'a' });
+    history = createHistory(doc);
+
+    doc.title = 'b';
+    doc.title = 'c';
+
+    history.undo();
+    expect(doc.title).toBe('b');
+    history.undo();
+    expect(doc.title).toBe('a');
+    expect(history.undo()).toBe(false);
+
+    history.redo();
+    expect(doc.title).toBe('b');
+  });
+
+  test('groups a batch into one step', () => {
+    const doc = reactive({ title: '', blocks: [] });
+    history = createHistory(doc);
+
+    batch(() => {
+      doc.title = 'Draft';
+      doc.blocks.push({ text: 'Hello' });
+    });
+
+    history.undo();
+    expect(doc.title).toBe('');
+    expect(doc.blocks).toHaveLength(0);
+
+    history.redo();
+    expect(doc.title).toBe('Draft');
+    expect(doc.blocks[0].text).toBe('Hello');
+  });
+
+  test('reverts added and deleted properties and nested writes', () => {
+    const doc = reactive({ meta: { tags: 1 } });
+    history = createHistory(doc);
+
+    doc.meta.author = 'x';
+    delete doc.meta.tags;
+
+    history.undo();
+    history.undo();
+    expect(doc.meta).toEqual({ tags: 1 });
+  });
+
+  test('reverts Map and Set methods', () => {
+    const doc = reactive({ prices: new Map([['a', 1]]), tags: new Set(['x']) });
+    history = createHistory(doc);
+
+    doc.prices.set('a', 2);
+    doc.prices.set('b', 3);
+    doc.tags.add('y');
+    doc.tags.clear();
+
+    while (history.undo());
+
+    expect(Array.from(doc.prices)).toEqual([['a', 1]]);
+    expect(Array.from(doc.tags)).toEqual(['x']);
+  });
+
+  test('ignores other models and mutations made while applying', () => {
+    const doc = reactive({ count: 0 });
+    const other = reactive({ count: 0 });
+    history = createHistory(doc);
+
+    other.count = 1;
+    doc.count = 1;
+    history.undo();
+
+    expect(history.undoStack).toHaveLength(0);
+    expect(history.redoStack).toHaveLength(1);
+  });
+
+  test('a new mutation clears redo and limit caps the steps', () => {
+    const doc = reactive({ count: 0 });
+    history = createHistory(doc, { limit: 2 });
+
+    doc.count = 1;
+    doc.count = 2;
+    doc.count = 3;
+    expect(history.undoStack).toHaveLength(2);
+
+    history.undo();
+    expect(history.canRedo.value).toBe(true);
+
+    doc.count = 10;
+    expect(history.canRedo.value).toBe(false);
+    expect(history.canUndo.value).toBe(true);
+  });
+});
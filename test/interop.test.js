@@ -0,0 +1,286 @@
+import {
+  fromObservable, toObservable, fromAsyncIterable, fromPromise, fromSignalProposal, toSignalProposal
+} from '../src/lib/interop.js';
+import { effectScope } from '../src/lib/effect-scope.js';
+import { nextTick } from '../src/lib/batch-effect.js';
+import Signal from '../src/lib/signal.js';
+
+class Subject {
+  constructor() {
+    this.observers = new Set();
+  }
+
+  subscribe(observer) {
+    this.observers.add(observer);
+    return { unsubscribe: () => this.observers.delete(observer) };
+  }
+
+  next(value) {
+    this.observers.forEach(observer => observer.next(value));
+  }
+
+  error(error) {
+    this.observers.forEach(observer => observer.error(error));
+  }
+}
+
+// Just enough of the TC39 proposal API: State, and a Watcher that is
+// notified once per watch() of a changed state
+const createProposal = () => {
+  class State {
+    constructor(value) {
+      this.value = value;
+      this.watchers = new Set();
+    }
+
+    get() {
+      return this.value;
+    }
+
+    set(value) {
+      this.value = value;
+      [...this.watchers].forEach(watcher => watcher.dirty(this));
+    }
+  }
+
+  class Watcher {
+    constructor(notify) {
+      this.notify = notify;
+      this.states = new Set();
+      this.armed = false;
+    }
+
+    watch(...states) {
+      states.forEach(state => {
+        this.states.add(state);
+        state.watchers.add(this);
+      });
+      this.armed = true;
+    }
+
+    unwatch(...states) {
+      states.forEach(state => {
+        this.states.delete(state);
+        state.watchers.delete(this);
+      });
+    }
+
+    dirty() {
+      if (this.armed) {
+        this.armed = false;
+        this.notify();
+      }
+    }
+  }
+
+  return { State, subtle: { Watcher } };
+};
+
+const flushMicrotasks = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('fromObservable', () => {
+  test('holds the latest value and unsubscribes on stop', () => {
+    const subject = new Subject();
+    const price = fromObservable(subject, 0);
+
+    expect(price.value).toBe(0);
+    subject.next(5);
+    expect(price.value).toBe(5);
+
+    price.stop();
+    expect(subject.observers.size).toBe(0);
+    subject.next(6);
+    expect(price.value).toBe(5);
+  });
+
+  test('accepts an unsubscribe function as the subscription', () => {
+    const unsubscribe = jest.fn();
+    const value = fromObservable({ subscribe: () => unsubscribe }, null);
+
+    value.stop();
+    expect(unsubscribe).toHaveBeenCalledTimes(1);
+  });
+
+  test('errors go to onError', () => {
+    const subject = new Subject();
+    const onError = jest.fn();
+    fromObservable(subject, 0, { onError });
+
+    subject.error(new Error('offline'));
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'offline' }));
+  });
+
+  test('ends with the active effect scope', () => {
+    const subject = new Subject();
+    const scope = effectScope();
+
+    scope.run(() => fromObservable(subject, 0));
+    expect(subject.observers.size).toBe(1);
+
+    scope.stop();
+    expect(subject.observers.size).toBe(0);
+  });
+
+  test('rejects a non-observable', () => {
+    expect(() => fromObservable({}, 0)).toThrow('fromObservable() expects an object with a subscribe() method');
+  });
+});
+
+describe('toObservable', () => {
+  test('emits the current value, then each change until unsubscribed', async () => {
+    const count = new Signal(1);
+    const next = jest.fn();
+    const subscription = toObservable(count).subscribe(next);
+
+    expect(next).toHaveBeenCalledWith(1);
+
+    count.value = 2;
+    await nextTick();
+    expect(next).toHaveBeenLastCalledWith(2);
+
+    subscription.unsubscribe();
+    expect(subscription.closed).toBe(true);
+    count.value = 3;
+    await nextTick();
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+
+  test('outlives the scope it was subscribed in', async () => {
+    const count = new Signal(1);
+    const next = jest.fn();
+    const scope = effectScope();
+
+    const subscription = scope.run(() => toObservable(() => count.value * 2).subscribe({ next }));
+    scope.stop();
+
+    count.value = 2;
+    await nextTick();
+    expect(next).toHaveBeenLastCalledWith(4);
+    subscription.unsubscribe();
+  });
+
+  test('is its own Symbol.observable', () => {
+    const observable = toObservable(new Signal(0));
+    const key = Symbol.observable || '@@observable';
+
+    expect(observable[key]()).toBe(observable);
+  });
+});
+
+describe('fromAsyncIterable', () => {
+  test('holds the latest item and returns the iterator on stop', async () => {
+    let release;
+    const finished = jest.fn();
+    async function* messages() {
+      try {
+        yield 'a';
+        yield 'b';
+        await new Promise(resolve => { release = resolve; });
+        yield 'c';
+      } finally {
+        finished();
+      }
+    }
+
+    const latest = fromAsyncIterable(messages(), null);
+    expect(latest.value).toBe(null);
+
+    await flushMicrotasks();
+    expect(latest.value).toBe('b');
+
+    latest.stop();
+    release();
+    await flushMicrotasks();
+    expect(latest.value).toBe('b');
+    expect(finished).toHaveBeenCalled();
+  });
+
+  test('errors go to onError', async () => {
+    const onError = jest.fn();
+    async function* failing() {
+      yield 1;
+      throw new Error('closed');
+    }
+
+    const latest = fromAsyncIterable(failing(), 0, { onError });
+    await flushMicrotasks();
+
+    expect(latest.value).toBe(1);
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'closed' }));
+  });
+
+  test('rejects a non-iterable', () => {
+    expect(() => fromAsyncIterable([1], 0)).toThrow('fromAsyncIterable() expects an async iterable');
+  });
+});
+
+describe('fromPromise', () => {
+  test('holds the result once resolved', async () => {
+    const user = fromPromise(Promise.resolve({ name: 'Ada' }), null);
+
+    expect(user.value).toBe(null);
+    await flushMicrotasks();
+    expect(user.value).toEqual({ name: 'Ada' });
+  });
+
+  test('keeps the initial value on rejection and reports it', async () => {
+    const onError = jest.fn();
+    const user = fromPromise(Promise.reject(new Error('401')), null, { onError });
+
+    await flushMicrotasks();
+    expect(user.value).toBe(null);
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: '401' }));
+  });
+
+  test('ignores a result that arrives after stop', async () => {
+    const user = fromPromise(Promise.resolve('late'), 'initial');
+
+    user.stop();
+    await flushMicrotasks();
+    expect(user.value).toBe('initial');
+  });
+});
+
+describe('TC39 signal proposal', () => {
+  test('fromSignalProposal mirrors each change of the external signal', async () => {
+    const namespace = createProposal();
+    const external = new namespace.State(1);
+    const mirror = fromSignalProposal(external, { namespace });
+
+    expect(mirror.value).toBe(1);
+
+    external.set(2);
+    await flushMicrotasks();
+    expect(mirror.value).toBe(2);
+
+    external.set(3);
+    await flushMicrotasks();
+    expect(mirror.value).toBe(3);
+
+    mirror.stop();
+    external.set(4);
+    await flushMicrotasks();
+    expect(mirror.value).toBe(3);
+  });
+
+  test('toSignalProposal mirrors a signal into a State', () => {
+    const namespace = createProposal();
+    const count = new Signal(1);
+    const state = toSignalProposal(count, { namespace });
+
+    expect(state.get()).toBe(1);
+    count.value = 2;
+    expect(state.get()).toBe(2);
+
+    state.stop();
+    count.value = 3;
+    expect(state.get()).toBe(2);
+  });
+
+  test('both need the proposal namespace', () => {
+    expect(() => fromSignalProposal({ get: () => 1 }, { namespace: {} }))
+      .toThrow('fromSignalProposal() needs the Signal namespace');
+    expect(() => toSignalProposal(new Signal(1), { namespace: {} }))
+      .toThrow('toSignalProposal() needs the Signal namespace');
+  });
+});
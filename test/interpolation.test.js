@@ -0,0 +1,109 @@
+import { reactive, ReactiveHTMLParser, createBindings, batchScheduler } from '../src/lib/reactive-html.js';
+import { Interpolation } from '../src/lib/interpolation.js';
+
+const mount = (html, state) => {
+  const root = document.createElement('div');
+  root.setAttribute('data-model', 'state');
+  root.innerHTML = html;
+  createBindings(new ReactiveHTMLParser().parse(root), reactive({ state }));
+  return root;
+};
+
+describe('Interpolation.parse', () => {
+  test('splits strings and expressions', () => {
+    expect(Interpolation.parse('Total: {{ total }} EUR')).toEqual(['Total: ', { expression: 'total' }, ' EUR']);
+    expect(Interpolation.parse('{{a}}{{ b }}')).toEqual([{ expression: 'a' }, { expression: 'b' }]);
+  });
+
+  test('returns null without braces', () => {
+    expect(Interpolation.parse('plain text')).toBeNull();
+    expect(Interpolation.parse('')).toBeNull();
+  });
+
+  test('escaped, unclosed and empty braces stay literal', () => {
+    expect(Interpolation.parse('\\{{ raw }}')).toEqual(['{{ raw }}']);
+    expect(Interpolation.parse('a {{ b')).toEqual(['a {{ b']);
+    expect(Interpolation.parse('a {{ }} b')).toEqual(['a {{ }} b']);
+    expect(Interpolation.isStatic(Interpolation.parse('\\{{ raw }}'))).toBe(true);
+  });
+
+  test('quotes and object literals inside an expression', () => {
+    expect(Interpolation.parse("{{ '}}' }}")).toEqual([{ expression: "'}}'" }]);
+    expect(Interpolation.parse('{{ {a: 1}}}')).toEqual([{ expression: '{a: 1}' }]);
+  });
+});
+
+describe('Interpolation.render', () => {
+  test('renders values like :text', () => {
+    const values = { a: null, b: undefined, c: { x: 1 }, d: 0 };
+    const parts = Interpolation.parse('{{ a }}|{{ b }}|{{ c }}|{{ d }}');
+
+    expect(Interpolation.render(parts, expression => values[expression])).toBe('||{"x":1}|0');
+  });
+
+  test('circular objects fall back to String()', () => {
+    const value = {};
+    value.self = value;
+
+    expect(Interpolation.toDisplayString(value)).toBe('[object Object]');
+  });
+});
+
+describe('{{ }} bindings', () => {
+  test('text nodes follow the model', () => {
+    const state = reactive({ user: { name: 'Ada' }, count: 2 });
+    const root = mount('<p>Hello {{ user.name }}, {{ count }} messages</p>', state);
+    const p = root.querySelector('p');
+
+    expect(p.textContent).toBe('Hello Ada, 2 messages');
+
+    state.count = 3;
+    batchScheduler.flushSync();
+    expect(p.textContent).toBe('Hello Ada, 3 messages');
+  });
+
+  test('only the text node is touched, not its siblings', () => {
+    const state = reactive({ count: 1 });
+    const root = mount('<p>{{ count }} <b>items</b></p>', state);
+    const bold = root.querySelector('b');
+
+    state.count = 2;
+    batchScheduler.flushSync();
+    expect(root.querySelector('p').innerHTML).toBe('2 <b>items</b>');
+    expect(root.querySelector('b')).toBe(bold);
+  });
+
+  test('attribute values follow the model', () => {
+    const state = reactive({ size: 'small' });
+    const root = mount('<div class="card {{ size }}"></div>', state);
+    const card = root.querySelector('div');
+
+    expect(card.getAttribute('class')).toBe('card small');
+
+    state.size = 'large';
+    batchScheduler.flushSync();
+    expect(card.getAttribute('class')).toBe('card large');
+  });
+
+  test('a single-expression attribute is removed while null or false', () => {
+    const state = reactive({ title: 'Hi' });
+    const root = mount('<span title="{{ title }}"></span>', state);
+    const span = root.querySelector('span');
+
+    expect(span.getAttribute('title')).toBe('Hi');
+
+    state.title = false;
+    batchScheduler.flushSync();
+    expect(span.hasAttribute('title')).toBe(false);
+
+    state.title = 'Back';
+    batchScheduler.flushSync();
+    expect(span.getAttribute('title')).toBe('Back');
+  });
+
+  test('escaped braces are written once and never evaluated', () => {
+    const root = mount('<code>\\{{ not evaluated }}</code>', reactive({}));
+
+    expect(root.querySelector('code').textContent).toBe('{{ not evaluated }}');
+  });
+});
@@ -0,0 +1,157 @@
+import { reactive, readonly } from '../src/lib/reactive.js';
+import { observePatches, applyPatch, toPointer, parsePointer } from '../src/lib/json-patch.js';
+import { batch } from '../src/lib/batch-effect.js';
+
+const record = model => {
+  const patches = [];
+  observePatches(model, ops => patches.push(...ops));
+  return patches;
+};
+
+describe('JSON Pointer', () => {
+  test('escapes ~ and / in keys', () => {
+    expect(toPointer(['a/b', 'c~d', 0])).toBe('/a~1b/c~0d/0');
+    expect(parsePointer('/a~1b/c~0d/0')).toEqual(['a/b', 'c~d', '0']);
+  });
+});
+
+describe('observePatches', () => {
+  test('emits add, replace and remove for object writes', () => {
+    const model = reactive({ user: { name: 'a' } });
+    const patches = record(model);
+
+    model.user.name = 'b';
+    model.user.age = 3;
+    delete model.user.name;
+
+    expect(patches).toEqual([
+      { op: 'replace', path: '/user/name', value: 'b' },
+      { op: 'add', path: '/user/age', value: 3 },
+      { op: 'remove', path: '/user/name' }
+    ]);
+  });
+
+  test('ignores mutations of other models and stops on unsubscribe', () => {
+    const model = reactive({ count: 0 });
+    const other = reactive({ count: 0 });
+    const patches = [];
+    const stop = observePatches(model, ops => patches.push(...ops));
+
+    other.count = 1;
+    model.count = 1;
+    stop();
+    model.count = 2;
+
+    expect(patches).toEqual([{ op: 'replace', path: '/count', value: 1 }]);
+  });
+
+  test('round-trips array methods, Maps and Sets onto a copy', () => {
+    const initial = () => ({ list: [1, 2, 3], prices: new Map([['a', 1]]), tags: new Set(['x']) });
+    const model = reactive(initial());
+    const copy = reactive(initial());
+    observePatches(model, ops => applyPatch(copy, ops));
+
+    batch(() => {
+      model.list.splice(1, 1, 'b', 'c');
+      model.list.reverse();
+      model.prices.set('b', 2);
+      model.prices.delete('a');
+      model.tags.add('y');
+    });
+
+    expect(copy.list).toEqual(model.list);
+    expect(Array.from(copy.prices)).toEqual([['b', 2]]);
+    expect(Array.from(copy.tags)).toEqual(['x', 'y']);
+  });
+
+  test('reports a change inside a Set member as a replacement of the Set', () => {
+    const model = reactive({ tags: new Set([{ name: 'a' }]) });
+    const patches = record(model);
+
+    const [member] = model.tags;
+    member.name = 'z';
+
+    expect(patches).toEqual([{ op: 'replace', path: '/tags', value: [{ name: 'z' }] }]);
+  });
+});
+
+describe('observePatches array index writes', () => {
+  test('fill the holes before writing past the end', () => {
+    const model = reactive({ list: ['a', 'b'] });
+    const patches = record(model);
+
+    model.list[4] = 'e';
+
+    expect(patches).toEqual([
+      { op: 'add', path: '/list/2', value: null },
+      { op: 'add', path: '/list/3', value: null },
+      { op: 'add', path: '/list/4', value: 'e' }
+    ]);
+
+    const copy = reactive({ list: ['a', 'b'] });
+    applyPatch(copy, patches);
+    expect(copy.list).toEqual(['a', 'b', null, null, 'e']);
+  });
+
+  test('append at the end', () => {
+    const model = reactive({ list: ['a'] });
+    const patches = record(model);
+
+    model.list[1] = 'b';
+
+    expect(patches).toEqual([{ op: 'add', path: '/list/1', value: 'b' }]);
+  });
+
+  test('replace existing items and holes in place', () => {
+    const list = ['a', 'x', 'c'];
+    delete list[1];
+    const model = reactive({ list });
+    const patches = record(model);
+
+    model.list[1] = 'b';
+    delete model.list[0];
+
+    expect(patches).toEqual([
+      { op: 'replace', path: '/list/1', value: 'b' },
+      { op: 'replace', path: '/list/0', value: null }
+    ]);
+  });
+});
+
+describe('applyPatch', () => {
+  test('applies add, remove, replace, move, copy and test', () => {
+    const model = reactive({ a: { b: 1 }, list: ['x'] });
+
+    applyPatch(model, [
+      { op: 'add', path: '/list/-', value: 'y' },
+      { op: 'replace', path: '/a/b', value: 2 },
+      { op: 'copy', from: '/a', path: '/c' },
+      { op: 'move', from: '/list/0', path: '/list/1' },
+      { op: 'test', path: '/a/b', value: 2 },
+      { op: 'remove', path: '/c/b' }
+    ]);
+
+    expect(model).toEqual({ a: { b: 2 }, list: ['y', 'x'], c: {} });
+  });
+
+  test('rolls back every operation when one fails', () => {
+    const model = reactive({ count: 1, list: [1] });
+
+    expect(() => applyPatch(model, [
+      { op: 'replace', path: '/count', value: 2 },
+      { op: 'add', path: '/list/-', value: 2 },
+      { op: 'test', path: '/count', value: 99 }
+    ])).toThrow();
+
+    expect(model.count).toBe(1);
+    expect(model.list).toEqual([1]);
+  });
+
+  test('refuses readonly views', () => {
+    const model = reactive({ count: 1 });
+
+    expect(() => applyPatch(readonly(model), [{ op: 'replace', path: '/count', value: 2 }]))
+      .toThrow('readonly');
+    expect(model.count).toBe(1);
+  });
+});
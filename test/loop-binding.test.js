@@ -0,0 +1,65 @@
+import { reactive, ReactiveHTMLParser, createBindings, batchScheduler } from '../src/lib/reactive-html.js';
+
+const mount = (html, model) => {
+  const root = document.createElement('div');
+  root.innerHTML = html;
+  createBindings(new ReactiveHTMLParser().parse(root), model);
+  return root;
+};
+
+const texts = (root) => Array.from(root.querySelectorAll('li')).map(li => li.textContent);
+
+describe(':each over a Map', () => {
+  test('renders values with the entry key as index', () => {
+    const model = reactive({ prices: new Map([['a', 1], ['b', 2]]) });
+    const root = mount('<ul><li :each="price, name in prices" :text="name + price"></li></ul>', model);
+
+    expect(texts(root)).toEqual(['a1', 'b2']);
+  });
+
+  test('re-renders an entry whose value is replaced', () => {
+    const model = reactive({ prices: new Map([['a', 1], ['b', 2]]) });
+    const root = mount('<ul><li :each="price, name in prices" :text="name + price"></li></ul>', model);
+
+    model.prices.set('b', 9);
+    batchScheduler.flushSync();
+
+    expect(texts(root)).toEqual(['a1', 'b9']);
+  });
+
+  test('keeps the elements of untouched entries on delete', () => {
+    const model = reactive({ prices: new Map([['a', 1], ['b', 2]]) });
+    const root = mount('<ul><li :each="price, name in prices" :text="name + price"></li></ul>', model);
+    const [, second] = root.querySelectorAll('li');
+
+    model.prices.delete('a');
+    batchScheduler.flushSync();
+
+    expect(texts(root)).toEqual(['b2']);
+    expect(root.querySelector('li')).toBe(second);
+  });
+});
+
+describe(':each over a Set', () => {
+  test('renders members in insertion order', () => {
+    const model = reactive({ tags: new Set(['x', 'y']) });
+    const root = mount('<ul><li :each="tag in tags" :text="tag"></li></ul>', model);
+
+    model.tags.add('z');
+    batchScheduler.flushSync();
+
+    expect(texts(root)).toEqual(['x', 'y', 'z']);
+  });
+
+  test('keys members by value', () => {
+    const model = reactive({ tags: new Set(['x', 'y', 'z']) });
+    const root = mount('<ul><li :each="tag in tags" :text="tag"></li></ul>', model);
+    const [, y, z] = root.querySelectorAll('li');
+
+    model.tags.delete('x');
+    batchScheduler.flushSync();
+
+    expect(texts(root)).toEqual(['y', 'z']);
+    expect(Array.from(root.querySelectorAll('li'))).toEqual([y, z]);
+  });
+});
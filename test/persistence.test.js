@@ -0,0 +1,175 @@
+import { reactive } from '../src/lib/reactive.js';
+import { persist, MemoryStorage } from '../src/lib/persistence.js';
+
+// MemoryStorage answering asynchronously, like IndexedDB
+class AsyncStorage extends MemoryStorage {
+  getItem(key) {
+    return Promise.resolve(super.getItem(key));
+  }
+}
+
+describe('persist', () => {
+  test('restores stored state synchronously, keeping unstored defaults', () => {
+    const storage = new MemoryStorage();
+    storage.setItem('form', { version: 1, state: { name: 'Stored' } });
+
+    const form = reactive({ name: '', email: 'default' });
+    const { stop } = persist(form, { key: 'form', storage });
+
+    expect(form).toEqual({ name: 'Stored', email: 'default' });
+    stop();
+  });
+
+  test('writes debounced changes of persisted paths only', () => {
+    jest.useFakeTimers();
+    const storage = new MemoryStorage();
+    const form = reactive({ name: '', draft: { body: '' } });
+    const { stop } = persist(form, { key: 'form', storage, exclude: ['draft'], debounce: 50 });
+
+    form.name = 'Ada';
+    form.draft.body = 'secret';
+    expect(storage.items.has('form')).toBe(false);
+
+    jest.advanceTimersByTime(50);
+    expect(JSON.parse(storage.items.get('form'))).toEqual({ version: 1, state: { name: 'Ada' } });
+
+    stop();
+    jest.useRealTimers();
+  });
+
+  test('upgrades older data with migrations and saves it', () => {
+    const storage = new MemoryStorage();
+    storage.setItem('form', { version: 1, state: { mail: 'a@example.com' } });
+
+    const form = reactive({ email: '' });
+    const { stop } = persist(form, {
+      key: 'form',
+      storage,
+      version: 2,
+      migrations: { 2: (state) => ({ email: state.mail }) }
+    });
+
+    expect(form.email).toBe('a@example.com');
+    expect(JSON.parse(storage.items.get('form'))).toEqual({ version: 2, state: { email: 'a@example.com' } });
+    stop();
+  });
+});
+
+describe('persist restore errors', () => {
+  let error;
+
+  beforeEach(() => {
+    error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    error.mockRestore();
+  });
+
+  const options = (storage) => ({
+    key: 'form',
+    storage,
+    version: 2,
+    migrations: { 2: () => { throw new Error('boom'); } }
+  });
+
+  test('a throwing migration is reported with sync storage', async () => {
+    const storage = new MemoryStorage();
+    storage.setItem('form', { version: 1, state: { name: 'Stored' } });
+
+    const form = reactive({ name: '' });
+    const { ready, stop } = persist(form, options(storage));
+
+    await expect(ready).resolves.toBeUndefined();
+    expect(form.name).toBe('');
+    expect(error).toHaveBeenCalledWith('[reactive-html:persist]', 'Error persisting "form":', expect.objectContaining({ message: 'boom' }));
+    stop();
+  });
+
+  test('a throwing migration is reported with async storage, and saving goes on', async () => {
+    const storage = new AsyncStorage();
+    storage.setItem('form', { version: 1, state: { name: 'Stored' } });
+
+    const form = reactive({ name: '' });
+    const { ready, flush, stop } = persist(form, options(storage));
+
+    await expect(ready).resolves.toBeUndefined();
+    expect(error).toHaveBeenCalledWith('[reactive-html:persist]', 'Error persisting "form":', expect.objectContaining({ message: 'boom' }));
+
+    form.name = 'Typed';
+    flush();
+    expect(JSON.parse(storage.items.get('form'))).toEqual({ version: 2, state: { name: 'Typed' } });
+    stop();
+  });
+});
+
+describe('persist with async storage', () => {
+  test('keeps edits made before the restore finished', async () => {
+    const storage = new AsyncStorage();
+    storage.setItem('form', { version: 1, state: { name: 'Stored', email: 'stored@example.com', tags: ['a'] } });
+
+    const form = reactive({ name: '', email: '', tags: [] });
+    const { ready, stop } = persist(form, { key: 'form', storage });
+
+    form.name = 'Typed';
+    form.tags.push('typed');
+    await ready;
+
+    expect(form.name).toBe('Typed');
+    expect(form.email).toBe('stored@example.com');
+    expect(form.tags).toEqual(['typed']);
+
+    // The merged state is saved right away
+    expect(JSON.parse(storage.items.get('form')).state).toEqual({
+      name: 'Typed',
+      email: 'stored@example.com',
+      tags: ['typed']
+    });
+
+    stop();
+  });
+
+  test('merges edits below a restored object', async () => {
+    const storage = new AsyncStorage();
+    storage.setItem('app', { version: 1, state: { user: { name: 'Ada', theme: 'dark' } } });
+
+    const app = reactive({ user: { name: '', theme: 'light' } });
+    const { ready, stop } = persist(app, { key: 'app', storage });
+
+    app.user.theme = 'contrast';
+    await ready;
+
+    expect(app.user).toEqual({ name: 'Ada', theme: 'contrast' });
+    stop();
+  });
+
+  test('does not write before the restore finished', async () => {
+    jest.useFakeTimers();
+    const storage = new AsyncStorage();
+    storage.setItem('form', { version: 1, state: { name: 'Stored', email: 'stored@example.com' } });
+
+    const form = reactive({ name: '', email: '' });
+    const { ready, flush, stop } = persist(form, { key: 'form', storage, debounce: 0 });
+
+    form.name = 'Typed';
+    jest.runAllTimers();
+    flush();
+    expect(JSON.parse(storage.items.get('form')).state.email).toBe('stored@example.com');
+
+    jest.useRealTimers();
+    await ready;
+    stop();
+  });
+});
+
+describe('persist Map keys', () => {
+  test('restore onto existing keys with the same String()', () => {
+    const storage = new MemoryStorage();
+    storage.setItem('scores', { version: 1, state: { byId: { 1: 10, 2: 20 } } });
+
+    const model = reactive({ byId: new Map([[1, 0]]) });
+    persist(model, { key: 'scores', storage }).stop();
+
+    expect(Array.from(model.byId.entries())).toEqual([[1, 10], ['2', 20]]);
+  });
+});
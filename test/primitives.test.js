@@ -0,0 +1,140 @@
+import { signal, derived, effect, onCleanup, untrack } from '../src/lib/primitives.js';
+import { effectScope } from '../src/lib/effect-scope.js';
+import { nextTick } from '../src/lib/batch-effect.js';
+import { setLogSink } from '../src/lib/logger.js';
+
+describe('signal / derived', () => {
+  test('signal reads and writes through value', () => {
+    const count = signal(1);
+
+    count.value = 2;
+    expect(count.value).toBe(2);
+  });
+
+  test('signal accepts an equals option', () => {
+    const point = signal({ x: 1 }, { equals: 'shallow' });
+    const seen = [];
+    const dispose = effect(() => seen.push(point.value.x), { flush: 'sync' });
+
+    point.value = { x: 1 };
+    point.value = { x: 2 };
+    expect(seen).toEqual([1, 2]);
+    dispose();
+  });
+
+  test('derived follows its sources and is cached', () => {
+    const count = signal(1);
+    const fn = jest.fn(() => count.value * 2);
+    const doubled = derived(fn);
+
+    expect(doubled.value).toBe(2);
+    expect(doubled.value).toBe(2);
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    count.value = 3;
+    expect(doubled.value).toBe(6);
+  });
+});
+
+describe('effect', () => {
+  test('runs now and after each change, until disposed', async () => {
+    const count = signal(0);
+    const seen = [];
+    const dispose = effect(() => seen.push(count.value));
+
+    expect(seen).toEqual([0]);
+
+    count.value = 1;
+    await nextTick();
+    expect(seen).toEqual([0, 1]);
+
+    dispose();
+    count.value = 2;
+    await nextTick();
+    expect(seen).toEqual([0, 1]);
+  });
+
+  test('onCleanup runs before the next run and on dispose', () => {
+    const count = signal(0);
+    const cleanups = [];
+    const dispose = effect(() => {
+      const value = count.value;
+      onCleanup(() => cleanups.push(value));
+    }, { flush: 'sync' });
+
+    count.value = 1;
+    expect(cleanups).toEqual([0]);
+
+    dispose();
+    expect(cleanups).toEqual([0, 1]);
+  });
+
+  test('onCleanup reads are not tracked', () => {
+    const count = signal(0);
+    const other = signal('a');
+    const runs = jest.fn();
+    const dispose = effect(() => {
+      runs(count.value);
+      onCleanup(() => other.value);
+    }, { flush: 'sync' });
+
+    count.value = 1;
+    other.value = 'b';
+    expect(runs).toHaveBeenCalledTimes(2);
+    dispose();
+  });
+
+  test('onCleanup outside an effect warns', () => {
+    const entries = [];
+    setLogSink(entry => entries.push(entry));
+
+    onCleanup(() => {});
+    expect(entries).toEqual([
+      expect.objectContaining({ level: 'warn', namespace: 'signal', args: ['onCleanup() called outside of an effect body.'] })
+    ]);
+    setLogSink(null);
+  });
+
+  test('belongs to the active effect scope', () => {
+    const count = signal(0);
+    const runs = jest.fn();
+    const scope = effectScope();
+
+    scope.run(() => effect(() => runs(count.value), { flush: 'sync' }));
+    scope.stop();
+
+    count.value = 1;
+    expect(runs).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('untrack / peek', () => {
+  test('untrack reads without subscribing and returns the value', () => {
+    const count = signal(0);
+    const label = signal('a');
+    const seen = [];
+    const dispose = effect(() => {
+      seen.push(`${count.value}${untrack(() => label.value)}`);
+    }, { flush: 'sync' });
+
+    label.value = 'b';
+    expect(seen).toEqual(['0a']);
+
+    count.value = 1;
+    expect(seen).toEqual(['0a', '1b']);
+    dispose();
+  });
+
+  test('peek reads signals and derived values without subscribing', () => {
+    const count = signal(1);
+    const doubled = derived(() => count.value * 2);
+    const runs = jest.fn();
+    const dispose = effect(() => runs(count.peek() + doubled.peek()), { flush: 'sync' });
+
+    count.value = 2;
+    expect(runs).toHaveBeenCalledTimes(1);
+    expect(runs).toHaveBeenCalledWith(3);
+    expect(doubled.peek()).toBe(4);
+    dispose();
+  });
+});
@@ -0,0 +1,124 @@
+import { reactive, ReactiveModel } from '../src/lib/reactive.js';
+import { EffectTracker } from '../src/lib/effect.js';
+import { batchScheduler } from '../src/lib/batch-effect.js';
+
+const track = (fn) => {
+  const seen = [];
+  EffectTracker.create(() => seen.push(fn()));
+  return seen;
+};
+
+describe('reactive Map', () => {
+  test('get re-runs only for the key that changed', () => {
+    const model = reactive({ prices: new Map([['a', 1], ['b', 2]]) });
+    const seen = track(() => model.prices.get('a'));
+
+    model.prices.set('b', 3);
+    batchScheduler.flushSync();
+    expect(seen).toEqual([1]);
+
+    model.prices.set('a', 5);
+    batchScheduler.flushSync();
+    expect(seen).toEqual([1, 5]);
+  });
+
+  test('has and size follow additions and deletions', () => {
+    const model = reactive({ prices: new Map() });
+    const seen = track(() => `${model.prices.has('a')}:${model.prices.size}`);
+
+    model.prices.set('a', 1);
+    batchScheduler.flushSync();
+    model.prices.delete('a');
+    batchScheduler.flushSync();
+
+    expect(seen).toEqual(['false:0', 'true:1', 'false:0']);
+  });
+
+  test('iteration re-runs on set and clear', () => {
+    const model = reactive({ prices: new Map([['a', 1]]) });
+    const seen = track(() => Array.from(model.prices.entries()).map(([k, v]) => k + v).join());
+
+    model.prices.set('b', 2);
+    batchScheduler.flushSync();
+    model.prices.clear();
+    batchScheduler.flushSync();
+
+    expect(seen).toEqual(['a1', 'a1,b2', '']);
+  });
+
+  test('tracks object keys', () => {
+    const key = {};
+    const model = reactive({ owners: new Map() });
+    const seen = track(() => model.owners.get(key));
+
+    model.owners.set(key, 'x');
+    batchScheduler.flushSync();
+
+    expect(seen).toEqual([undefined, 'x']);
+  });
+
+  test('wraps object values', () => {
+    const model = reactive({ users: new Map([['u', { name: 'a' }]]) });
+    const seen = track(() => model.users.get('u').name);
+
+    model.users.get('u').name = 'b';
+    batchScheduler.flushSync();
+
+    expect(seen).toEqual(['a', 'b']);
+  });
+});
+
+describe('reactive Set', () => {
+  test('has re-runs on add and delete of that value', () => {
+    const model = reactive({ tags: new Set() });
+    const seen = track(() => model.tags.has('x'));
+
+    model.tags.add('y');
+    batchScheduler.flushSync();
+    model.tags.add('x');
+    batchScheduler.flushSync();
+    model.tags.delete('x');
+    batchScheduler.flushSync();
+
+    expect(seen).toEqual([false, true, false]);
+  });
+
+  test('size and iteration follow membership', () => {
+    const model = reactive({ tags: new Set(['a']) });
+    const seen = track(() => `${model.tags.size}:${[...model.tags].join('')}`);
+
+    model.tags.add('b');
+    batchScheduler.flushSync();
+    model.tags.add('b');
+    batchScheduler.flushSync();
+    model.tags.delete('a');
+    batchScheduler.flushSync();
+
+    expect(seen).toEqual(['1:a', '2:ab', '1:b']);
+  });
+});
+
+describe('reactive Set members', () => {
+  test('know their path below the Set', () => {
+    const model = reactive({ tags: new Set([{ name: 'a' }]) });
+    const added = { name: 'b' };
+    model.tags.add(added);
+
+    const [first, second] = Array.from(model.tags);
+    expect(ReactiveModel.pathOf(first, model)).toEqual(['tags', 0]);
+    expect(ReactiveModel.pathOf(second, model)).toEqual(['tags', 1]);
+
+    model.tags.forEach(member => {
+      expect(ReactiveModel.pathOf(member, model)).not.toBeNull();
+    });
+  });
+
+  test('lose their path once removed', () => {
+    const model = reactive({ tags: new Set() });
+    const tag = { name: 'a' };
+    model.tags.add(tag);
+    model.tags.delete(tag);
+
+    expect(ReactiveModel.pathOf(tag, model)).toBeNull();
+  });
+});
@@ -0,0 +1,185 @@
+import { reactive, shallowReactive, readonly, markRaw, ReactiveModel } from '../src/lib/reactive.js';
+import { EffectTracker } from '../src/lib/effect.js';
+import { batchScheduler } from '../src/lib/batch-effect.js';
+import { effectScope } from '../src/lib/effect-scope.js';
+
+const track = (fn) => {
+  const seen = [];
+  EffectTracker.create(() => seen.push(fn()));
+  return seen;
+};
+
+describe('reactive arrays', () => {
+  test('an index read re-runs only when that slot changes', () => {
+    const model = reactive({ items: ['a', 'b', 'c'] });
+    const seen = track(() => model.items[0]);
+
+    model.items[2] = 'z';
+    batchScheduler.flushSync();
+    expect(seen).toEqual(['a']);
+
+    model.items[0] = 'x';
+    batchScheduler.flushSync();
+    expect(seen).toEqual(['a', 'x']);
+  });
+
+  test('push leaves existing slot readers alone', () => {
+    const model = reactive({ items: ['a'] });
+    const first = track(() => model.items[0]);
+    const length = track(() => model.items.length);
+
+    model.items.push('b');
+    batchScheduler.flushSync();
+
+    expect(first).toEqual(['a']);
+    expect(length).toEqual([1, 2]);
+  });
+
+  test('iteration re-runs on any structural or slot change', () => {
+    const model = reactive({ items: [1, 2] });
+    const seen = track(() => model.items.map(n => n * 10).join());
+
+    model.items[1] = 3;
+    batchScheduler.flushSync();
+    model.items.push(4);
+    batchScheduler.flushSync();
+    model.items.reverse();
+    batchScheduler.flushSync();
+
+    expect(seen).toEqual(['10,20', '10,30', '10,30,40', '40,30,10']);
+  });
+
+  test('splice notifies the shifted slots', () => {
+    const model = reactive({ items: ['a', 'b', 'c'] });
+    const first = track(() => model.items[0]);
+    const second = track(() => model.items[1]);
+
+    model.items.splice(1, 1);
+    batchScheduler.flushSync();
+
+    expect(first).toEqual(['a']);
+    expect(second).toEqual(['b', 'c']);
+  });
+
+  test('includes finds raw objects in a reactive array', () => {
+    const item = { id: 1 };
+    const model = reactive({ items: [item] });
+
+    expect(model.items.includes(item)).toBe(true);
+    expect(model.items.indexOf(item)).toBe(0);
+  });
+});
+
+describe('readonly', () => {
+  let warn;
+
+  beforeEach(() => {
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warn.mockRestore();
+  });
+
+  test('warns and ignores writes and deletes', () => {
+    const view = readonly({ count: 1, nested: { a: 1 } });
+
+    view.count = 2;
+    delete view.count;
+    view.nested.a = 2;
+
+    expect(view.count).toBe(1);
+    expect(view.nested.a).toBe(1);
+    expect(warn).toHaveBeenCalledTimes(3);
+    expect(warn.mock.calls[0][0]).toBe('[reactive-html:reactive]');
+    expect(warn.mock.calls[0][1]).toContain('"count"');
+  });
+
+  test('warns on array and collection mutators', () => {
+    const view = readonly({ items: [1], tags: new Set(['a']) });
+
+    view.items.push(2);
+    view.tags.add('b');
+
+    expect(view.items.length).toBe(1);
+    expect(view.tags.size).toBe(1);
+    expect(warn.mock.calls.map(call => call[1])).toEqual([
+      expect.stringContaining('push()'),
+      expect.stringContaining('"b"')
+    ]);
+  });
+
+  test('reads through a view of a reactive model are tracked', () => {
+    const state = reactive({ count: 1 });
+    const view = readonly(state);
+    const seen = track(() => view.count);
+
+    state.count = 2;
+    batchScheduler.flushSync();
+
+    expect(seen).toEqual([1, 2]);
+    expect(ReactiveModel.isReadonly(view)).toBe(true);
+    expect(ReactiveModel.toRaw(view)).toBe(ReactiveModel.toRaw(state));
+  });
+});
+
+describe('shallowReactive', () => {
+  test('tracks top-level assignments only', () => {
+    const state = shallowReactive({ report: { total: 1 } });
+    const seen = track(() => state.report.total);
+
+    state.report.total = 2;
+    batchScheduler.flushSync();
+    expect(seen).toEqual([1]);
+
+    state.report = { total: 3 };
+    batchScheduler.flushSync();
+    expect(seen).toEqual([1, 3]);
+    expect(ReactiveModel.isShallow(state)).toBe(true);
+  });
+});
+
+describe('markRaw', () => {
+  test('keeps an object out of reactivity', () => {
+    const blob = markRaw({ size: 1 });
+    const state = reactive({ blob });
+
+    expect(state.blob).toBe(blob);
+    expect(reactive(blob)).toBe(blob);
+  });
+
+  test('never proxies DOM nodes and dates', () => {
+    const node = document.createElement('div');
+    const date = new Date();
+    const state = reactive({ node, date });
+
+    expect(state.node).toBe(node);
+    expect(state.date).toBe(date);
+  });
+});
+
+describe('reactive model getters', () => {
+  test('stay cached after the scope that first read them stops', () => {
+    let evaluations = 0;
+    const model = reactive({
+      first: 'Ada',
+      last: 'Lovelace',
+      get fullName() {
+        evaluations++;
+        return `${this.first} ${this.last}`;
+      }
+    });
+
+    const scope = effectScope();
+    scope.run(() => model.fullName);
+    scope.stop();
+
+    expect(model.fullName).toBe('Ada Lovelace');
+    expect(model.fullName).toBe('Ada Lovelace');
+    expect(evaluations).toBe(1);
+
+    model.first = 'Grace';
+    expect(model.fullName).toBe('Grace Lovelace');
+    expect(evaluations).toBe(2);
+  });
+});
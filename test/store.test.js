@@ -0,0 +1,103 @@
+import { defineStore, StoreRegistry } from '../src/lib/store.js';
+import { ExpressionEvaluator } from '../src/lib/event-binding.js';
+import { EffectTracker } from '../src/lib/effect.js';
+import { batchScheduler } from '../src/lib/batch-effect.js';
+
+const defineCart = () => defineStore('cart', {
+  state: () => ({ items: [], coupon: null }),
+  getters: {
+    count: (state) => state.items.length,
+    total: (state) => state.items.reduce((sum, item) => sum + item.price, 0),
+    summary() {
+      return `${this.count} items`;
+    }
+  },
+  actions: {
+    add(product) {
+      this.items.push(product);
+    }
+  }
+});
+
+describe('defineStore', () => {
+  afterEach(() => {
+    StoreRegistry.dispose('cart');
+    StoreRegistry.definitions.clear();
+  });
+
+  test('creates one shared instance lazily', () => {
+    const useCart = defineCart();
+
+    expect(StoreRegistry.stores.has('cart')).toBe(false);
+    expect(useCart()).toBe(useCart());
+    expect(useCart().$id).toBe('cart');
+  });
+
+  test('getters are cached and follow the state', () => {
+    const cart = defineCart()();
+
+    cart.add({ price: 4 });
+    cart.add({ price: 6 });
+
+    expect(cart.count).toBe(2);
+    expect(cart.total).toBe(10);
+    expect(cart.summary).toBe('2 items');
+  });
+
+  test('an action is one batch', () => {
+    const cart = defineStore('cart', {
+      state: () => ({ items: [] }),
+      actions: {
+        addTwo() {
+          this.items.push(1);
+          this.items.push(2);
+        }
+      }
+    })();
+    const seen = [];
+    EffectTracker.create(() => seen.push(cart.items.length), { flush: 'sync' });
+
+    cart.addTwo();
+
+    expect(seen).toEqual([0, 2]);
+  });
+
+  test('$patch merges and $reset restores the initial state', () => {
+    const cart = defineCart()();
+
+    cart.$patch({ coupon: 'TEA' });
+    cart.$patch(state => state.items.push({ price: 1 }));
+    expect(cart.coupon).toBe('TEA');
+    expect(cart.count).toBe(1);
+
+    cart.$reset();
+    expect(cart.$state).toEqual({ items: [], coupon: null });
+    expect(cart.count).toBe(0);
+  });
+
+  test('is reachable from expressions as $store', () => {
+    defineCart()().add({ price: 3 });
+
+    expect(ExpressionEvaluator.evaluate('$store.cart.total', [{}])).toBe(3);
+    expect(ExpressionEvaluator.evaluate('$store', [{ $store: 'own' }])).toBe('own');
+  });
+
+  test('template reads of $store are tracked', () => {
+    const cart = defineCart()();
+    const seen = [];
+    EffectTracker.create(() => seen.push(ExpressionEvaluator.evaluate('$store.cart.count', [{}])));
+
+    cart.add({ price: 1 });
+    batchScheduler.flushSync();
+
+    expect(seen).toEqual([0, 1]);
+  });
+
+  test('warns about unknown stores', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(StoreRegistry.get('missing')).toBeUndefined();
+    expect(warn).toHaveBeenCalledWith('[reactive-html:store]', 'Store "missing" is not defined.');
+    warn.mockRestore();
+  });
+});
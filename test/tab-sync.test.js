@@ -0,0 +1,125 @@
+import { reactive } from '../src/lib/reactive.js';
+import { syncAcrossTabs } from '../src/lib/tab-sync.js';
+
+// BroadcastChannel stand-in: messages wait in a queue until deliver(), so
+// tests can let two tabs write before either hears of the other
+class FakeChannel {
+  static channels = [];
+  static queue = [];
+
+  static deliver() {
+    while (FakeChannel.queue.length > 0) {
+      const { sender, data } = FakeChannel.queue.shift();
+      FakeChannel.channels
+        .filter(channel => channel !== sender && channel.name === sender.name && channel.onmessage)
+        .forEach(channel => channel.onmessage({ data: JSON.parse(JSON.stringify(data)) }));
+    }
+  }
+
+  constructor(name) {
+    this.name = name;
+    this.onmessage = null;
+    FakeChannel.channels.push(this);
+  }
+
+  postMessage(data) {
+    FakeChannel.queue.push({ sender: this, data });
+  }
+
+  close() {
+    FakeChannel.channels = FakeChannel.channels.filter(channel => channel !== this);
+  }
+}
+
+const openTabs = (state) => {
+  const copy = () => reactive(JSON.parse(JSON.stringify(state)));
+  const tabs = [copy(), copy()];
+  const stops = tabs.map(model => syncAcrossTabs(model, 'test'));
+  return { tabs, stop: () => stops.forEach(stop => stop()) };
+};
+
+describe('syncAcrossTabs', () => {
+  beforeEach(() => {
+    global.BroadcastChannel = FakeChannel;
+    FakeChannel.channels = [];
+    FakeChannel.queue = [];
+  });
+
+  afterEach(() => {
+    delete global.BroadcastChannel;
+  });
+
+  test('sends changes to the other tab', () => {
+    const { tabs: [a, b], stop } = openTabs({ count: 0 });
+
+    a.count = 5;
+    FakeChannel.deliver();
+
+    expect(b.count).toBe(5);
+    stop();
+  });
+
+  test('a newer write below an object survives an older replace of it', () => {
+    const { tabs: [a, b], stop } = openTabs({ user: { name: 'Ada', age: 36 } });
+
+    // b replaces the user while a renames it twice - a's last write has
+    // the higher clock
+    b.user = { name: 'Grace', age: 85 };
+    a.user.name = 'Lovelace';
+    a.user.name = 'Hopper';
+    FakeChannel.deliver();
+
+    expect(a.user).toEqual({ name: 'Hopper', age: 85 });
+    expect(b.user).toEqual({ name: 'Hopper', age: 85 });
+    stop();
+  });
+
+  test('concurrent writes to the same path settle on one value', () => {
+    const { tabs: [a, b], stop } = openTabs({ title: '' });
+
+    a.title = 'from a';
+    b.title = 'from b';
+    FakeChannel.deliver();
+
+    expect(a.title).toBe(b.title);
+    stop();
+  });
+
+  test('keeps excluded paths local', () => {
+    const state = { dialog: { open: false }, count: 0 };
+    const copy = () => reactive(JSON.parse(JSON.stringify(state)));
+    const a = copy();
+    const b = copy();
+    const stops = [a, b].map(model => syncAcrossTabs(model, 'test', { exclude: ['dialog'] }));
+
+    a.dialog.open = true;
+    a.count = 1;
+    FakeChannel.deliver();
+
+    expect(b.dialog.open).toBe(false);
+    expect(b.count).toBe(1);
+    stops.forEach(stop => stop());
+  });
+
+  test('stops sending and receiving once stopped', () => {
+    const { tabs: [a, b], stop } = openTabs({ count: 0 });
+
+    stop();
+    a.count = 1;
+    FakeChannel.deliver();
+
+    expect(b.count).toBe(0);
+    expect(FakeChannel.channels).toHaveLength(0);
+  });
+
+  test('leaves the model tab-local without BroadcastChannel', () => {
+    delete global.BroadcastChannel;
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const stop = syncAcrossTabs(reactive({ count: 0 }), 'test');
+
+    expect(warn).toHaveBeenCalledWith('[reactive-html:sync]', expect.stringContaining('BroadcastChannel'));
+    expect(() => stop()).not.toThrow();
+    warn.mockRestore();
+  });
+});
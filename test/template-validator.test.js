@@ -0,0 +1,96 @@
+import { TemplateValidator, TemplateError } from '../src/lib/template-validator.js';
+import { ReactiveHTMLParser } from '../src/lib/component-binding.js';
+import { ExpressionEvaluator } from '../src/lib/event-binding.js';
+import { EVALUATOR_MODE } from '../src/lib/constants.js';
+import { Logger } from '../src/lib/logger.js';
+
+const validate = (html) => {
+  const root = document.createElement('div');
+  root.innerHTML = html;
+  return TemplateValidator.validate(root, { source: root.outerHTML });
+};
+
+const reasons = errors => errors.map(error => error.message);
+
+describe('TemplateValidator', () => {
+  let logged;
+
+  beforeEach(() => {
+    logged = [];
+    Logger.setSink(entry => logged.push(entry));
+  });
+  afterAll(() => Logger.setSink(null));
+
+  afterEach(() => {
+    ExpressionEvaluator.setMode(EVALUATOR_MODE.FUNCTION);
+    TemplateValidator.cache.clear();
+  });
+
+  describe.each([EVALUATOR_MODE.FUNCTION, EVALUATOR_MODE.CSP])('in %s mode', (mode) => {
+    beforeEach(() => ExpressionEvaluator.setMode(mode));
+
+    test('accepts handlers the way they run', () => {
+      const errors = validate(`
+        <button @click="function (e) { count += e.detail }">a</button>
+        <button @click="function save(e) { store(e) }">b</button>
+        <button @click="e => save(e)">c</button>
+        <button @click="(e, extra) => { save(e, extra) }">d</button>
+        <button @click="save">e</button>
+        <button @click="count++; save()">f</button>
+      `);
+
+      expect(reasons(errors)).toEqual([]);
+    });
+
+    test('reports broken handlers with their location', () => {
+      const [error] = validate('<div>\n  <button @click="save(">x</button>\n</div>');
+
+      expect(error).toBeDefined();
+      expect(error.attribute).toBe('@click');
+      expect(error.line).toBe(2);
+    });
+  });
+
+  test('function mode accepts syntax only the CSP-safe evaluator lacks', () => {
+    const errors = validate(`
+      <button @click="async () => load()">a</button>
+      <p :text="items.map(async item => item)"></p>
+    `);
+
+    expect(reasons(errors)).toEqual([]);
+  });
+
+  test('csp mode rejects syntax it cannot interpret', () => {
+    ExpressionEvaluator.setMode(EVALUATOR_MODE.CSP);
+
+    const errors = validate('<button @click="async () => load()">a</button>');
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].message).toMatch('not supported by the CSP-safe evaluator');
+  });
+
+  test('parse logs and collects every error by default', () => {
+    const root = document.createElement('div');
+    root.innerHTML = '<p :text="a +"></p><button @click="save(">x</button><span :text="ok"></span>';
+    const parser = new ReactiveHTMLParser();
+
+    expect(() => parser.parse(root, [{ ok: 1 }])).not.toThrow();
+    expect(parser.errors).toHaveLength(2);
+    expect(parser.errors[0]).toBeInstanceOf(TemplateError);
+    expect(logged.filter(entry => entry.level === 'error' && entry.namespace === 'parser')).toHaveLength(2);
+  });
+
+  test('throwOnError throws the first error', () => {
+    const root = document.createElement('div');
+    root.innerHTML = '<p :text="a +"></p><button @click="save(">x</button>';
+
+    expect(() => new ReactiveHTMLParser().parse(root, [], { throwOnError: true })).toThrow(TemplateError);
+
+    TemplateValidator.throwOnError = true;
+    try {
+      expect(() => new ReactiveHTMLParser().parse(root)).toThrow(':text="a +"');
+    } finally {
+      TemplateValidator.throwOnError = false;
+    }
+  });
+});
@@ -0,0 +1,139 @@
+import { Tracer, enableTracing, disableTracing, getTraces, whyDidThisUpdate } from '../src/lib/tracing.js';
+import { Effect, EffectTracker } from '../src/lib/effect.js';
+import { computed } from '../src/lib/computed-signal.js';
+import { reactive } from '../src/lib/reactive.js';
+import { watch } from '../src/lib/watch.js';
+import Signal from '../src/lib/signal.js';
+
+const syncEffect = (fn, options = {}) => EffectTracker.create(fn, { flush: 'sync', ...options });
+
+describe('onTrack / onTrigger', () => {
+  test('onTrack reports each new dependency with its model path', () => {
+    const cart = reactive({ items: [{ qty: 1 }] });
+    const onTrack = jest.fn();
+    const effect = syncEffect(() => cart.items[0].qty, { onTrack });
+
+    const paths = onTrack.mock.calls.map(([event]) => event.path);
+    expect(paths).toContain('items');
+    expect(paths).toContain('items.0.qty');
+    expect(onTrack.mock.calls[0][0].type).toBe('track');
+    expect(onTrack.mock.calls[0][0].effect).toBe(effect);
+    effect.stop();
+  });
+
+  test('onTrigger reports the changed signal with old and new value', () => {
+    const cart = reactive({ items: [{ qty: 1 }] });
+    const onTrigger = jest.fn();
+    const effect = syncEffect(() => cart.items[0].qty, { onTrigger });
+
+    cart.items[0].qty = 2;
+    expect(onTrigger).toHaveBeenCalledTimes(1);
+    expect(onTrigger.mock.calls[0][0]).toMatchObject({
+      type: 'trigger',
+      path: 'items.0.qty',
+      key: 'qty',
+      oldValue: 1,
+      newValue: 2
+    });
+    effect.stop();
+  });
+
+  test('plain signals have no path', () => {
+    const count = new Signal(0);
+    const onTrigger = jest.fn();
+    const effect = syncEffect(() => count.value, { onTrigger });
+
+    count.value = 1;
+    expect(onTrigger.mock.calls[0][0].signal).toBe(count);
+    expect(onTrigger.mock.calls[0][0]).toMatchObject({ path: null, target: null });
+    effect.stop();
+  });
+
+  test('watch passes the hooks to its effect', () => {
+    const state = reactive({ total: 1 });
+    const onTrigger = jest.fn();
+    const stop = watch(() => state.total, () => {}, { flush: 'sync', onTrigger });
+
+    state.total = 5;
+    expect(onTrigger.mock.calls[0][0]).toMatchObject({ path: 'total', oldValue: 1, newValue: 5 });
+    stop();
+  });
+});
+
+describe('Tracer', () => {
+  afterEach(() => {
+    disableTracing();
+    Tracer.clear();
+  });
+
+  test('records nothing while disabled', () => {
+    const count = new Signal(0);
+    const effect = syncEffect(() => count.value);
+
+    count.value = 1;
+    expect(getTraces()).toEqual([]);
+    effect.stop();
+  });
+
+  test('records each re-run with its triggers and binding', () => {
+    enableTracing();
+    const state = reactive({ name: 'Tea' });
+    const element = document.createElement('span');
+    const effect = syncEffect(() => state.name, {
+      meta: { bindingName: 'text', element, expression: 'name' }
+    });
+
+    state.name = 'Green tea';
+
+    const traces = getTraces();
+    expect(traces).toHaveLength(1);
+    expect(traces[0].effect).toBe(effect);
+    expect(traces[0].element).toBe(element);
+    expect(traces[0]).toMatchObject({ binding: 'text', expression: 'name' });
+    expect(traces[0].triggers[0]).toMatchObject({ path: 'name', oldValue: 'Tea', newValue: 'Green tea' });
+    expect(whyDidThisUpdate(element)[0]).toBe(traces[0]);
+    expect(whyDidThisUpdate(effect)[0]).toBe(traces[0]);
+    effect.stop();
+  });
+
+  test('a computed trigger carries its refreshed value', () => {
+    enableTracing();
+    const count = new Signal(1);
+    const double = computed(() => count.value * 2);
+    const effect = syncEffect(() => double.value);
+
+    count.value = 2;
+    const [trace] = getTraces();
+    expect(trace.triggers[0].signal).toBe(double);
+    expect(trace.triggers[0].newValue).toBe(4);
+    effect.stop();
+  });
+
+  test('keeps at most limit traces', () => {
+    enableTracing({ limit: 2 });
+    const count = new Signal(0);
+    const effect = syncEffect(() => count.value);
+
+    count.value = 1;
+    count.value = 2;
+    count.value = 3;
+    expect(getTraces().map(trace => trace.triggers[0].newValue)).toEqual([2, 3]);
+    effect.stop();
+  });
+
+  test('log prints a readable line', () => {
+    const log = jest.spyOn(console, 'info').mockImplementation(() => {});
+    enableTracing({ log: true });
+    const state = reactive({ name: 'Tea' });
+    const effect = new Effect(() => state.name, {
+      flush: 'sync',
+      meta: { bindingName: 'text', element: document.createElement('span'), expression: 'name' }
+    });
+    effect.run();
+
+    state.name = 'Green tea';
+    expect(log).toHaveBeenCalledWith('[reactive-html:trace]', '[trace] text "name" on <span> ← name: "Tea" → "Green tea"');
+    effect.stop();
+    log.mockRestore();
+  });
+});
@@ -0,0 +1,195 @@
+import { watch, watchEffect } from '../src/lib/watch.js';
+import { reactive } from '../src/lib/reactive.js';
+import { EffectTracker } from '../src/lib/effect.js';
+import { nextTick } from '../src/lib/batch-effect.js';
+import Signal from '../src/lib/signal.js';
+
+describe('watch', () => {
+  test('calls back with the new and old value after the flush', async () => {
+    const state = reactive({ query: 'a' });
+    const callback = jest.fn();
+    const stop = watch(() => state.query, callback);
+
+    state.query = 'b';
+    expect(callback).not.toHaveBeenCalled();
+
+    await nextTick();
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(callback.mock.calls[0].slice(0, 2)).toEqual(['b', 'a']);
+    stop();
+  });
+
+  test('skips the callback when the value did not change', async () => {
+    const state = reactive({ first: 'a', last: 'b' });
+    const callback = jest.fn();
+    const stop = watch(() => state.first.length, callback);
+
+    state.first = 'c';
+    await nextTick();
+    expect(callback).not.toHaveBeenCalled();
+    stop();
+  });
+
+  test('immediate calls back right away with undefined as the old value', () => {
+    const count = new Signal(1);
+    const callback = jest.fn();
+    const stop = watch(count, callback, { immediate: true });
+
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(callback.mock.calls[0].slice(0, 2)).toEqual([1, undefined]);
+    stop();
+  });
+
+  test('once stops after the first call', async () => {
+    const count = new Signal(1);
+    const callback = jest.fn();
+    watch(count, callback, { once: true, flush: 'sync' });
+
+    count.value = 2;
+    count.value = 3;
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(callback.mock.calls[0][0]).toBe(2);
+  });
+
+  test('once with immediate calls back only once', () => {
+    const count = new Signal(1);
+    const callback = jest.fn();
+    watch(count, callback, { once: true, immediate: true, flush: 'sync' });
+
+    count.value = 2;
+    expect(callback).toHaveBeenCalledTimes(1);
+  });
+
+  test('onCleanup runs before the next call and on stop', () => {
+    const count = new Signal(1);
+    const cleanup = jest.fn();
+    const stop = watch(count, (value, old, onCleanup) => onCleanup(cleanup), { flush: 'sync' });
+
+    count.value = 2;
+    expect(cleanup).not.toHaveBeenCalled();
+    count.value = 3;
+    expect(cleanup).toHaveBeenCalledTimes(1);
+    stop();
+    expect(cleanup).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('watch deep', () => {
+  test('a reactive object source is watched deeply', () => {
+    const state = reactive({ filters: { q: '', tags: ['a'] } });
+    const callback = jest.fn();
+    const stop = watch(state.filters, callback, { flush: 'sync' });
+
+    state.filters.q = 'x';
+    state.filters.tags.push('b');
+    expect(callback).toHaveBeenCalledTimes(2);
+    stop();
+  });
+
+  test('reacts to added and deleted keys', () => {
+    const state = reactive({ filters: {} });
+    const callback = jest.fn();
+    const stop = watch(state.filters, callback, { flush: 'sync' });
+
+    state.filters.q = 'x';
+    delete state.filters.q;
+    expect(callback).toHaveBeenCalledTimes(2);
+    stop();
+  });
+
+  test('each reactive entry of a multi-source array is deep', () => {
+    const state = reactive({ filters: { q: '' } });
+    const count = new Signal(0);
+    const callback = jest.fn();
+    const stop = watch([state.filters, count], callback, { flush: 'sync' });
+
+    state.filters.q = 'x';
+    expect(callback).toHaveBeenCalledTimes(1);
+
+    count.value = 1;
+    expect(callback).toHaveBeenCalledTimes(2);
+    expect(callback.mock.calls[1][0][1]).toBe(1);
+    stop();
+  });
+
+  test('deep: false on a getter only reacts to the returned value', () => {
+    const state = reactive({ filters: { q: '' } });
+    const callback = jest.fn();
+    const stop = watch(() => state.filters, callback, { flush: 'sync' });
+
+    state.filters.q = 'x';
+    expect(callback).not.toHaveBeenCalled();
+
+    state.filters = { q: 'y' };
+    expect(callback).toHaveBeenCalledTimes(1);
+    stop();
+  });
+
+  test('deep: true on a getter reacts to nested changes', () => {
+    const state = reactive({ filters: { q: '' } });
+    const callback = jest.fn();
+    const stop = watch(() => state.filters, callback, { flush: 'sync', deep: true });
+
+    state.filters.q = 'x';
+    expect(callback).toHaveBeenCalledTimes(1);
+    stop();
+  });
+});
+
+describe('watch flush', () => {
+  test('sync calls back as soon as the source changes', () => {
+    const count = new Signal(0);
+    const callback = jest.fn();
+    const stop = watch(count, callback, { flush: 'sync' });
+
+    count.value = 1;
+    expect(callback).toHaveBeenCalledTimes(1);
+    stop();
+  });
+
+  test('pre runs before the bindings and post after them', async () => {
+    const count = new Signal(0);
+    const order = [];
+    const binding = EffectTracker.create(() => {
+      if (count.value > 0) order.push('binding');
+    });
+    const stopPost = watch(count, () => order.push('post'), { flush: 'post' });
+    const stopPre = watch(count, () => order.push('pre'), { flush: 'pre' });
+
+    count.value = 1;
+    expect(order).toEqual([]);
+
+    await nextTick();
+    expect(order).toEqual(['pre', 'binding', 'post']);
+
+    stopPre();
+    stopPost();
+    binding.stop();
+  });
+
+  test('rejects an unknown flush', () => {
+    expect(() => watch(new Signal(0), () => {}, { flush: 'later' }))
+      .toThrow('Unknown watch flush: "later"');
+  });
+});
+
+describe('watchEffect', () => {
+  test('re-runs when what it read changes and cleans up between runs', () => {
+    const state = reactive({ speed: 1 });
+    const cleanup = jest.fn();
+    const seen = [];
+    const stop = watchEffect((onCleanup) => {
+      seen.push(state.speed);
+      onCleanup(cleanup);
+    }, { flush: 'sync' });
+
+    state.speed = 2;
+    expect(seen).toEqual([1, 2]);
+    expect(cleanup).toHaveBeenCalledTimes(1);
+
+    stop();
+    state.speed = 3;
+    expect(seen).toEqual([1, 2]);
+    expect(cleanup).toHaveBeenCalledTimes(2);
+  });
+});
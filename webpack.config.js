@@ -1,6 +1,7 @@
 // Generated using webpack-cli https://github.com/webpack/webpack-cli
 
 const path = require('path');
+const webpack = require('webpack');
 const HtmlWebpackPlugin = require('html-webpack-plugin');
 const MiniCssExtractPlugin = require('mini-css-extract-plugin');
 const WorkboxWebpackPlugin = require('workbox-webpack-plugin');
@@ -39,6 +40,11 @@ const config = {
             template: 'index.html',
         }),
 
+        // Development warnings and debug logging (see src/lib/logger.js)
+        new webpack.DefinePlugin({
+            __REACTIVE_HTML_DEV__: JSON.stringify(!isProduction),
+        }),
+
         // Add your plugins here
         // Learn more about plugins from https://webpack.js.org/configuration/plugins/
     ],